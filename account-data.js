@@ -0,0 +1,122 @@
+// "Your data" section shared by entrepreneur-account.html and investor-account.html:
+// download a JSON archive of the account, request deletion and cancel a pending
+// deletion. Requires session.js to be loaded first.
+
+function renderAccountDataSection(container, { withProjects = false } = {}) {
+  container.innerHTML = `
+    <div class="section-title">Your Data</div>
+    <div id="deletionBanner" style="display: none; margin-bottom: 16px; padding: 14px 16px; border-radius: 12px; background: #fef2f2; border: 1px solid #fecaca; color: #991b1b;"></div>
+    <p style="color: #64748b; margin-bottom: 16px;">Download everything IDEAI stores about you, or close your account.</p>
+    <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+      <button class="add-contact-btn" style="margin-top: 0;" onclick="downloadAccountData()">⬇️ Download my data</button>
+      <button class="add-contact-btn" style="margin-top: 0; background: #ef4444;" onclick="toggleDeletionForm()">Delete account</button>
+    </div>
+    <form id="deletionForm" onsubmit="requestAccountDeletion(event)" style="display: none; margin-top: 16px; padding: 16px; border-radius: 12px; background: #fff7f7; border: 1px solid #fecaca;">
+      <p style="margin-bottom: 12px; color: #991b1b;">Your account is deleted after a grace period. You will be signed out everywhere; log in again before the date shown to cancel.</p>
+      ${withProjects ? `
+      <label style="display: block; margin-bottom: 8px;"><input type="radio" name="deletionProjects" value="delete" checked> Delete my projects</label>
+      <label style="display: block; margin-bottom: 12px;"><input type="radio" name="deletionProjects" value="anonymize"> Keep my published projects without my name</label>
+      ` : ''}
+      <input type="password" id="deletionPassword" class="form-input" placeholder="Confirm with your password" required autocomplete="current-password" style="margin-bottom: 12px;">
+      <div id="deletionError" style="color: #dc2626; margin-bottom: 12px;"></div>
+      <button type="submit" class="add-contact-btn" style="margin-top: 0; background: #ef4444;">Schedule deletion</button>
+    </form>
+  `;
+  showPendingDeletion();
+}
+
+function toggleDeletionForm() {
+  const form = document.getElementById('deletionForm');
+  form.style.display = form.style.display === 'block' ? 'none' : 'block';
+}
+
+async function downloadAccountData() {
+  const username = localStorage.getItem('username');
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/user/${encodeURIComponent(username)}/export`);
+    const data = await response.json();
+    if (!data.success) {
+      alert(data.message || 'Could not export your data.');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(data.archive, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `ideai-${username}-${data.archive.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+    alert('Could not export your data. Please try again.');
+  }
+}
+
+async function requestAccountDeletion(event) {
+  event.preventDefault();
+  const errorEl = document.getElementById('deletionError');
+  const choice = document.querySelector('input[name="deletionProjects"]:checked');
+  errorEl.textContent = '';
+
+  if (!confirm('Schedule your account for deletion? You will be signed out on every device.')) return;
+
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/account/deletion`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        password: document.getElementById('deletionPassword').value,
+        projects: choice ? choice.value : 'delete'
+      })
+    });
+    const data = await response.json();
+    if (!data.success) {
+      errorEl.textContent = data.message || 'Could not schedule the deletion.';
+      return;
+    }
+
+    // Every session was revoked on the server
+    clearSession();
+    alert(`${data.message}\n\nScheduled for ${new Date(data.scheduledFor).toLocaleDateString()}.`);
+    window.location.href = 'index.html';
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    errorEl.textContent = 'Could not schedule the deletion. Please try again.';
+  }
+}
+
+// Show the pending deletion date with a way to cancel it
+async function showPendingDeletion() {
+  const banner = document.getElementById('deletionBanner');
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/session`);
+    const data = await response.json();
+    const scheduledFor = data.success && data.user.deletionScheduledFor;
+    if (!scheduledFor) {
+      banner.style.display = 'none';
+      return;
+    }
+
+    banner.innerHTML = `
+      Your account is scheduled for deletion on <strong>${escapeHtml(new Date(scheduledFor).toLocaleDateString())}</strong>.
+      <button class="add-contact-btn" style="margin: 0 0 0 12px; padding: 6px 14px;" onclick="cancelAccountDeletion()">Keep my account</button>
+    `;
+    banner.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading deletion status:', error);
+  }
+}
+
+async function cancelAccountDeletion() {
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/account/deletion`, { method: 'DELETE' });
+    const data = await response.json();
+    alert(data.message || 'Could not cancel the deletion.');
+    showPendingDeletion();
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    alert('Could not cancel the deletion. Please try again.');
+  }
+}
@@ -0,0 +1,233 @@
+// Shared project comments widget used by discover.html and
+// entrepreneur-account.html. Requires session.js and reports.js to be loaded first.
+const commentState = {
+  projectId: null,
+  listEl: null,
+  inputEl: null,
+  onChange: null,
+  replyTo: null,
+  page: 1,
+  comments: []
+};
+
+function findLoadedComment(commentId) {
+  for (const comment of commentState.comments) {
+    if (comment.id === commentId) return comment;
+    const reply = (comment.replies || []).find(r => r.id === commentId);
+    if (reply) return reply;
+  }
+  return null;
+}
+
+function renderComment(comment, isReply) {
+  let text = `<span translate="no">${escapeHtml(comment.body)}</span>`;
+  if (comment.deleted) {
+    text = '<em>This comment was deleted.</em>';
+  } else if (comment.hidden && !comment.body) {
+    text = comment.hiddenByModerator
+      ? '<em>This comment was hidden by a moderator.</em>'
+      : '<em>This comment was hidden by the project owner.</em>';
+  }
+
+  const actions = [];
+  if (!isReply && !comment.deleted && hasSession()) {
+    actions.push(`<button type="button" onclick="replyToComment('${comment.id}')">Reply</button>`);
+  }
+  if (comment.canEdit) {
+    actions.push(`<button type="button" onclick="editComment('${comment.id}')">Edit</button>`);
+    actions.push(`<button type="button" onclick="deleteComment('${comment.id}')">Delete</button>`);
+  }
+  if (hasSession() && !comment.canEdit && !comment.deleted && comment.author) {
+    actions.push(`<button type="button" onclick="reportContent('comment', '${comment.id}')">Report</button>`);
+  }
+  if (comment.canModerate && !comment.deleted && !comment.hiddenByModerator) {
+    actions.push(comment.hidden
+      ? `<button type="button" onclick="toggleCommentHidden('${comment.id}', false)">Unhide</button>`
+      : `<button type="button" onclick="toggleCommentHidden('${comment.id}', true)">Hide</button>`);
+  }
+
+  return `
+    <div class="comment-item${isReply ? ' comment-reply' : ''}${comment.hidden ? ' comment-hidden' : ''}">
+      <div class="comment-header">
+        ${comment.author ? `<div class="comment-author" translate="no">${escapeHtml(comment.author)}</div>` : '<div class="comment-author">Deleted</div>'}
+        <div class="comment-date">${new Date(comment.createdAt).toLocaleDateString()}${comment.edited ? ' (edited)' : ''}${comment.hidden ? ' · hidden' : ''}</div>
+      </div>
+      <div class="comment-text">${text}</div>
+      ${actions.length ? `<div class="comment-actions">${actions.join('')}</div>` : ''}
+      ${(comment.replies || []).map(reply => renderComment(reply, true)).join('')}
+    </div>
+  `;
+}
+
+function renderProjectComments(pagination) {
+  const { listEl } = commentState;
+  if (commentState.comments.length === 0) {
+    listEl.innerHTML = '<p style="text-align: center; color: #7b8ca6; font-style: italic;">No comments yet. Be the first to comment!</p>';
+    return;
+  }
+
+  listEl.innerHTML = commentState.comments.map(comment => renderComment(comment, false)).join('');
+  if (pagination && pagination.page < pagination.totalPages) {
+    listEl.innerHTML += '<button type="button" class="comment-load-more" onclick="loadMoreComments()">Load more comments</button>';
+  }
+}
+
+async function loadProjectCommentPage(page) {
+  const { projectId } = commentState;
+  try {
+    const res = await apiFetch(`${SESSION_API_URL}/api/projects/${encodeURIComponent(projectId)}/comments?page=${page}`);
+    const data = await res.json();
+    if (!data.success) {
+      commentState.listEl.innerHTML = `<p style="text-align: center; color: #e74c3c;">${escapeHtml(data.message || 'Could not load comments.')}</p>`;
+      return;
+    }
+
+    commentState.page = page;
+    commentState.comments = page === 1 ? data.comments : commentState.comments.concat(data.comments);
+    renderProjectComments(data.pagination);
+  } catch (error) {
+    console.error('Error loading comments:', error);
+    commentState.listEl.innerHTML = '<p style="text-align: center; color: #e74c3c;">Could not load comments.</p>';
+  }
+}
+
+function openProjectComments(projectId, { listEl, inputEl, onChange }) {
+  commentState.projectId = projectId;
+  commentState.listEl = listEl;
+  commentState.inputEl = inputEl;
+  commentState.onChange = onChange || null;
+  commentState.comments = [];
+  cancelCommentReply();
+  listEl.innerHTML = '<p style="text-align: center; color: #7b8ca6;">Loading comments...</p>';
+  return loadProjectCommentPage(1);
+}
+
+function closeProjectComments() {
+  if (commentState.inputEl) {
+    commentState.inputEl.value = '';
+  }
+  cancelCommentReply();
+  commentState.projectId = null;
+}
+
+function loadMoreComments() {
+  return loadProjectCommentPage(commentState.page + 1);
+}
+
+function replyToComment(commentId) {
+  const comment = findLoadedComment(commentId);
+  commentState.replyTo = commentId;
+  commentState.inputEl.placeholder = `Reply to ${comment && comment.author ? comment.author : 'comment'}...`;
+  commentState.inputEl.focus();
+}
+
+function cancelCommentReply() {
+  commentState.replyTo = null;
+  if (commentState.inputEl) {
+    commentState.inputEl.placeholder = 'Write your comment...';
+  }
+}
+
+async function afterCommentChange() {
+  await loadProjectCommentPage(1);
+  if (commentState.onChange) {
+    commentState.onChange();
+  }
+}
+
+async function submitProjectComment() {
+  if (!hasSession()) {
+    alert('Please sign in to add comments.');
+    return;
+  }
+
+  const body = commentState.inputEl.value.trim();
+  if (!body) {
+    alert('Please enter a comment.');
+    return;
+  }
+
+  if (!commentState.projectId) {
+    alert('No project selected for comment.');
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`${SESSION_API_URL}/api/projects/${encodeURIComponent(commentState.projectId)}/comments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body, parentId: commentState.replyTo })
+    });
+    const data = await res.json();
+    if (!data.success) {
+      alert(data.message || 'Error adding comment.');
+      return;
+    }
+
+    commentState.inputEl.value = '';
+    cancelCommentReply();
+    await afterCommentChange();
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    alert('Error adding comment. Please try again.');
+  }
+}
+
+async function editComment(commentId) {
+  const comment = findLoadedComment(commentId);
+  const body = prompt('Edit your comment:', comment ? comment.body : '');
+  if (body === null || !body.trim()) return;
+
+  try {
+    const res = await apiFetch(`${SESSION_API_URL}/api/projects/${encodeURIComponent(commentState.projectId)}/comments/${commentId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body: body.trim() })
+    });
+    const data = await res.json();
+    if (!data.success) {
+      alert(data.message || 'Error updating comment.');
+      return;
+    }
+    await afterCommentChange();
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    alert('Error updating comment. Please try again.');
+  }
+}
+
+async function deleteComment(commentId) {
+  if (!confirm('Delete this comment?')) return;
+
+  try {
+    const res = await apiFetch(`${SESSION_API_URL}/api/projects/${encodeURIComponent(commentState.projectId)}/comments/${commentId}`, {
+      method: 'DELETE'
+    });
+    const data = await res.json();
+    if (!data.success) {
+      alert(data.message || 'Error deleting comment.');
+      return;
+    }
+    await afterCommentChange();
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    alert('Error deleting comment. Please try again.');
+  }
+}
+
+async function toggleCommentHidden(commentId, hidden) {
+  try {
+    const res = await apiFetch(`${SESSION_API_URL}/api/projects/${encodeURIComponent(commentState.projectId)}/comments/${commentId}/${hidden ? 'hide' : 'unhide'}`, {
+      method: 'POST'
+    });
+    const data = await res.json();
+    if (!data.success) {
+      alert(data.message || 'Error updating comment.');
+      return;
+    }
+    await afterCommentChange();
+  } catch (error) {
+    console.error('Error moderating comment:', error);
+    alert('Error updating comment. Please try again.');
+  }
+}
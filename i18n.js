@@ -0,0 +1,133 @@
+// Page translation. Pages are written in English; for other languages the
+// strings are looked up in the "pages" section of locales/<language>.json, keyed
+// by the English text. Text added later by page scripts is translated as it
+// appears. Mark user content with translate="no" to keep it as written.
+// The chosen language is also sent to the API as Accept-Language (see session.js).
+const LANGUAGES = { en: 'English', tr: 'Türkçe' };
+const DEFAULT_LANGUAGE = 'en';
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEXTAREA', 'CODE', 'PRE']);
+
+let pageStrings = {};
+
+// Saved choice first, then the browser language
+function currentLanguage() {
+  const saved = localStorage.getItem('language');
+  if (LANGUAGES[saved]) return saved;
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return LANGUAGES[browser] ? browser : DEFAULT_LANGUAGE;
+}
+
+function translateText(text) {
+  const key = text.trim().replace(/\s+/g, ' ');
+  const translated = pageStrings[key];
+  return translated === undefined ? text : text.replace(text.trim(), () => translated);
+}
+
+function isSkipped(element) {
+  return !element || SKIPPED_TAGS.has(element.tagName) || !!element.closest('[translate="no"]');
+}
+
+function translateElement(element) {
+  if (isSkipped(element)) return;
+  for (const name of TRANSLATED_ATTRIBUTES) {
+    const value = element.getAttribute(name);
+    if (value) element.setAttribute(name, translateText(value));
+  }
+  if (element.tagName === 'INPUT' && (element.type === 'button' || element.type === 'submit') && element.value) {
+    element.value = translateText(element.value);
+  }
+}
+
+function translateNode(root) {
+  if (root.nodeType === Node.TEXT_NODE) {
+    if (!isSkipped(root.parentElement) && root.nodeValue.trim()) {
+      const translated = translateText(root.nodeValue);
+      if (translated !== root.nodeValue) root.nodeValue = translated;
+    }
+    return;
+  }
+  if (root.nodeType !== Node.ELEMENT_NODE || isSkipped(root)) return;
+
+  translateElement(root);
+  root.querySelectorAll('*').forEach(translateElement);
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let node;
+  while ((node = walker.nextNode())) {
+    if (node.nodeValue.trim() && !isSkipped(node.parentElement)) {
+      const translated = translateText(node.nodeValue);
+      if (translated !== node.nodeValue) node.nodeValue = translated;
+    }
+  }
+}
+
+function watchPage() {
+  const observer = new MutationObserver(mutations => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'characterData') translateNode(mutation.target);
+      else mutation.addedNodes.forEach(translateNode);
+    }
+  });
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+function renderLanguageSwitch() {
+  const language = currentLanguage();
+  const select = document.createElement('select');
+  select.id = 'languageSwitch';
+  select.setAttribute('aria-label', 'Language');
+  select.setAttribute('translate', 'no');
+  select.style.cssText = 'position: fixed; bottom: 16px; left: 16px; z-index: 1000; padding: 6px 10px; border: 1px solid #cbd5e1; border-radius: 8px; background: #fff; font-family: inherit; font-size: 0.9rem; cursor: pointer;';
+  select.innerHTML = Object.entries(LANGUAGES)
+    .map(([code, name]) => `<option value="${code}" ${code === language ? 'selected' : ''}>${name}</option>`)
+    .join('');
+  select.addEventListener('change', () => setLanguage(select.value));
+  document.body.appendChild(select);
+}
+
+// Remembers the choice, saves it on the profile when signed in and reloads the page
+async function setLanguage(language) {
+  if (!LANGUAGES[language]) return;
+  localStorage.setItem('language', language);
+
+  const username = localStorage.getItem('username');
+  if (typeof hasSession === 'function' && hasSession()) {
+    try {
+      await apiFetch(`${SESSION_API_URL}/api/user/${encodeURIComponent(username)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profile: { language } })
+      });
+    } catch (error) {
+      console.error('Could not save the language preference:', error);
+    }
+  }
+  window.location.reload();
+}
+
+async function loadPageStrings(language) {
+  const response = await fetch(`locales/${language}.json`);
+  if (!response.ok) throw new Error(`Catalog for "${language}" could not be loaded`);
+  const catalog = await response.json();
+  return catalog.pages || {};
+}
+
+(async function initTranslations() {
+  const language = currentLanguage();
+  document.documentElement.lang = language;
+  if (document.readyState === 'loading') {
+    await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+  }
+  renderLanguageSwitch();
+  if (language === DEFAULT_LANGUAGE) return;
+
+  try {
+    pageStrings = await loadPageStrings(language);
+  } catch (error) {
+    console.error('Error loading translations:', error);
+    return;
+  }
+  document.title = translateText(document.title);
+  translateNode(document.body);
+  watchPage();
+})();
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { storage } from './storage/index.js';
+import { sendMail, APP_URL } from './mail.js';
+import { DEFAULT_LOCALE, translate, preferredLocale } from './i18n.js';
+
+// Tek kullanımlık hesap token'ları (e-posta doğrulama, şifre sıfırlama).
+// Token'ın kendisi sadece e-postadaki bağlantıda durur; depoda SHA-256 özeti id olarak tutulur.
+export const TOKEN_PURPOSES = {
+  'verify-email': { ttlMinutes: Number(process.env.VERIFY_EMAIL_TTL_MINUTES) || 24 * 60 },
+  'reset-password': { ttlMinutes: Number(process.env.RESET_PASSWORD_TTL_MINUTES) || 60 }
+};
+
+// Aynı amaçla yeni e-posta istemeden önce beklenecek süre
+export const RESEND_COOLDOWN_SECONDS = Number(process.env.RESEND_COOLDOWN_SECONDS) || 60;
+
+// Şifre kuralları ortam değişkenlerinden okunur:
+//   PASSWORD_MIN_LENGTH  en az uzunluk (varsayılan 8)
+//   PASSWORD_REQUIRE     virgülle ayrılmış karakter sınıfları: letter, lower, upper, digit, symbol
+//                        (varsayılan letter,digit; boş bırakılırsa sadece uzunluk aranır)
+const CHARACTER_CLASSES = {
+  letter: { test: /\p{L}/u, label: 'a letter' },
+  lower: { test: /\p{Ll}/u, label: 'a lowercase letter' },
+  upper: { test: /\p{Lu}/u, label: 'an uppercase letter' },
+  digit: { test: /\d/, label: 'a number' },
+  symbol: { test: /[^\p{L}\d\s]/u, label: 'a symbol' }
+};
+
+export const PASSWORD_POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  require: (process.env.PASSWORD_REQUIRE ?? 'letter,digit')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => CHARACTER_CLASSES[name])
+};
+
+// Kural metni: { code, params, message }. İngilizce metin listeyi "a, b and c" diye
+// birleştirir; diğer dillerde katalogdaki şablon ve terms çevirileri kullanılır.
+function passwordPolicyError() {
+  const parts = PASSWORD_POLICY.require.map(name => CHARACTER_CLASSES[name].label);
+  const contains = parts.length > 1
+    ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`
+    : parts[0];
+  return {
+    code: parts.length ? 'PASSWORD_POLICY' : 'PASSWORD_POLICY_LENGTH',
+    params: { min: PASSWORD_POLICY.minLength, contains: parts },
+    message: `Password must be at least ${PASSWORD_POLICY.minLength} characters long` +
+      (contains ? ` and contain ${contains}.` : '.')
+  };
+}
+
+export function describePasswordPolicy(locale = DEFAULT_LOCALE) {
+  const { code, params, message } = passwordPolicyError();
+  return locale === DEFAULT_LOCALE ? message : translate(locale, code, params, message);
+}
+
+// Kurala uymayan şifre için alan hatası ({ code, params, message }), uyan için null.
+// Kullanıcı adı ya da e-postanın kendisi şifre olarak kabul edilmez.
+export function validatePassword(password, { username, email } = {}) {
+  if (typeof password !== 'string' || password.length < PASSWORD_POLICY.minLength) {
+    return passwordPolicyError();
+  }
+  if (PASSWORD_POLICY.require.some(name => !CHARACTER_CLASSES[name].test.test(password))) {
+    return passwordPolicyError();
+  }
+  const lowered = password.toLowerCase();
+  if ((username && lowered === String(username).toLowerCase()) || (email && lowered === String(email).toLowerCase())) {
+    return { code: 'PASSWORD_IS_IDENTITY', message: translate(DEFAULT_LOCALE, 'PASSWORD_IS_IDENTITY') };
+  }
+  return null;
+}
+
+// Doğrulama gelmeden önce açılmış hesaplarda alan yoktur; onlar doğrulanmış sayılır
+export function isEmailVerified(user) {
+  return !!user && user.emailVerified !== false;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Yeni token üretir. Aynı amaçla verilmiş önceki token'lar geçersiz olur,
+// böylece sadece en son gönderilen bağlantı çalışır.
+export async function issueToken(user, purpose) {
+  const { ttlMinutes } = TOKEN_PURPOSES[purpose];
+  const now = Date.now();
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await storage.tokens.removeWhere(t => (t.userId === user.id && t.purpose === purpose) || t.expiresAt <= now);
+  await storage.tokens.insert({
+    id: hashToken(token),
+    userId: user.id,
+    purpose,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + ttlMinutes * 60 * 1000
+  });
+
+  return { token, expiresAt: new Date(now + ttlMinutes * 60 * 1000).toISOString() };
+}
+
+// Geçerli token kaydı; geçersiz ya da süresi dolmuşsa null. Token'ı kullanmaz.
+export async function findToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const record = await storage.tokens.get(hashToken(token));
+  if (!record || record.purpose !== purpose || record.expiresAt <= Date.now()) return null;
+
+  return record;
+}
+
+// Token'ı kullanır ve siler; geçersiz, süresi dolmuş ya da zaten kullanılmışsa null
+export async function consumeToken(token, purpose) {
+  const record = await findToken(token, purpose);
+  if (!record) return null;
+
+  // Aynı token'la gelen eşzamanlı isteklerden sadece silmeyi başaran devam eder
+  if (!(await storage.tokens.remove(record.id))) return null;
+
+  return record;
+}
+
+// Bekleme süresi dolmadıysa kalan saniye, dolduysa 0
+export async function resendWaitSeconds(user, purpose) {
+  const latest = (await storage.tokens.find({ userId: user.id }))
+    .filter(t => t.purpose === purpose)
+    .reduce((max, t) => Math.max(max, new Date(t.createdAt).getTime()), 0);
+  const wait = latest + RESEND_COOLDOWN_SECONDS * 1000 - Date.now();
+  return wait > 0 ? Math.ceil(wait / 1000) : 0;
+}
+
+// E-postalar kullanıcının profilindeki dille yazılır
+export async function sendVerificationEmail(user) {
+  const { token } = await issueToken(user, 'verify-email');
+  const link = `${APP_URL}/verify-email.html?token=${token}`;
+  const hours = Math.round(TOKEN_PURPOSES['verify-email'].ttlMinutes / 60);
+  const locale = preferredLocale(user) || DEFAULT_LOCALE;
+
+  await sendMail({
+    to: user.email,
+    subject: translate(locale, 'MAIL_VERIFY_SUBJECT'),
+    text: [
+      translate(locale, 'MAIL_GREETING', { name: user.firstname }),
+      '',
+      translate(locale, 'MAIL_VERIFY_INTRO'),
+      '',
+      link,
+      '',
+      translate(locale, 'MAIL_VERIFY_EXPIRY', { count: hours })
+    ].join('\n')
+  });
+}
+
+export async function sendPasswordResetEmail(user) {
+  const { token } = await issueToken(user, 'reset-password');
+  const link = `${APP_URL}/reset-password.html?token=${token}`;
+  const minutes = TOKEN_PURPOSES['reset-password'].ttlMinutes;
+  const locale = preferredLocale(user) || DEFAULT_LOCALE;
+
+  await sendMail({
+    to: user.email,
+    subject: translate(locale, 'MAIL_RESET_SUBJECT'),
+    text: [
+      translate(locale, 'MAIL_GREETING', { name: user.firstname }),
+      '',
+      translate(locale, 'MAIL_RESET_INTRO'),
+      '',
+      link,
+      '',
+      translate(locale, 'MAIL_RESET_EXPIRY', { count: minutes })
+    ].join('\n')
+  });
+}
@@ -0,0 +1,224 @@
+import { storage } from './storage/index.js';
+import { revokeUserSessions } from './sessions.js';
+import { indexProject, indexUser } from './search.js';
+import { PROJECT_CATEGORIES, PROJECT_STATUSES, INVESTMENT_TYPES } from './projects.js';
+import { USER_TYPES } from './profiles.js';
+import { isEmailVerified } from './account.js';
+
+// Yönetici işlemleri: roller, hesap askıya alma, projeyi yayından kaldırma,
+// platform istatistikleri ve CSV dışa aktarma. Rotalar: routes/admin.js.
+// Rolü olmayan kullanıcılar 'user' sayılır; ilk yönetici `npm run admin:promote` ile atanır.
+export const USER_ROLES = ['user', 'admin'];
+
+export const MAX_PLATFORM_STATS_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function roleOf(user) {
+  return USER_ROLES.includes(user.role) ? user.role : 'user';
+}
+
+export async function setUserRole(user, role) {
+  const updated = await storage.users.update(user.id, u => {
+    if (role === 'user') delete u.role;
+    else u.role = role;
+    return u;
+  });
+  return updated;
+}
+
+// Askıdaki hesap giriş yapamaz; açık oturumları hemen kapatılır
+export async function suspendUser(user, { by, reason }) {
+  const updated = await storage.users.update(user.id, u => {
+    u.suspended = { at: new Date().toISOString(), by, reason };
+    return u;
+  });
+  await revokeUserSessions(user.id);
+  indexUser(updated);
+  return updated;
+}
+
+export async function reactivateUser(user) {
+  const updated = await storage.users.update(user.id, u => {
+    delete u.suspended;
+    return u;
+  });
+  indexUser(updated);
+  return updated;
+}
+
+// Proje taslağa çekilir; sahibi yönetici geri açana kadar yeniden yayınlayamaz
+export async function unpublishProject(project, { by, reason }) {
+  const updated = await storage.projects.update(project.id, p => {
+    const now = new Date().toISOString();
+    p.unpublished = { at: now, by, reason, previousStatus: p.status };
+    p.status = 'draft';
+    p.statusChangedAt = now;
+    p.updatedAt = now;
+    return p;
+  });
+  indexProject(updated);
+  return updated;
+}
+
+// Önceki durum sadece proje hâlâ kaldırıldığı taslak durumundaysa geri yüklenir. Sahibi
+// bu arada arşivlediyse arşivde kalır; arşivden başka bir duruma dönülemez.
+export async function republishProject(project) {
+  const updated = await storage.projects.update(project.id, p => {
+    const now = new Date().toISOString();
+    if (p.status === 'draft' && p.status !== p.unpublished.previousStatus) {
+      p.status = p.unpublished.previousStatus;
+      p.statusChangedAt = now;
+    }
+    delete p.unpublished;
+    p.updatedAt = now;
+    return p;
+  });
+  indexProject(updated);
+  return updated;
+}
+
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function countBy(records, keyOf, keys) {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  for (const record of records) {
+    const key = keyOf(record);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+// Pencere içinde giriş yapan, teklif veren, beğenen, favorileyen ya da proje gezen yatırımcılar
+async function activeInvestors(investors, since) {
+  const names = new Set(investors.map(u => u.username));
+  const recent = record => new Date(record.createdAt) >= since;
+  const active = new Set();
+
+  const [logins, offers, likes, events] = await Promise.all([
+    storage.audit.find({ event: 'login.succeeded' }),
+    storage.offers.find(recent),
+    storage.likes.find(recent),
+    storage.events.find(recent)
+  ]);
+  for (const entry of logins) if (recent(entry)) active.add(entry.actor);
+  for (const offer of offers) active.add(offer.investor);
+  for (const like of likes) active.add(like.username);
+  for (const event of events) active.add(event.visitor);
+  for (const investor of investors) {
+    const saved = Object.values(investor.favoritedAt || {});
+    if (saved.some(at => new Date(at) >= since)) active.add(investor.username);
+  }
+
+  return [...active].filter(name => names.has(name)).length;
+}
+
+// Son `days` günün (bugün dahil, UTC) kayıt serisi, proje dağılımları ve aktif yatırımcılar.
+// Demo kayıtları sayılmaz.
+export async function platformStats({ days = 30, now = Date.now() } = {}) {
+  const since = new Date(dayOf(now - (days - 1) * DAY_MS));
+  const users = (await storage.users.find()).filter(u => !u.isDemo);
+  const projects = (await storage.projects.find()).filter(p => !p.isDemo);
+
+  const signups = [];
+  const byDay = new Map();
+  for (let i = 0; i < days; i++) {
+    const entry = { date: dayOf(since.getTime() + i * DAY_MS), total: 0, ...Object.fromEntries(USER_TYPES.map(t => [t, 0])) };
+    signups.push(entry);
+    byDay.set(entry.date, entry);
+  }
+  for (const user of users) {
+    const day = user.createdAt && byDay.get(dayOf(user.createdAt));
+    if (!day) continue;
+    day.total += 1;
+    day[user.userType] = (day[user.userType] || 0) + 1;
+  }
+
+  const investors = users.filter(u => u.userType === 'investor');
+  const seeking = projects.filter(p => p.lookingForInvestment && p.investmentData);
+  const active = await activeInvestors(investors, since);
+
+  return {
+    days,
+    since: since.toISOString(),
+    users: {
+      total: users.length,
+      byType: countBy(users, u => u.userType, USER_TYPES),
+      byRole: countBy(users, roleOf, USER_ROLES),
+      suspended: users.filter(u => u.suspended).length,
+      newInPeriod: signups.reduce((sum, day) => sum + day.total, 0)
+    },
+    signups,
+    projects: {
+      total: projects.length,
+      byStatus: countBy(projects, p => p.status, PROJECT_STATUSES),
+      byCategory: countBy(projects, p => p.category, PROJECT_CATEGORIES),
+      byInvestmentType: countBy(seeking, p => p.investmentData.investmentType, INVESTMENT_TYPES),
+      lookingForInvestment: seeking.length,
+      unpublished: projects.filter(p => p.unpublished).length
+    },
+    investors: {
+      total: investors.length,
+      active,
+      activeShare: investors.length > 0 ? Math.round((active / investors.length) * 1000) / 10 : 0
+    }
+  };
+}
+
+// Tablolama programları =, +, - ya da @ ile başlayan hücreyi formül sayar
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, records) {
+  const lines = [columns.map(([header]) => csvCell(header)).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(([, valueOf]) => csvCell(valueOf(record))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+const USER_COLUMNS = [
+  ['id', u => u.id],
+  ['username', u => u.username],
+  ['firstname', u => u.firstname],
+  ['lastname', u => u.lastname],
+  ['email', u => u.email],
+  ['userType', u => u.userType],
+  ['role', roleOf],
+  ['emailVerified', isEmailVerified],
+  ['suspended', u => !!u.suspended],
+  ['suspendedReason', u => (u.suspended ? u.suspended.reason : '')],
+  ['demo', u => !!u.isDemo],
+  ['createdAt', u => u.createdAt]
+];
+
+const PROJECT_COLUMNS = [
+  ['id', p => p.id],
+  ['title', p => p.title],
+  ['creator', p => p.creator],
+  ['category', p => p.category],
+  ['status', p => p.status],
+  ['funding', p => p.funding || 0],
+  ['lookingForInvestment', p => !!p.lookingForInvestment],
+  ['investmentType', p => (p.investmentData ? p.investmentData.investmentType : '')],
+  ['fundingAmount', p => (p.investmentData ? p.investmentData.fundingAmount : '')],
+  ['likes', p => p.likes || 0],
+  ['comments', p => p.commentCount || 0],
+  ['unpublished', p => !!p.unpublished],
+  ['demo', p => !!p.isDemo],
+  ['createdAt', p => p.createdAt],
+  ['updatedAt', p => p.updatedAt]
+];
+
+export function usersCsv(users) {
+  return toCsv(USER_COLUMNS, users);
+}
+
+export function projectsCsv(projects) {
+  return toCsv(PROJECT_COLUMNS, projects);
+}
@@ -0,0 +1,155 @@
+import { createHash } from 'crypto';
+import { storage, createId } from './storage/index.js';
+import { createRateLimiter } from './ratelimit.js';
+
+// Proje etkinlik takibi. Beğeni ve favori olaylarını sunucu kendisi kaydeder;
+// görüntüleme, detay ve iletişim tıklamaları istemciden POST /api/events ile gelir.
+export const PROJECT_EVENT_TYPES = ['view', 'detail', 'favorite', 'unfavorite', 'like', 'contact'];
+export const CLIENT_EVENT_TYPES = ['view', 'detail', 'contact'];
+export const AUDIENCES = ['investor', 'entrepreneur', 'guest'];
+
+// Huni adımları sırayla; bir ziyaretçi ulaştığı en ileri adıma kadar her adımda sayılır
+const FUNNEL_STEPS = [
+  { step: 'view', label: 'Saw the project', types: ['view'] },
+  { step: 'detail', label: 'Opened details', types: ['detail'] },
+  { step: 'engaged', label: 'Liked or saved', types: ['like', 'favorite'] },
+  { step: 'contact', label: 'Got in touch', types: ['contact'] }
+];
+
+export const MAX_STATS_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aynı ziyaretçinin aynı projede aynı olayı bu süre içinde bir kez sayılır
+const repeats = createRateLimiter({
+  windowMs: (Number(process.env.EVENT_DEDUPE_MINUTES) || 30) * 60 * 1000,
+  max: 1
+});
+
+// Girişsiz ziyaretçiler IP'nin özetiyle ayırt edilir; IP'nin kendisi saklanmaz
+function visitorOf(req) {
+  if (req.user) return req.user.username;
+  const ip = req.ip || 'unknown';
+  return `guest:${createHash('sha256').update(ip).digest('hex').slice(0, 16)}`;
+}
+
+function audienceOf(user) {
+  if (!user) return 'guest';
+  return user.userType === 'investor' ? 'investor' : 'entrepreneur';
+}
+
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Olayları tek yazmada kaydeder. Sahibin kendi projesindeki hareketleri ve kısa sürede
+// tekrarlanan olaylar sayılmaz. Kayıt yazılamazsa asıl istek bozulmaz, hata sadece
+// günlüğe yazılır. Kaydedilen olayları döndürür.
+export async function recordProjectEvents(type, { req, projects }) {
+  try {
+    const visitor = visitorOf(req);
+    const now = new Date().toISOString();
+    const events = [];
+    for (const project of projects) {
+      if (req.user && req.user.username === project.creator) continue;
+
+      const key = `${project.id}:${type}:${visitor}`;
+      if (repeats.retryAfter(key) > 0) continue;
+      repeats.hit(key);
+
+      events.push({
+        id: createId(),
+        projectId: project.id,
+        type,
+        visitor,
+        audience: audienceOf(req.user),
+        createdAt: now
+      });
+    }
+    if (events.length > 0) await storage.events.insertMany(events);
+    return events;
+  } catch (error) {
+    console.error('Project event error:', error);
+    return [];
+  }
+}
+
+export async function recordProjectEvent(type, { req, project }) {
+  const [event] = await recordProjectEvents(type, { req, projects: [project] });
+  return event || null;
+}
+
+function emptyCounts() {
+  return Object.fromEntries(PROJECT_EVENT_TYPES.map(type => [type, 0]));
+}
+
+function rate(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+function funnelOf(events) {
+  const reached = new Map();
+  for (const event of events) {
+    const index = FUNNEL_STEPS.findIndex(s => s.types.includes(event.type));
+    if (index === -1) continue;
+    const current = reached.get(event.visitor);
+    if (!current || current.index < index) {
+      reached.set(event.visitor, { index, audience: event.audience });
+    }
+  }
+
+  let previous = null;
+  return FUNNEL_STEPS.map(({ step, label }, index) => {
+    const visitors = [...reached.values()].filter(r => r.index >= index);
+    const count = visitors.length;
+    const entry = {
+      step,
+      label,
+      visitors: count,
+      investors: visitors.filter(r => r.audience === 'investor').length,
+      entrepreneurs: visitors.filter(r => r.audience === 'entrepreneur').length,
+      conversion: previous === null ? 100 : rate(count, previous)
+    };
+    previous = count;
+    return entry;
+  });
+}
+
+// Son `days` günün (bugün dahil, UTC) günlük serisi, tür ve kitle toplamları ve huni
+export async function projectStats(projectId, { days = 30, now = Date.now() } = {}) {
+  const start = new Date(dayOf(now - (days - 1) * DAY_MS));
+  const events = (await storage.events.find({ projectId }))
+    .filter(e => new Date(e.createdAt) >= start);
+
+  const series = [];
+  const byDay = new Map();
+  for (let i = 0; i < days; i++) {
+    const date = dayOf(start.getTime() + i * DAY_MS);
+    const entry = { date, ...emptyCounts(), investor: 0, entrepreneur: 0, guest: 0 };
+    series.push(entry);
+    byDay.set(date, entry);
+  }
+
+  const totals = Object.fromEntries(PROJECT_EVENT_TYPES.map(type => [
+    type,
+    { total: 0, ...Object.fromEntries(AUDIENCES.map(a => [a, 0])) }
+  ]));
+
+  for (const event of events) {
+    const day = byDay.get(dayOf(event.createdAt));
+    if (day) {
+      day[event.type] += 1;
+      day[event.audience] += 1;
+    }
+    totals[event.type].total += 1;
+    totals[event.type][event.audience] += 1;
+  }
+
+  return {
+    days,
+    since: start.toISOString(),
+    totals,
+    uniqueVisitors: new Set(events.map(e => e.visitor)).size,
+    series,
+    funnel: funnelOf(events)
+  };
+}
@@ -0,0 +1,77 @@
+import { storage, createId } from './storage/index.js';
+
+// Güvenlik denetim kaydı. Kayıtlar sadece eklenir ve yöneticiler tarafından sadece
+// okunur; tek değişiklik, silinen hesabın adının kayıtlardan çıkarılmasıdır.
+export const AUDIT_EVENTS = [
+  'login.succeeded',
+  'login.failed',
+  'login.locked',
+  'password.changed',
+  'project.deleted',
+  'account.deletion-requested',
+  'account.deletion-cancelled',
+  'account.deleted',
+  'user.suspended',
+  'user.reactivated',
+  'user.role-changed',
+  'project.unpublished',
+  'project.republished',
+  'report.resolved'
+];
+
+function requestInfo(req) {
+  if (!req) return { ip: null, userAgent: null };
+  return {
+    ip: req.ip || null,
+    userAgent: req.get ? req.get('user-agent') || null : null
+  };
+}
+
+// Olayı kaydeder. Kayıt yazılamazsa asıl istek bozulmaz, hata sadece günlüğe yazılır.
+export async function recordAudit(event, { req, actor = null, target = null, details = null } = {}) {
+  try {
+    const entry = {
+      id: createId(),
+      event,
+      actor,
+      target,
+      ...requestInfo(req),
+      details,
+      createdAt: new Date().toISOString()
+    };
+    await storage.audit.insert(entry);
+    return entry;
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+}
+
+// Silinen hesabın yaptığı ya da ona yapılan olaylarda adı (ve girişte yazılan
+// e-postası) yerine tombstone yazılır
+export async function anonymizeAudit(names, tombstone) {
+  const matches = name => names.includes(name);
+  for (const entry of await storage.audit.find(e => matches(e.actor) || matches(e.target))) {
+    await storage.audit.update(entry.id, e => {
+      if (matches(e.actor)) e.actor = tombstone;
+      if (matches(e.target)) e.target = tombstone;
+      return e;
+    });
+  }
+}
+
+// Filtrelere uyan kayıtlar, en yenisi önce. username, kullanıcının yaptığı
+// ya da ona yapılan (ör. hesabına hatalı giriş) olayları bulur.
+export async function queryAudit({ event, username, since, until, before, limit }) {
+  const entries = (await storage.audit.find(event ? { event } : {}))
+    .filter(e => !username || e.actor === username || e.target === username)
+    .filter(e => !since || new Date(e.createdAt) >= since)
+    .filter(e => !until || new Date(e.createdAt) <= until)
+    .filter(e => !before || new Date(e.createdAt) < before)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return {
+    entries: entries.slice(0, limit),
+    hasMore: entries.length > limit
+  };
+}
@@ -0,0 +1,67 @@
+import { storage } from './storage/index.js';
+import { verifySession, revokeSession, getTokenFromRequest } from './sessions.js';
+
+// Token'daki oturumdan kullanıcıyı bulur; bulunamazsa null
+async function loadSessionUser(req) {
+  const token = getTokenFromRequest(req);
+  const session = token ? await verifySession(token) : null;
+  if (!session) return null;
+
+  // Askıya alınan hesabın kalan oturumları da geçersizdir
+  const user = await storage.users.get(session.userId);
+  if (!user || user.suspended) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  return { user, session };
+}
+
+// Auth middleware: token'daki oturumdan kullanıcıyı bulur, req.user'a koyar
+export async function requireAuth(req, res, next) {
+  try {
+    const auth = await loadSessionUser(req);
+
+    if (!auth) {
+      return res.status(401).json({ 
+        success: false, 
+        code: 'AUTH_REQUIRED' 
+      });
+    }
+
+    req.user = auth.user;
+    req.authSession = auth.session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+export function isAdmin(user) {
+  return !!user && user.role === 'admin';
+}
+
+// Sadece yöneticiler; requireAuth'tan sonra kullanılır
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ 
+      success: false, 
+      code: 'ADMIN_REQUIRED' 
+    });
+  }
+  next();
+}
+
+// Token varsa kullanıcıyı yükler, yoksa misafir olarak devam eder
+export async function optionalAuth(req, res, next) {
+  try {
+    const auth = await loadSessionUser(req);
+    if (auth) {
+      req.user = auth.user;
+      req.authSession = auth.session;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,9 @@
+// Demo kayıtları (isDemo: true) gerçek kayıtlarla aynı depoda durur.
+// SHOW_DEMO_DATA=false ile gizlenir; ayarlanmamışsa production dışında görünür.
+export const SHOW_DEMO_DATA = process.env.SHOW_DEMO_DATA
+  ? process.env.SHOW_DEMO_DATA === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+export function isHiddenDemo(record) {
+  return !!record && !!record.isDemo && !SHOW_DEMO_DATA;
+}
@@ -0,0 +1,87 @@
+import { storage } from './storage/index.js';
+import { sendMail, APP_URL } from './mail.js';
+import { getPreferences, describeNotification } from './notifications.js';
+import { isEmailVerified } from './account.js';
+import { DEFAULT_LOCALE, translate, preferredLocale } from './i18n.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+// Zamanlayıcı bu aralıkla kimin özetinin geldiğine bakar
+export const DIGEST_CHECK_MINUTES = Number(process.env.DIGEST_CHECK_MINUTES) || 60;
+
+function buildDigest(user, notifications) {
+  const locale = preferredLocale(user) || DEFAULT_LOCALE;
+  const lines = notifications.map(n => `• ${describeNotification(n, locale)}`);
+  return {
+    subject: translate(locale, 'MAIL_DIGEST_SUBJECT', { count: notifications.length }),
+    text: [
+      user.firstname ? translate(locale, 'MAIL_GREETING', { name: user.firstname }) : translate(locale, 'MAIL_GREETING_ANONYMOUS'),
+      '',
+      translate(locale, 'MAIL_DIGEST_INTRO'),
+      '',
+      ...lines,
+      '',
+      translate(locale, 'MAIL_DIGEST_SEE_ALL', { url: `${APP_URL}/notifications.html` }),
+      translate(locale, 'MAIL_DIGEST_PREFERENCES', { url: `${APP_URL}/notifications.html#preferences` })
+    ].join('\n')
+  };
+}
+
+// Özeti gelmiş her kullanıcıya okunmamış, e-postası açık ve daha önce gönderilmemiş
+// bildirimlerini tek e-postada yollar. force ile süre beklenmez (betikten elle çalıştırma).
+export async function runDigest({ now = new Date(), force = false } = {}) {
+  const result = { users: 0, emails: 0, notifications: 0, failed: 0 };
+  // Doğrulanmamış adreslere e-posta gönderilmez
+  const users = await storage.users.find(u => !!u.password && !!u.email && isEmailVerified(u));
+
+  for (const user of users) {
+    const { digest } = getPreferences(user);
+    const period = PERIODS[digest];
+    if (!period) continue;
+
+    const last = user.lastDigestAt ? new Date(user.lastDigestAt).getTime() : 0;
+    if (!force && now.getTime() - last < period) continue;
+    result.users++;
+
+    const pending = (await storage.notifications.find({ recipient: user.username }))
+      .filter(n => n.channels.email && !n.emailedAt && !n.read)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    if (pending.length > 0) {
+      try {
+        await sendMail({ to: user.email, ...buildDigest(user, pending) });
+      } catch (error) {
+        // Gönderilemeyen özet bir sonraki turda tekrar denenir
+        console.error(`Digest email to ${user.username} failed:`, error.message);
+        result.failed++;
+        continue;
+      }
+      const emailedAt = now.toISOString();
+      for (const notification of pending) {
+        await storage.notifications.update(notification.id, n => {
+          n.emailedAt = emailedAt;
+          return n;
+        });
+      }
+      result.emails++;
+      result.notifications += pending.length;
+    }
+
+    await storage.users.update(user.id, u => {
+      u.lastDigestAt = now.toISOString();
+      return u;
+    });
+  }
+
+  return result;
+}
+
+export function startDigestScheduler() {
+  const timer = setInterval(() => {
+    runDigest().catch(error => console.error('Digest error:', error));
+  }, DIGEST_CHECK_MINUTES * 60 * 1000);
+  // Zamanlayıcı süreci açık tutmasın
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,132 @@
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { storage, createId } from './storage/index.js';
+import { slugify } from './text.js';
+import { SearchIndex, matchDocuments } from './search.js';
+
+// Yardım merkezi makaleleri (SSS ve bilgi bankası). Depo boşsa ilk kullanımda
+// fixtures/help-articles.json dosyasıyla doldurulur. Arama proje aramasıyla aynı
+// indeks yapısını kullanır ama ayrı bir indekstir; makaleler /api/search'te çıkmaz.
+export const HELP_CATEGORIES = ['getting-started', 'projects', 'matching', 'account', 'security', 'billing'];
+
+const ARTICLES_FILE = fileURLToPath(new URL('../fixtures/help-articles.json', import.meta.url));
+const ARTICLE_FIELDS = { title: 5, tags: 3, body: 1 };
+
+let index = null;
+let building = null;
+let pendingOps = [];
+
+function articleEntry(article) {
+  return {
+    key: article.id,
+    doc: { article, weights: ARTICLE_FIELDS },
+    fields: { title: article.title, tags: article.tags || [], body: article.body }
+  };
+}
+
+function apply(op) {
+  if (op.article) {
+    const entry = articleEntry(op.article);
+    index.add(entry.key, entry.doc, entry.fields);
+  } else {
+    index.remove(op.id);
+  }
+}
+
+function enqueue(op) {
+  if (index) apply(op);
+  else if (building) pendingOps.push(op);
+}
+
+async function seedArticles() {
+  const fixtures = JSON.parse(await fs.readFile(ARTICLES_FILE, 'utf-8'));
+  const now = new Date().toISOString();
+  for (const [order, fixture] of fixtures.entries()) {
+    await storage.articles.insert({ id: createId(), ...fixture, order, createdAt: now, updatedAt: now });
+  }
+}
+
+async function ensureIndex() {
+  if (index) return index;
+  if (!building) {
+    building = (async () => {
+      if ((await storage.articles.count()) === 0) await seedArticles();
+      const built = new SearchIndex();
+      for (const article of await storage.articles.find()) {
+        const entry = articleEntry(article);
+        built.add(entry.key, entry.doc, entry.fields);
+      }
+      index = built;
+      pendingOps.forEach(apply);
+      pendingOps = [];
+      return index;
+    })().finally(() => {
+      building = null;
+    });
+  }
+  return building;
+}
+
+function byOrder(a, b) {
+  return HELP_CATEGORIES.indexOf(a.category) - HELP_CATEGORIES.indexOf(b.category) || (a.order || 0) - (b.order || 0);
+}
+
+// Sorgu verilirse eşleşenler puana göre, verilmezse hepsi kategori sırasıyla döner.
+// Sonuç: [{ article, score, highlights }]
+export async function findArticles({ q, category } = {}) {
+  const idx = await ensureIndex();
+  const inCategory = article => !category || article.category === category;
+
+  if (!q) {
+    return [...idx.docs.values()]
+      .map(doc => doc.article)
+      .filter(inCategory)
+      .sort(byOrder)
+      .map(article => ({ article, score: null, highlights: {} }));
+  }
+
+  return matchDocuments(idx, q)
+    .filter(({ doc }) => inCategory(doc.article))
+    .sort((a, b) => b.score - a.score || byOrder(a.doc.article, b.doc.article))
+    .map(({ doc, score, highlights }) => ({ article: doc.article, score: Math.round(score * 100) / 100, highlights }));
+}
+
+export async function getArticle(idOrSlug) {
+  await ensureIndex();
+  return await storage.articles.get(idOrSlug) || storage.articles.findOne({ slug: idOrSlug });
+}
+
+export async function createArticle(fields) {
+  await ensureIndex();
+  const now = new Date().toISOString();
+  const id = createId();
+  const article = {
+    id,
+    slug: fields.slug || slugify(fields.title) || id,
+    category: fields.category,
+    title: fields.title,
+    body: fields.body,
+    tags: fields.tags || [],
+    order: fields.order !== undefined ? fields.order : await storage.articles.count({ category: fields.category }),
+    createdAt: now,
+    updatedAt: now
+  };
+  await storage.articles.insert(article);
+  enqueue({ article });
+  return article;
+}
+
+export async function updateArticle(article, changes) {
+  const updated = await storage.articles.update(article.id, a => {
+    Object.assign(a, changes);
+    a.updatedAt = new Date().toISOString();
+    return a;
+  });
+  enqueue({ article: updated });
+  return updated;
+}
+
+export async function deleteArticle(article) {
+  await storage.articles.remove(article.id);
+  enqueue({ id: article.id });
+}
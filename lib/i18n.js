@@ -0,0 +1,88 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+// Sunucu mesajlarının yerelleştirilmesi. Cevaplar sabit bir `code` taşır; metin
+// locales/<dil>.json kataloğundaki messages bölümünden seçilir. Kataloglar
+// istemciye de statik olarak servis edilir; sayfa metinleri pages bölümündedir (bkz. i18n.js).
+//   messages: kod -> şablon. "{ad}" params'tan doldurulur; { one, other } biçimi params.count'a göre seçilir
+//   terms:    İngilizce alan adı ya da değer -> çevirisi; string parametreler (dizilerde her eleman) bu sözlükten geçer
+// Kaynak dil İngilizcedir; çevirisi olmayan kod İngilizce metne düşer.
+export const LOCALES = ['en', 'tr'];
+export const DEFAULT_LOCALE = 'en';
+
+function loadCatalog(locale) {
+  const file = fileURLToPath(new URL(`../locales/${locale}.json`, import.meta.url));
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+// Kataloglar her cevapta gerektiği için açılışta bir kez okunur
+const CATALOGS = Object.fromEntries(LOCALES.map(locale => [locale, loadCatalog(locale)]));
+
+function lookup(locale, code) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  return catalog.messages[code] !== undefined ? catalog.messages[code] : CATALOGS[DEFAULT_LOCALE].messages[code];
+}
+
+// Bilinmeyen kod için fallback (o da yoksa kodun kendisi) döner
+export function translate(locale, code, params = {}, fallback) {
+  let template = lookup(locale, code);
+  if (template === undefined) return fallback !== undefined ? fallback : code;
+  if (typeof template === 'object') {
+    template = params.count === 1 ? template.one : template.other;
+  }
+
+  const terms = (CATALOGS[locale] || {}).terms || {};
+  const term = value => typeof value === 'string' && terms[value] !== undefined ? terms[value] : String(value);
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return Array.isArray(value) ? value.map(term).join(', ') : term(value);
+  });
+}
+
+// Kullanıcının profilinde kayıtlı dil; yoksa null. E-posta ve canlı bildirim gibi
+// istek dışında üretilen metinler bu dille yazılır.
+export function preferredLocale(user) {
+  const preferred = user && user.profile && user.profile.language;
+  return LOCALES.includes(preferred) ? preferred : null;
+}
+
+// Profilde kayıtlı tercih, yoksa Accept-Language, yoksa varsayılan dil.
+// req.user sadece requireAuth/optionalAuth'tan geçen isteklerde doludur.
+export function localeOf(req) {
+  return preferredLocale(req.user) || req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+}
+
+// Doğrulama hataları İngilizce mesajla üretilir; başka dilde kodu olanlar çevrilir.
+// Kodu olmayan hatalar olduğu gibi kalır.
+export function localizeErrors(req, errors) {
+  const locale = localeOf(req);
+  return errors.map(error => {
+    if (!error.code || (error.message !== undefined && locale === DEFAULT_LOCALE)) return error;
+    return { ...error, message: translate(locale, error.code, error.params, error.message) };
+  });
+}
+
+// Express ara katmanı: `code` taşıyıp `message` içermeyen JSON cevaplara isteğin
+// dilinde mesaj ekler. Diğer ara katmanlardan önce kurulmalıdır.
+export function localizeResponses(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (body && typeof body === 'object' && body.code && body.message === undefined) {
+      const locale = localeOf(req);
+      const { params, ...rest } = body;
+      res.vary('Accept-Language');
+      res.set('Content-Language', locale);
+      // message code'un hemen ardından gelsin
+      return json({
+        success: rest.success,
+        code: rest.code,
+        message: translate(locale, body.code, params),
+        ...rest,
+        ...(params ? { params } : {})
+      });
+    }
+    return json(body);
+  };
+  next();
+}
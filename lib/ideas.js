@@ -0,0 +1,386 @@
+import { randomInt } from 'crypto';
+import { normalize } from './text.js';
+
+// Fikir üretici. Şablonlar kategori, hedef kitle, bütçe, aşama, ekip büyüklüğü,
+// iş modeli ve sosyal etki seçimlerinden cümle cümle birleştirilir. Aynı seed
+// ve aynı girdilerle her zaman aynı fikirler üretilir.
+
+// Her kategorinin ana ürün fikirleri
+const CONCEPTS = {
+  tech: [
+    'AI-powered productivity app', 'Automation tool for daily tasks', 'Mobile solution for efficiency',
+    'Data analytics platform', 'EdTech innovation', 'Remote work assistant', 'IoT device manager',
+    'Smart scheduling tool', 'Digital privacy enhancer', 'Cloud sync platform'
+  ],
+  fashion: [
+    'Sustainable fashion collection', 'Personalized style advisor', 'Online second-hand marketplace',
+    'Smart textile product', 'Fashion subscription service', 'Virtual fitting room',
+    'Fashion influencer platform', 'Eco-friendly accessories', 'AI-based trend predictor', 'Custom print apparel'
+  ],
+  health: [
+    'Digital health journal', 'Home workout application', 'Nutrition tracking tool', 'Mental wellness assistant',
+    'Personal health coach', 'Telemedicine connector', 'Sleep improvement app', 'Healthy habit tracker',
+    'Stress relief platform', 'Remote patient monitor'
+  ],
+  environment: [
+    'Recycling tracking system', 'Carbon footprint calculator', 'Eco-friendly product guide',
+    'Community garden platform', 'Energy saving app', 'Green commute planner', 'Wildlife observation app',
+    'Water usage monitor', 'Sustainable event planner', 'Clean air index tool'
+  ],
+  education: [
+    'Personalized learning platform', 'Online exam prep tool', 'Parent guidance app', 'Educational game',
+    'Remote learning community', 'Language learning assistant', 'STEM challenge hub', 'Peer tutoring network',
+    'Homework helper bot', 'Virtual classroom tool'
+  ],
+  art: [
+    'Digital art gallery', 'Portfolio tool for artists', 'Creative workshop platform', 'AI-powered art creation',
+    'Online exhibition experience', 'Art commission marketplace', 'Music collaboration app', '3D modeling hub',
+    'Virtual open mic', 'NFT art platform'
+  ],
+  business: [
+    'CRM for small businesses', 'Invoice & finance management', 'E-commerce automation tool',
+    'Marketing campaign platform', 'Investor matching app', 'Business analytics dashboard',
+    'Remote team manager', 'Supplier finder', 'Digital contract tool', 'Startup pitch builder'
+  ],
+  media: [
+    'Podcast production platform', 'Video content editor', 'Social media analytics tool',
+    'Digital publishing platform', 'Crowdfunded media project', 'Live streaming toolkit',
+    'Content idea generator', 'Influencer campaign manager', 'Newsletter builder', 'Audio transcription app'
+  ],
+  science: [
+    'Scientific data sharing network', 'Experiment simulation tool', 'Collaboration platform for researchers',
+    'STEM education app', 'Science news application', 'Lab inventory manager', 'Field research tracker',
+    'Open access journal hub', 'Citizen science platform', 'Research funding finder'
+  ],
+  pets: [
+    'Pet health monitoring app', 'Pet sitting marketplace', 'Pet training platform', 'Pet food delivery service',
+    'Pet grooming booking app', 'Pet adoption network', 'Pet insurance comparison tool',
+    'Pet social media platform', 'Pet emergency alert system', 'Pet-friendly travel guide'
+  ]
+};
+
+export const IDEA_CATEGORIES = Object.keys(CONCEPTS);
+
+export const IDEA_AUDIENCES = [
+  'students', 'young professionals', 'professors', 'parents', 'entrepreneurs', 'small business owners',
+  'healthcare workers', 'teachers', 'artists', 'seniors', 'children', 'general public'
+];
+
+export const IDEA_TIMEFRAMES = ['1 week', '2 weeks', '1 month', '3 months', '6 months', '1 year'];
+
+export const IDEA_STAGES = [
+  'Just an idea', 'Planning phase', 'Development started', 'Prototype ready', 'Ready to launch'
+];
+
+export const IDEA_TEAM_SIZES = ['Solo', 'Small team', 'Medium team', 'Large team', 'Open to hiring'];
+
+export const IDEA_SOCIAL_IMPACTS = ['High', 'Medium', 'Low', 'None', 'Environmental', 'Educational', 'Healthcare'];
+
+export const IDEA_CURRENCIES = ['TL', 'USD', 'EUR'];
+
+// Her iş modelinin ürünü anlatma biçimleri ve önerilen yatırım türü
+const BUSINESS_MODELS = {
+  'Online platform': {
+    pitches: [
+      'An online platform that brings {concept} to {audience} in one place.',
+      'A community-driven online platform where {audience} use {concept} together.'
+    ],
+    revenue: 'Start free, then charge for premium features once {audience} rely on it.',
+    investmentType: 'equity'
+  },
+  'Website/Web app': {
+    pitches: [
+      'A web app that lets {audience} use {concept} straight from the browser, with nothing to install.',
+      'A focused website offering {concept} to {audience}.'
+    ],
+    revenue: 'Earn from a paid plan or sponsorships once traffic grows.',
+    investmentType: 'equity'
+  },
+  'Mobile app': {
+    pitches: [
+      'A mobile app that puts {concept} in the pockets of {audience}.',
+      'A mobile-first take on {concept}, designed around the daily routine of {audience}.'
+    ],
+    revenue: 'Use a freemium model with in-app upgrades.',
+    investmentType: 'equity'
+  },
+  'Physical company': {
+    pitches: [
+      'A physical business built around {concept}, serving {audience} locally before expanding.',
+      'A brick-and-mortar venture that delivers {concept} to {audience} face to face.'
+    ],
+    revenue: 'Sell directly to customers and grow through local partnerships.',
+    investmentType: 'loan'
+  },
+  'E-commerce': {
+    pitches: [
+      'An online store built around {concept} for {audience}.',
+      'A direct-to-consumer shop that sells {concept} to {audience}.'
+    ],
+    revenue: 'Earn a margin on every order and add bundles for repeat buyers.',
+    investmentType: 'loan'
+  },
+  SaaS: {
+    pitches: [
+      'A subscription software service offering {concept} to {audience}.',
+      'A cloud tool that gives {audience} {concept} for a monthly fee.'
+    ],
+    revenue: 'Charge a monthly subscription with a free trial.',
+    investmentType: 'equity'
+  },
+  Marketplace: {
+    pitches: [
+      'A marketplace around {concept} that connects {audience} with trusted providers.',
+      'A two-sided marketplace where {audience} find and book {concept}.'
+    ],
+    revenue: 'Take a small commission on every transaction.',
+    investmentType: 'equity'
+  },
+  Consulting: {
+    pitches: [
+      'A consulting service that helps {audience} adopt {concept}.',
+      'Hands-on consulting for {audience}, using {concept} as the core offer.'
+    ],
+    revenue: 'Bill per project or on a monthly retainer.',
+    investmentType: 'grant'
+  },
+  'Product-based': {
+    pitches: [
+      'A physical product built around {concept}, made for {audience}.',
+      'A product line that turns {concept} into something {audience} can hold and use.'
+    ],
+    revenue: 'Sell units through online and retail channels.',
+    investmentType: 'loan'
+  },
+  Freelance: {
+    pitches: [
+      'An independent service offering {concept} to {audience}.',
+      'A freelance practice that delivers {concept} to {audience} on demand.'
+    ],
+    revenue: 'Charge per job and turn repeat clients into packages.',
+    investmentType: 'grant'
+  }
+};
+
+export const IDEA_BUSINESS_MODELS = Object.keys(BUSINESS_MODELS);
+
+// Kapsam seçimi için kaba kurlar (1 birim = ? USD); kesin tutar gerekmez
+const USD_RATES = { USD: 1, EUR: 1.08, TL: 0.03 };
+
+const BUDGET_TIERS = [
+  {
+    name: 'shoestring',
+    maxUsd: 500,
+    scope: 'With a shoestring budget, start with a no-code prototype and a landing page to test demand.'
+  },
+  {
+    name: 'lean',
+    maxUsd: 5000,
+    scope: 'The budget covers a lean first version: one core feature, built well, plus a small marketing test.'
+  },
+  {
+    name: 'funded',
+    maxUsd: 50000,
+    scope: 'The budget allows a polished first release and a paid launch campaign.'
+  },
+  {
+    name: 'scale',
+    maxUsd: Infinity,
+    scope: 'The budget supports a full product, dedicated support and expansion to several cities at once.'
+  }
+];
+
+const TEAM_NOTES = {
+  Solo: 'Keep the scope to what one person can run: automate support and use off-the-shelf tools.',
+  'Small team': 'Split the work between product, building and outreach so each person owns one area.',
+  'Medium team': 'Run two tracks in parallel: one team builds while the other signs up early customers.',
+  'Large team': 'Organize around customer journeys and ship in short, regular releases.',
+  'Open to hiring': 'Hire first for the skill you lack most; a technical co-founder is usually the priority.'
+};
+
+// Aşamaya göre sonraki adımlar
+const STAGE_STEPS = {
+  'Just an idea': [
+    'Interview ten {audience} about the problem',
+    'Write a one-page description of the solution',
+    'Put up a landing page to collect sign-ups'
+  ],
+  'Planning phase': [
+    'Pick the single feature that solves the main problem',
+    'Sketch the first screens or the product flow',
+    'Line up five {audience} willing to try it'
+  ],
+  'Development started': [
+    'Cut everything that is not needed for the first release',
+    'Test a rough version with a few {audience}',
+    'Set up a simple way to collect feedback'
+  ],
+  'Prototype ready': [
+    'Run a pilot with a small group of {audience}',
+    'Measure how often they come back',
+    'Decide on pricing before the public launch'
+  ],
+  'Ready to launch': [
+    'Launch to one channel where {audience} already gather',
+    'Track sign-ups, activation and the first payments',
+    'Prepare a short pitch for investors'
+  ]
+};
+
+const IMPACT_NOTES = {
+  High: 'Track the social outcome as closely as revenue; it will help with grants and partners.',
+  Medium: 'Share a small part of revenue with a cause {audience} care about.',
+  Low: 'A simple give-back program can build goodwill early on.',
+  Environmental: 'Measure the environmental benefit, such as waste or emissions avoided, and publish it.',
+  Educational: 'Add a learning component so {audience} gain a skill while using it.',
+  Healthcare: 'Work with health professionals early and be careful with personal health data.'
+};
+
+// Bu girdilerde sosyal etki ağırlıklı fikirler hibe için uygundur
+const GRANT_IMPACTS = ['High', 'Environmental', 'Educational', 'Healthcare'];
+
+const TITLE_PATTERNS = ['{concept} for {audience}', '{concept}'];
+
+// mulberry32: küçük, hızlı ve tekrar üretilebilir sözde rastgele sayı üreteci
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a; seed metnini ve girdileri 32 bitlik başlangıç değerine çevirir
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (_, key) => values[key]);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Cümle içinde "Pet training platform" -> "pet training platform"; "AI", "CRM" gibi kısaltmalar korunur
+function lowerFirst(text) {
+  return /^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text;
+}
+
+function words(text) {
+  return normalize(text).split(/[^a-z0-9]+/).filter(word => word.length > 2);
+}
+
+export function budgetTier(budget, currency) {
+  const usd = budget * (USD_RATES[currency] || 1);
+  return BUDGET_TIERS.find(tier => usd < tier.maxUsd);
+}
+
+// Kullanıcının açıklamasıyla ve hedef kitleyle kelime örtüşmesi olan fikirler öne alınır;
+// eşit puanlılar seed'e göre karıştırılır
+function rankConcepts(concepts, { description, audience }, random) {
+  const keywords = new Set([...words(description), ...words(audience)]);
+  return concepts
+    .map(concept => ({
+      concept,
+      score: words(concept).filter(word => keywords.has(word)).length,
+      tiebreak: random()
+    }))
+    .sort((a, b) => b.score - a.score || a.tiebreak - b.tiebreak)
+    .map(entry => entry.concept);
+}
+
+function suggestInvestmentType(model, socialImpact, tier) {
+  if (GRANT_IMPACTS.includes(socialImpact) && tier.name !== 'scale') return 'grant';
+  return BUSINESS_MODELS[model].investmentType;
+}
+
+export function formatBudget(budget, currency) {
+  const amount = Math.round(budget).toLocaleString('en-US');
+  return currency === 'USD' ? `$${amount}` : `${amount} ${currency}`;
+}
+
+export function randomSeed() {
+  return String(randomInt(1, 2 ** 31));
+}
+
+// Girdiler doğrulanmış olmalıdır (bkz. routes/ideas.js). Döner: { seed, ideas }
+export function generateIdeas(input) {
+  const {
+    category, audience, budget, currency, timeframe, stage,
+    teamSize, socialImpact, businessModel, description = '', count = 5
+  } = input;
+  const seed = input.seed || randomSeed();
+  const random = createRandom(hashString(JSON.stringify([
+    seed, category, audience, budget, currency, timeframe, stage,
+    teamSize, socialImpact, businessModel, description
+  ])));
+
+  const model = BUSINESS_MODELS[businessModel];
+  const tier = budgetTier(budget, currency);
+  const investmentType = suggestInvestmentType(businessModel, socialImpact, tier);
+  const concepts = rankConcepts(CONCEPTS[category], { description, audience }, random);
+
+  // "for general public" yerine "for the general public"
+  const audienceText = audience === 'general public' ? 'the general public' : audience;
+
+  const ideas = concepts.slice(0, count).map(concept => {
+    const values = { concept: lowerFirst(concept), audience: audienceText };
+    // "Tool for artists for students" gibi çift "for" olmasın
+    const titlePattern = /\bfor\b/i.test(concept) ? '{concept}' : pick(random, TITLE_PATTERNS);
+    const nextSteps = STAGE_STEPS[stage].map(step => capitalize(fill(step, values)));
+    const sentences = [
+      fill(pick(random, model.pitches), values),
+      fill(model.revenue, values),
+      tier.scope,
+      TEAM_NOTES[teamSize],
+      IMPACT_NOTES[socialImpact] ? fill(IMPACT_NOTES[socialImpact], values) : null,
+      `Aim to reach the next milestone within ${timeframe}.`
+    ].filter(Boolean);
+
+    return {
+      title: fill(titlePattern, { concept, audience: audienceText }),
+      description: sentences.join(' '),
+      nextSteps,
+      category,
+      audience,
+      businessModel,
+      budget,
+      currency,
+      budgetTier: tier.name,
+      investmentType
+    };
+  });
+
+  return { seed, ideas };
+}
+
+// Kaydedilmiş fikirden proje taslağı alanları
+export function projectDraftFromIdea(idea) {
+  const details = (idea.nextSteps || []).map(step => `- ${step}`).join('\n');
+  const hasBudget = Number(idea.budget) > 0;
+  return {
+    title: idea.title,
+    description: idea.description,
+    category: idea.category,
+    lookingForInvestment: hasBudget,
+    investmentData: hasBudget ? {
+      fundingAmount: formatBudget(idea.budget, idea.currency),
+      investmentType: idea.investmentType || 'equity',
+      investmentDetails: details ? `Next steps:\n${details}` : ''
+    } : null
+  };
+}
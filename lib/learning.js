@@ -0,0 +1,226 @@
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { storage, createId } from './storage/index.js';
+import { slugify } from './text.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// Öğrenme merkezi: kurslar ve tek dersli makaleler, kullanıcı başına ilerleme ve yer imleri.
+// İçerik depo boşsa ilk kullanımda fixtures/learning.json dosyasıyla doldurulur.
+// Kullanıcının bir içerikteki ilerlemesi tek bir enrollment kaydıdır; id `${userId}:${courseId}`.
+export const LEARNING_CATEGORIES = ['funding', 'pitch', 'marketing', 'legal', 'growth'];
+export const LEARNING_KINDS = ['course', 'article'];
+export const LEARNING_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+const CONTENT_FILE = fileURLToPath(new URL('../fixtures/learning.json', import.meta.url));
+
+let seeding = null;
+
+function buildLessons(lessons, previous = []) {
+  const known = new Set(previous.map(l => l.id));
+  return lessons.map(lesson => ({
+    // Kimliği korunan dersin tamamlanma bilgisi de korunur
+    id: lesson.id && known.has(lesson.id) ? lesson.id : createId(),
+    title: lesson.title,
+    body: lesson.body,
+    durationMinutes: lesson.durationMinutes || 0,
+    videoUrl: lesson.videoUrl || null
+  }));
+}
+
+async function seedCourses() {
+  const fixtures = JSON.parse(await fs.readFile(CONTENT_FILE, 'utf-8'));
+  const now = new Date().toISOString();
+  for (const fixture of fixtures) {
+    await storage.courses.insert({
+      id: createId(),
+      ...fixture,
+      lessons: buildLessons(fixture.lessons),
+      tags: fixture.tags || [],
+      published: true,
+      author: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+}
+
+async function ensureSeeded() {
+  if (!seeding) {
+    seeding = (async () => {
+      if ((await storage.courses.count()) === 0) await seedCourses();
+    })().catch(error => {
+      seeding = null;
+      throw error;
+    });
+  }
+  return seeding;
+}
+
+export async function findCourses(predicate) {
+  await ensureSeeded();
+  return storage.courses.find(predicate);
+}
+
+export async function getCourse(idOrSlug) {
+  await ensureSeeded();
+  return await storage.courses.get(idOrSlug) || storage.courses.findOne({ slug: idOrSlug });
+}
+
+export function enrollmentId(user, course) {
+  return `${user.id}:${course.id}`;
+}
+
+// Silinen dersler sayılmaz; kurs o anki derslerinin hepsi bitince tamamlanmış sayılır
+export function progressOf(course, enrollment) {
+  const lessonIds = new Set(course.lessons.map(l => l.id));
+  const completedLessons = enrollment ? enrollment.completedLessons.filter(id => lessonIds.has(id)) : [];
+  const completed = course.lessons.length > 0 && completedLessons.length === course.lessons.length;
+  return {
+    started: !!(enrollment && enrollment.startedAt),
+    completed,
+    bookmarked: !!(enrollment && enrollment.bookmarkedAt),
+    completedLessons,
+    percent: course.lessons.length ? Math.round((completedLessons.length / course.lessons.length) * 100) : 0,
+    startedAt: enrollment ? enrollment.startedAt : null,
+    completedAt: completed ? enrollment.completedAt || enrollment.updatedAt : null
+  };
+}
+
+export async function enrollmentsOf(user) {
+  const enrollments = await storage.enrollments.find({ userId: user.id });
+  return new Map(enrollments.map(e => [e.courseId, e]));
+}
+
+// Kaydı yoksa oluşturur, sonra updater ile değiştirir
+async function changeEnrollment(user, course, updater) {
+  const id = enrollmentId(user, course);
+  if (!(await storage.enrollments.get(id))) {
+    await storage.enrollments.insert({
+      id,
+      userId: user.id,
+      courseId: course.id,
+      startedAt: null,
+      completedLessons: [],
+      completedAt: null,
+      bookmarkedAt: null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+  return storage.enrollments.update(id, e => {
+    updater(e, new Date().toISOString());
+    e.updatedAt = new Date().toISOString();
+    return e;
+  });
+}
+
+export async function startCourse(user, course) {
+  return changeEnrollment(user, course, (e, now) => {
+    e.startedAt = e.startedAt || now;
+  });
+}
+
+export async function completeLesson(user, course, lessonId) {
+  return changeEnrollment(user, course, (e, now) => {
+    e.startedAt = e.startedAt || now;
+    if (!e.completedLessons.includes(lessonId)) e.completedLessons.push(lessonId);
+    const done = course.lessons.every(l => e.completedLessons.includes(l.id));
+    e.completedAt = done ? e.completedAt || now : null;
+  });
+}
+
+export async function setBookmark(user, course, bookmarked) {
+  return changeEnrollment(user, course, (e, now) => {
+    e.bookmarkedAt = bookmarked ? e.bookmarkedAt || now : null;
+  });
+}
+
+// Girişimci için kendi projeleri, yatırımcı için teklif verdiği ve favorilediği projeler
+async function projectCategoriesOf(user) {
+  let projects;
+  if (user.userType === 'investor') {
+    const offered = (await storage.offers.find({ investor: user.username })).map(o => o.projectId);
+    const ids = new Set([...offered, ...(user.favorites || [])]);
+    projects = await storage.projects.find(p => ids.has(p.id));
+  } else {
+    projects = await storage.projects.find({ creator: user.username });
+  }
+  return new Set(projects.map(p => p.category));
+}
+
+// Kullanıcının rolüne uygun, bitirmediği içerikler puana göre. Yarım kalanlar önce gelir.
+// Sonuç: [{ course, score, reasons }]; reasons istenen dilde yazılır
+export async function recommendCourses(user, { limit = 5, locale = DEFAULT_LOCALE } = {}) {
+  const [courses, enrollments, categories] = await Promise.all([
+    findCourses(c => c.published && c.audience.includes(user.userType)),
+    enrollmentsOf(user),
+    projectCategoriesOf(user)
+  ]);
+
+  const recommendations = [];
+  for (const course of courses) {
+    const progress = progressOf(course, enrollments.get(course.id));
+    if (progress.completed) continue;
+
+    let score = 1;
+    const reasons = [translate(locale, 'LEARNING_REASON_AUDIENCE', { audience: `${user.userType}s` })];
+    if (progress.started) {
+      score += 3;
+      reasons.push(translate(locale, 'LEARNING_REASON_PROGRESS', { percent: progress.percent }));
+    }
+    const shared = (course.projectCategories || []).filter(c => categories.has(c));
+    if (shared.length > 0) {
+      score += shared.length;
+      reasons.push(translate(locale, 'LEARNING_REASON_CATEGORIES', { categories: shared }));
+    } else if ((course.projectCategories || []).length === 0) {
+      score += 0.5;
+    }
+    if (progress.bookmarked) {
+      score += 1;
+      reasons.push(translate(locale, 'LEARNING_REASON_BOOKMARKED'));
+    }
+    recommendations.push({ course, score, reasons });
+  }
+
+  recommendations.sort((a, b) => b.score - a.score || LEARNING_LEVELS.indexOf(a.course.level) - LEARNING_LEVELS.indexOf(b.course.level));
+  return recommendations.slice(0, limit);
+}
+
+export async function createCourse(fields, author) {
+  await ensureSeeded();
+  const now = new Date().toISOString();
+  const id = createId();
+  const course = {
+    id,
+    slug: fields.slug || slugify(fields.title) || id,
+    kind: fields.kind,
+    category: fields.category,
+    audience: fields.audience,
+    level: fields.level,
+    projectCategories: fields.projectCategories || [],
+    title: fields.title,
+    summary: fields.summary || '',
+    lessons: buildLessons(fields.lessons),
+    tags: fields.tags || [],
+    published: fields.published !== undefined ? fields.published : true,
+    author,
+    createdAt: now,
+    updatedAt: now
+  };
+  await storage.courses.insert(course);
+  return course;
+}
+
+export async function updateCourse(course, changes) {
+  return storage.courses.update(course.id, c => {
+    const { lessons, ...rest } = changes;
+    Object.assign(c, rest);
+    if (lessons) c.lessons = buildLessons(lessons, c.lessons);
+    c.updatedAt = new Date().toISOString();
+    return c;
+  });
+}
+
+export async function deleteCourse(course) {
+  await storage.enrollments.removeWhere({ courseId: course.id });
+  await storage.courses.remove(course.id);
+}
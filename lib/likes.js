@@ -0,0 +1,55 @@
+import { storage } from './storage/index.js';
+
+// Trend puanı: her beğeni 1 puanla başlar ve yarılanma süresiyle üstel olarak azalır.
+// Puan projede { score, at } olarak tutulur; okunurken "at" anından bu yana
+// geçen süre kadar azaltılır, böylece her beğenide sadece O(1) güncelleme gerekir.
+export const TRENDING_HALF_LIFE_HOURS = Number(process.env.TRENDING_HALF_LIFE_HOURS) || 72;
+
+const HALF_LIFE_MS = TRENDING_HALF_LIFE_HOURS * 60 * 60 * 1000;
+
+function decay(fromMs, toMs) {
+  return Math.pow(0.5, Math.max(0, toMs - fromMs) / HALF_LIFE_MS);
+}
+
+export function trendingScore(project, now = Date.now()) {
+  const trending = project.trending;
+  if (!trending) return 0;
+  return trending.score * decay(new Date(trending.at).getTime(), now);
+}
+
+// Liste sıralaması için zamandan bağımsız anahtar: log2(puan) + at / yarılanma süresi.
+// Bütün puanlar aynı hızla azaldığı için bu değer sabit kalır ve güncel puanla aynı sırayı verir;
+// böylece sayfalama imleci zamanla geçersizleşmez.
+export function trendingRank(project) {
+  const trending = project.trending;
+  if (!trending || !(trending.score > 0)) return -Number.MAX_SAFE_INTEGER;
+  return Math.log2(trending.score) + new Date(trending.at).getTime() / HALF_LIFE_MS;
+}
+
+// Beğeni eklendiğinde (+1) ya da geri alındığında (beğeninin bugünkü katkısı kadar -)
+export function applyTrendingChange(project, likedAt, delta, now = Date.now()) {
+  const contribution = decay(new Date(likedAt).getTime(), now);
+  const score = Math.max(0, trendingScore(project, now) + delta * contribution);
+  project.trending = { score, at: new Date(now).toISOString() };
+  return project;
+}
+
+// Her kullanıcı bir projeyi bir kez beğenebilir: kayıt id'si proje ve kullanıcıdan türetilir
+export function likeId(projectId, username) {
+  return `${projectId}:${username}`;
+}
+
+// Proje yanıtlarına likedByMe ve güncel trend puanını ekler
+export async function withLikeInfo(projects, viewer) {
+  let liked = new Set();
+  if (viewer) {
+    const likes = await storage.likes.find({ username: viewer.username });
+    liked = new Set(likes.map(like => like.projectId));
+  }
+  const now = Date.now();
+  return projects.map(project => ({
+    ...project,
+    likedByMe: liked.has(project.id),
+    trendingScore: Math.round(trendingScore(project, now) * 1000) / 1000
+  }));
+}
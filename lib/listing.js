@@ -0,0 +1,108 @@
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// Liste uç noktaları (GET /api/projects, GET /api/users) için ortak sorgu dili:
+//   ?sort=<ad>&limit=<1..200>&cursor=<önceki yanıttaki nextCursor>
+//   &createdAfter=<ISO tarih>&createdBefore=<ISO tarih>
+// Çoklu değerli filtreler virgülle ya da tekrarlanan parametreyle verilir (?category=tech,health).
+// Sayfalama imleç tabanlıdır: imleç, son kaydın sıralama anahtarlarını ve id'sini taşır,
+// böylece sayfalar arasında kayıt eklense ya da silinse de tekrar veya atlama olmaz.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+export class InvalidCursorError extends Error {
+  constructor(code = 'INVALID_CURSOR') {
+    super(translate(DEFAULT_LOCALE, code));
+    this.name = 'InvalidCursorError';
+    this.code = code;
+  }
+}
+
+// sorts: { ad: kayıt => [sayısal anahtarlar] }; anahtarlar büyükten küçüğe sıralanır,
+// eşitlikte id belirler. İlk sıralama varsayılandır. Anahtar fonksiyonları boş kayıtla da çalışmalıdır.
+export function listQuerySchema(sorts, filters = {}) {
+  const names = Object.keys(sorts);
+  return {
+    ...filters,
+    sort: { type: 'enum', values: names, default: names[0] },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+    cursor: { type: 'string', max: 500 },
+    createdAfter: { type: 'date', label: 'Created after' },
+    createdBefore: { type: 'date', label: 'Created before' }
+  };
+}
+
+export function timeOf(value) {
+  const time = value ? new Date(value).getTime() : 0;
+  return Number.isFinite(time) ? time : 0;
+}
+
+export function createdWithin(record, { createdAfter, createdBefore }) {
+  const created = timeOf(record.createdAt);
+  if (createdAfter && created < createdAfter.getTime()) return false;
+  if (createdBefore && created > createdBefore.getTime()) return false;
+  return true;
+}
+
+// Aralık filtrelerinde alt sınır üst sınırı geçemez. ranges: [[alt, üst, mesaj]];
+// oluşturulma tarihi aralığı her zaman denetlenir. Sonuç { field, code, params, message } listesidir.
+export function rangeErrors(query, ranges = []) {
+  return [['createdAfter', 'createdBefore', 'Created after cannot be later than created before.'], ...ranges]
+    .filter(([min, max]) => query[min] !== undefined && query[max] !== undefined && query[min] > query[max])
+    .map(([min, max, message]) => ({ field: min, code: 'INVALID_RANGE', params: { from: min, to: max }, message }));
+}
+
+function compareEntries(a, b) {
+  for (let i = 0; i < a.keys.length; i++) {
+    if (a.keys[i] !== b.keys[i]) return b.keys[i] - a.keys[i];
+  }
+  if (a.id === b.id) return 0;
+  return String(a.id) < String(b.id) ? 1 : -1;
+}
+
+function encodeCursor(sort, entry) {
+  return Buffer.from(JSON.stringify({ sort, keys: entry.keys, id: entry.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, keyCount) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new InvalidCursorError();
+  }
+  if (decoded && decoded.sort !== undefined && decoded.sort !== sort) {
+    throw new InvalidCursorError('CURSOR_SORT_MISMATCH');
+  }
+  const valid = decoded && decoded.id !== undefined &&
+    Array.isArray(decoded.keys) && decoded.keys.length === keyCount &&
+    decoded.keys.every(Number.isFinite);
+  if (!valid) throw new InvalidCursorError();
+  return decoded;
+}
+
+// Filtrelenmiş kayıtları sıralar ve bir sayfa döndürür:
+// { items, total, hasMore, nextCursor }. total, tüm sayfalardaki eşleşen kayıt sayısıdır.
+export function paginate(records, sorts, { sort, limit, cursor }) {
+  const keysOf = sorts[sort];
+  const entries = records
+    .map(record => ({ record, id: record.id, keys: keysOf(record) }))
+    .sort(compareEntries);
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, sort, keysOf({}).length);
+    start = entries.findIndex(entry => compareEntries(entry, after) > 0);
+    if (start === -1) start = entries.length;
+  }
+
+  const page = entries.slice(start, start + limit);
+  const hasMore = start + page.length < entries.length;
+
+  return {
+    items: page.map(entry => entry.record),
+    total: entries.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null
+  };
+}
@@ -0,0 +1,68 @@
+import nodemailer from 'nodemailer';
+
+// E-posta gönderimi taşıyıcı (transport) üzerinden yapılır; MAIL_TRANSPORT ile seçilir:
+//   console  (varsayılan) e-postayı sunucu günlüğüne yazar, hiçbir şey göndermez
+//   smtp     SMTP_HOST/SMTP_PORT'a gönderir. Varsayılan localhost:1025, yani
+//            MailHog/Mailpit gibi yerel bir SMTP yakalayıcısı
+// Başka taşıyıcılar registerTransport ile eklenebilir (ör. bir e-posta API'si).
+export const MAIL_FROM = process.env.MAIL_FROM || 'IDEAI <no-reply@ideai.local>';
+
+// E-postalardaki bağlantılar bu adrese göre kurulur
+export const APP_URL = process.env.APP_URL || 'http://localhost:5000';
+
+const factories = {
+  console: () => ({
+    async send(message) {
+      console.log(`📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+      return { id: null };
+    }
+  }),
+  smtp: () => {
+    const port = Number(process.env.SMTP_PORT) || 1025;
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return {
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      },
+      close() {
+        transporter.close();
+      }
+    };
+  }
+};
+
+let transport = null;
+
+export function registerTransport(name, factory) {
+  factories[name] = factory;
+}
+
+export function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Available: ${Object.keys(factories).join(', ')}.`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+// Testlerde ya da betiklerde farklı bir taşıyıcı kullanmak için
+export function setTransport(custom) {
+  if (transport && transport.close) transport.close();
+  transport = custom;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
@@ -0,0 +1,205 @@
+import { normalize } from './text.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// Yatırımcı–proje eşleştirme. Her kriter 0..1 arası bir puan üretir,
+// toplam puan ağırlıklı ortalamadır (0..100). Açıklamalar MATCH_* kodlarıyla üretilir.
+export const MATCH_WEIGHTS = {
+  funding: 40,
+  category: 25,
+  interests: 15,
+  investmentType: 20
+};
+
+const MATCH_THRESHOLD = 60;
+const NEAR_MISS_THRESHOLD = 35;
+
+function parseAmount(text) {
+  const match = /^\$?\s*([\d.,]+)\s*([km])?$/i.exec(String(text).trim());
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return value * multiplier;
+}
+
+// "1000-5000", "$1,000 - $5,000", "100000+", "5k", 2500 veya { min, max }
+export function parseFundingRange(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? { min: value, max: value } : null;
+  }
+
+  if (typeof value === 'object') {
+    const min = Number(value.min);
+    const max = value.max === undefined || value.max === null ? Infinity : Number(value.max);
+    if (!Number.isFinite(min) || Number.isNaN(max) || min < 0 || max < min) return null;
+    return { min, max };
+  }
+
+  const text = String(value).trim();
+  if (text.endsWith('+')) {
+    const min = parseAmount(text.slice(0, -1));
+    return min === null ? null : { min, max: Infinity };
+  }
+
+  const parts = text.split(/\s*(?:-|–|to)\s*/i);
+  if (parts.length === 2) {
+    const min = parseAmount(parts[0]);
+    const max = parseAmount(parts[1]);
+    if (min === null || max === null || max < min) return null;
+    return { min, max };
+  }
+
+  const amount = parseAmount(text);
+  return amount === null ? null : { min: amount, max: amount };
+}
+
+export function formatRange(range) {
+  if (!range) return 'unknown';
+  const fmt = n => `$${Math.round(n).toLocaleString('en-US')}`;
+  if (range.max === Infinity) return `${fmt(range.min)}+`;
+  if (range.min === range.max) return fmt(range.min);
+  return `${fmt(range.min)} - ${fmt(range.max)}`;
+}
+
+// Açık uçlu aralıklar ("100000+") hesaplamada [min, 2*min] kabul edilir
+function boundedMax(range) {
+  return range.max === Infinity ? Math.max(range.min * 2, range.min + 1) : range.max;
+}
+
+function scoreFunding(budget, ask) {
+  if (!budget || !ask) {
+    return { score: 0, matched: false, code: 'MATCH_FUNDING_UNKNOWN' };
+  }
+
+  const budgetMax = boundedMax(budget);
+  const askMax = boundedMax(ask);
+  const overlap = Math.min(budgetMax, askMax) - Math.max(budget.min, ask.min);
+
+  if (overlap >= 0) {
+    const narrower = Math.min(budgetMax - budget.min, askMax - ask.min);
+    const score = narrower > 0 ? Math.min(1, 0.5 + 0.5 * (overlap / narrower)) : 1;
+    return {
+      score,
+      matched: true,
+      code: 'MATCH_FUNDING_OVERLAP',
+      params: { ask: formatRange(ask), budget: formatRange(budget) }
+    };
+  }
+
+  // Aralıklar kesişmiyor: boşluk büyüdükçe puan sıfıra yaklaşır
+  const gap = ask.min > budgetMax ? ask.min - budgetMax : budget.min - askMax;
+  const scale = Math.max(budgetMax, askMax);
+  const score = Math.max(0, 0.5 * (1 - gap / scale));
+  return {
+    score,
+    matched: false,
+    ...(ask.min > budgetMax
+      ? { code: 'MATCH_FUNDING_ABOVE', params: { ask: formatRange(ask), gap: formatRange({ min: gap, max: gap }) } }
+      : { code: 'MATCH_FUNDING_BELOW', params: { ask: formatRange(ask), budget: formatRange(budget) } })
+  };
+}
+
+function scoreCategory(project, categories) {
+  if (categories.length === 0) {
+    return { score: 0.5, matched: true, code: 'MATCH_NO_SECTORS' };
+  }
+  const matched = categories.includes(project.category);
+  return {
+    score: matched ? 1 : 0,
+    matched,
+    code: matched ? 'MATCH_CATEGORY_MATCHED' : 'MATCH_CATEGORY_MISSED',
+    params: { category: project.category, sectors: categories }
+  };
+}
+
+// Profil ilgi alanları ve odak alanları proje metninde geçiyor mu
+function scoreInterests(project, keywords) {
+  if (keywords.length === 0) {
+    return { score: 0.5, matched: true, code: 'MATCH_NO_INTERESTS' };
+  }
+
+  const haystack = normalize([
+    project.title,
+    project.description,
+    project.category,
+    ...(project.tags || []),
+    project.investmentData && project.investmentData.investmentDetails
+  ].join(' '));
+
+  const hits = keywords.filter(keyword => haystack.includes(normalize(keyword)));
+  return {
+    score: hits.length === 0 ? 0 : 0.6 + 0.4 * (hits.length / keywords.length),
+    matched: hits.length > 0,
+    code: hits.length > 0 ? 'MATCH_INTERESTS_MATCHED' : 'MATCH_INTERESTS_MISSED',
+    params: { interests: hits.join(', ') }
+  };
+}
+
+function scoreInvestmentType(project, types) {
+  const projectType = project.investmentData && project.investmentData.investmentType;
+  if (types.length === 0) {
+    return { score: 0.5, matched: true, code: 'MATCH_NO_INVESTMENT_TYPES' };
+  }
+  const matched = types.includes(projectType);
+  return {
+    score: matched ? 1 : 0,
+    matched,
+    code: matched ? 'MATCH_INVESTMENT_TYPE_MATCHED' : 'MATCH_INVESTMENT_TYPE_MISSED',
+    params: { type: projectType || 'an unspecified type', types }
+  };
+}
+
+const LABELS = {
+  funding: 'MATCH_LABEL_FUNDING',
+  category: 'MATCH_LABEL_CATEGORY',
+  interests: 'MATCH_LABEL_INTERESTS',
+  investmentType: 'MATCH_LABEL_INVESTMENT_TYPE'
+};
+
+// criteria: { budget, categories, keywords, investmentTypes }
+// label ve detail istenen dilde yazılır; code ve params istemci için de döner
+export function scoreProject(project, criteria, locale = DEFAULT_LOCALE) {
+  const ask = parseFundingRange(project.investmentData && project.investmentData.fundingAmount);
+  const results = {
+    funding: scoreFunding(criteria.budget, ask),
+    category: scoreCategory(project, criteria.categories),
+    interests: scoreInterests(project, criteria.keywords),
+    investmentType: scoreInvestmentType(project, criteria.investmentTypes)
+  };
+
+  const totalWeight = Object.values(MATCH_WEIGHTS).reduce((sum, w) => sum + w, 0);
+  let total = 0;
+  const reasons = Object.entries(results).map(([criterion, result]) => {
+    total += result.score * MATCH_WEIGHTS[criterion];
+    return {
+      criterion,
+      label: translate(locale, LABELS[criterion]),
+      weight: MATCH_WEIGHTS[criterion],
+      score: Math.round(result.score * 100),
+      matched: result.matched,
+      code: result.code,
+      ...(result.params ? { params: result.params } : {}),
+      detail: translate(locale, result.code, result.params)
+    };
+  });
+
+  const score = Math.round((total / totalWeight) * 100);
+  // Bütçe hiç kesişmiyorsa puan ne olursa olsun tam eşleşme sayılmaz
+  const isMatch = score >= MATCH_THRESHOLD && results.funding.matched;
+
+  return {
+    score,
+    match: isMatch,
+    nearMiss: !isMatch && score >= NEAR_MISS_THRESHOLD,
+    fundingAsked: ask ? { min: ask.min, max: ask.max === Infinity ? null : ask.max } : null,
+    reasons
+  };
+}
+
+export function rankProjects(projects, criteria, locale = DEFAULT_LOCALE) {
+  return projects
+    .map(project => ({ project, ...scoreProject(project, criteria, locale) }))
+    .sort((a, b) => b.score - a.score || new Date(b.project.createdAt) - new Date(a.project.createdAt));
+}
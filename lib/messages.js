@@ -0,0 +1,96 @@
+import { storage, createId, DuplicateKeyError } from './storage/index.js';
+
+export const MAX_MESSAGE_LENGTH = 2000;
+const PREVIEW_LENGTH = 140;
+
+// İki kullanıcı arasında (varsa proje başına) tek konuşma olur
+export function conversationKey(a, b, projectId) {
+  return `${[a, b].sort().join(':')}:${projectId || ''}`;
+}
+
+export function otherParticipant(conversation, username) {
+  return conversation.participants.find(p => p !== username) || username;
+}
+
+export const MESSAGE_BODY_RULE = { type: 'string', required: true, max: MAX_MESSAGE_LENGTH, multiline: true, label: 'Message' };
+
+// Konuşmayı bulur ya da oluşturur; aynı anda iki istek gelirse benzersiz key ikisini birleştirir
+export async function findOrCreateConversation(from, to, project) {
+  const key = conversationKey(from, to, project && project.id);
+  const existing = await storage.conversations.findOne({ key });
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  const conversation = {
+    id: createId(),
+    key,
+    participants: [from, to],
+    projectId: project ? project.id : null,
+    projectTitle: project ? project.title : null,
+    createdAt: now,
+    updatedAt: now,
+    lastMessage: null,
+    unread: { [from]: 0, [to]: 0 },
+    lastReadAt: { [from]: null, [to]: null }
+  };
+
+  try {
+    await storage.conversations.insert(conversation);
+    return conversation;
+  } catch (e) {
+    if (!(e instanceof DuplicateKeyError)) throw e;
+    return storage.conversations.findOne({ key });
+  }
+}
+
+// Mesajı kaydeder, konuşmanın son mesajını ve alıcının okunmamış sayısını günceller
+export async function appendMessage(conversation, sender, body) {
+  const recipient = otherParticipant(conversation, sender);
+  const message = {
+    id: createId(),
+    conversationId: conversation.id,
+    sender,
+    recipient,
+    body,
+    createdAt: new Date().toISOString()
+  };
+  await storage.messages.insert(message);
+
+  const updated = await storage.conversations.update(conversation.id, c => {
+    c.lastMessage = {
+      id: message.id,
+      sender,
+      preview: body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH)}…` : body,
+      createdAt: message.createdAt
+    };
+    c.updatedAt = message.createdAt;
+    c.unread = { ...c.unread, [recipient]: (c.unread[recipient] || 0) + 1 };
+    // Gönderen kendi mesajına kadar her şeyi okumuş sayılır
+    c.unread[sender] = 0;
+    c.lastReadAt = { ...c.lastReadAt, [sender]: message.createdAt };
+    return c;
+  });
+
+  return { message, conversation: updated };
+}
+
+export async function unreadTotal(username) {
+  const conversations = await storage.conversations.find(c => c.participants.includes(username));
+  return conversations.reduce((sum, c) => sum + ((c.unread && c.unread[username]) || 0), 0);
+}
+
+export function toPublicConversation(conversation, viewer) {
+  const other = otherParticipant(conversation, viewer);
+  return {
+    id: conversation.id,
+    with: other,
+    projectId: conversation.projectId,
+    projectTitle: conversation.projectTitle,
+    lastMessage: conversation.lastMessage,
+    unreadCount: (conversation.unread && conversation.unread[viewer]) || 0,
+    // Karşı tarafın en son okuduğu an (okundu bilgisi için)
+    readByOtherAt: (conversation.lastReadAt && conversation.lastReadAt[other]) || null,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+}
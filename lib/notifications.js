@@ -0,0 +1,179 @@
+import { storage, createId, DuplicateKeyError } from './storage/index.js';
+import { publish } from './realtime.js';
+import { DEFAULT_LOCALE, translate, preferredLocale } from './i18n.js';
+
+// Bildirim türleri ve varsayılan kanalları. Beğeni/favori gibi sık olaylar
+// varsayılan olarak e-posta özetine girmez.
+export const NOTIFICATION_TYPES = {
+  'project.liked': { inApp: true, email: false },
+  'project.favorited': { inApp: true, email: false },
+  'project.commented': { inApp: true, email: true },
+  'comment.replied': { inApp: true, email: true },
+  'project.updated': { inApp: true, email: true },
+  'report.resolved': { inApp: true, email: false },
+  'moderation.notice': { inApp: true, email: true },
+  'ticket.updated': { inApp: true, email: true }
+};
+
+// Şikâyet sonucu bildiriminde içerik türünün adı; metni terms'ten çevrilir
+const REPORTED_CONTENT = { project: 'a project', comment: 'a comment', user: 'a user' };
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+export function getPreferences(user) {
+  const saved = (user && user.notificationPrefs) || {};
+  const types = {};
+  for (const [type, defaults] of Object.entries(NOTIFICATION_TYPES)) {
+    types[type] = { ...defaults, ...((saved.types || {})[type] || {}) };
+  }
+  return {
+    types,
+    digest: DIGEST_FREQUENCIES.includes(saved.digest) ? saved.digest : 'daily'
+  };
+}
+
+// Şemadan geçmiş gövdeyi uygular; sadece gönderilen alanlar değişir, bilinmeyen tür reddedilir
+export function validatePreferences(body, current) {
+  const next = { types: { ...current.types }, digest: body.digest || current.digest };
+
+  for (const [type, channels] of Object.entries(body.types || {})) {
+    if (!NOTIFICATION_TYPES[type]) {
+      return { error: { field: `types.${type}`, code: 'UNKNOWN_NOTIFICATION_TYPE', params: { type } } };
+    }
+    next.types[type] = { ...next.types[type], ...channels };
+  }
+
+  return { preferences: next };
+}
+
+const MODERATION_NOTICES = {
+  'auto-hide': { project: 'NOTIFY_PROJECT_AUTO_HIDDEN', comment: 'NOTIFY_COMMENT_AUTO_HIDDEN' },
+  hide: { project: 'NOTIFY_PROJECT_HIDDEN', comment: 'NOTIFY_COMMENT_HIDDEN' }
+};
+
+function describeModerationNotice(notification, project, locale) {
+  const { action, targetType, note } = notification.data || {};
+  let code;
+  if (MODERATION_NOTICES[action]) {
+    code = MODERATION_NOTICES[action][targetType === 'comment' ? 'comment' : 'project'];
+  } else {
+    code = action === 'suspend' ? 'NOTIFY_ACCOUNT_SUSPENDED' : 'NOTIFY_WARNED';
+  }
+  const text = translate(locale, code, { project });
+  return note ? `${text} ${translate(locale, 'NOTIFY_MODERATOR_NOTE', { note })}` : text;
+}
+
+const TICKET_EVENTS = {
+  'support-reply': 'NOTIFY_TICKET_SUPPORT_REPLY',
+  'requester-reply': 'NOTIFY_TICKET_REQUESTER_REPLY',
+  assigned: 'NOTIFY_TICKET_ASSIGNED'
+};
+
+function describeTicketUpdate(notification, locale) {
+  const { event, subject, status } = notification.data || {};
+  return translate(locale, TICKET_EVENTS[event] || 'NOTIFY_TICKET_STATUS', {
+    actor: notification.actor,
+    ticket: `"${subject}"`,
+    status
+  });
+}
+
+// Bildirim metni alıcının dilinde üretilir (bkz. locales/*.json, NOTIFY_*)
+export function describeNotification(notification, locale = DEFAULT_LOCALE) {
+  const project = notification.projectTitle
+    ? `"${notification.projectTitle}"`
+    : translate(locale, 'NOTIFY_YOUR_PROJECT');
+  const { actor } = notification;
+  switch (notification.type) {
+    case 'project.liked':
+      return translate(locale, 'NOTIFY_PROJECT_LIKED', { actor, project });
+    case 'project.favorited':
+      return translate(locale, 'NOTIFY_PROJECT_FAVORITED', { actor, project });
+    case 'project.commented':
+      return translate(locale, 'NOTIFY_PROJECT_COMMENTED', { actor, project });
+    case 'comment.replied':
+      return translate(locale, 'NOTIFY_COMMENT_REPLIED', { actor, project });
+    case 'project.updated': {
+      const fields = (notification.data && notification.data.fields) || [];
+      return fields.length
+        ? translate(locale, 'NOTIFY_PROJECT_UPDATED_FIELDS', { project, fields })
+        : translate(locale, 'NOTIFY_PROJECT_UPDATED', { project });
+    }
+    case 'report.resolved': {
+      const { targetType, outcome } = notification.data || {};
+      const content = REPORTED_CONTENT[targetType] || 'some content';
+      return translate(locale, outcome === 'actioned' ? 'NOTIFY_REPORT_ACTIONED' : 'NOTIFY_REPORT_DISMISSED', { content });
+    }
+    case 'moderation.notice':
+      return describeModerationNotice(notification, project, locale);
+    case 'ticket.updated':
+      return describeTicketUpdate(notification, locale);
+    default:
+      return translate(locale, 'NOTIFY_DEFAULT');
+  }
+}
+
+export function toPublicNotification(notification, locale = DEFAULT_LOCALE) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    actor: notification.actor,
+    projectId: notification.projectId,
+    projectTitle: notification.projectTitle,
+    data: notification.data,
+    text: describeNotification(notification, locale),
+    read: notification.read,
+    createdAt: notification.createdAt
+  };
+}
+
+export async function unreadNotificationCount(username) {
+  return storage.notifications.count(n => n.recipient === username && n.channels.inApp && !n.read);
+}
+
+// Olayı alıcının tercihlerine göre kaydeder ve canlı akışa iletir.
+// key verilirse aynı olay (ör. aynı kişinin aynı beğenisi) bir kez bildirilir.
+// Bildirim hatası asıl isteği bozmamalı; hata sadece günlüğe yazılır.
+export async function notify({ recipient, type, actor, project, data, key }) {
+  try {
+    if (!recipient || recipient === actor) return null;
+
+    const user = await storage.users.findOne({ username: recipient });
+    // Demo hesapları oturum açamaz, bildirim de almaz
+    if (!user || !user.password) return null;
+
+    const channels = getPreferences(user).types[type];
+    if (!channels || (!channels.inApp && !channels.email)) return null;
+
+    const notification = {
+      id: key ? `${type}:${key}` : createId(),
+      recipient,
+      type,
+      actor: actor || null,
+      projectId: project ? project.id : null,
+      projectTitle: project ? project.title : null,
+      data: data || null,
+      channels: { inApp: channels.inApp, email: channels.email },
+      read: false,
+      readAt: null,
+      emailedAt: null,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      await storage.notifications.insert(notification);
+    } catch (e) {
+      if (e instanceof DuplicateKeyError) return null;
+      throw e;
+    }
+
+    if (channels.inApp) {
+      publish(recipient, 'notification', toPublicNotification(notification, preferredLocale(user) || DEFAULT_LOCALE));
+      publish(recipient, 'notifications-unread', { total: await unreadNotificationCount(recipient) });
+    }
+    return notification;
+  } catch (error) {
+    console.error('Notify error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,71 @@
+import { PROJECT_STATUSES } from './projects.js';
+
+// Yatırımcı portföyü özetleri. investments, GET /api/portfolio'daki yatırım listesidir;
+// projesi silinmiş yatırımlar "removed" durumunda sayılır.
+const STATUS_KEYS = [...PROJECT_STATUSES, 'removed'];
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function share(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+// Anahtara göre grupla: [{ key, count, amount, share }], tutara göre büyükten küçüğe
+function breakdown(investments, keyOf, total) {
+  const groups = new Map();
+  for (const investment of investments) {
+    const key = keyOf(investment);
+    const group = groups.get(key) || { count: 0, amount: 0 };
+    group.count += 1;
+    group.amount += investment.amount;
+    groups.set(key, group);
+  }
+  return [...groups.entries()]
+    .map(([key, group]) => ({ key, count: group.count, amount: round(group.amount), share: share(group.amount, total) }))
+    .sort((a, b) => b.amount - a.amount || b.count - a.count);
+}
+
+function describeStatus(count) {
+  if (count === 0) return 'No investments yet';
+  return count === 1 ? '1 active investment' : `${count} active investments`;
+}
+
+// ticketSize verilmişse yatırımların kaçının bu aralıkta kaldığı da hesaplanır
+export function portfolioAnalytics(investments, openOffers, ticketSize = null) {
+  const invested = investments.reduce((sum, i) => sum + i.amount, 0);
+
+  const statusCounts = Object.fromEntries(STATUS_KEYS.map(status => [status, 0]));
+  for (const investment of investments) {
+    statusCounts[investment.projectStatus] = (statusCounts[investment.projectStatus] || 0) + 1;
+  }
+
+  const totals = {
+    investments: investments.length,
+    invested: round(invested),
+    average: investments.length ? round(invested / investments.length) : 0,
+    largest: investments.reduce((max, i) => Math.max(max, i.amount), 0),
+    companies: new Set(investments.map(i => i.projectId)).size,
+    openOffers: openOffers.length,
+    pendingAmount: round(openOffers.reduce((sum, o) => sum + o.amount, 0))
+  };
+
+  let ticketFit = null;
+  if (ticketSize) {
+    const max = ticketSize.max === null || ticketSize.max === undefined ? Infinity : ticketSize.max;
+    const within = investments.filter(i => i.amount >= ticketSize.min && i.amount <= max).length;
+    ticketFit = { within, outside: investments.length - within };
+  }
+
+  return {
+    totals,
+    byCategory: breakdown(investments, i => i.category || 'other', invested)
+      .map(({ key, ...group }) => ({ category: key, ...group })),
+    byInstrument: breakdown(investments, i => i.instrument, invested)
+      .map(({ key, ...group }) => ({ instrument: key, ...group })),
+    statusCounts,
+    status: describeStatus(statusCounts.active),
+    ticketFit
+  };
+}
@@ -0,0 +1,342 @@
+import { storage } from './storage/index.js';
+import { revokeUserSessions } from './sessions.js';
+import { recordAudit, anonymizeAudit } from './audit.js';
+import { applyTrendingChange } from './likes.js';
+import { indexProject, removeUser } from './search.js';
+import { deleteProjectData, declineOpenOffers } from './projects.js';
+
+// Hesap verisinin dışa aktarılması ve hesabın silinmesi. Silme isteği önce bekleme
+// süresine alınır; süre dolunca zamanlayıcı (ya da `npm run accounts:purge`) hesabı siler.
+export const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+export const DELETION_CHECK_MINUTES = Number(process.env.ACCOUNT_DELETION_CHECK_MINUTES) || 60;
+
+// Silinen kullanıcının yerine yazılan ad; kullanıcı adı kuralına uymadığı için kimse alamaz
+export const DELETED_USER = '[deleted]';
+
+// Yatırım ve denetim kayıtlarında silinen kullanıcının yerine yazılan ad. Kayıtlar
+// kişiye göre ayrışmaya devam eder ama aynı adla açılan yeni hesap onları devralamaz.
+function tombstoneOf(user) {
+  return `deleted:${user.id}`;
+}
+
+// Silinen hesabın projeleri: tamamen silinir ya da sahipsiz olarak yayında kalır
+export const PROJECT_DISPOSALS = ['delete', 'anonymize'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function publicUser(user) {
+  const { password, ...rest } = user;
+  return rest;
+}
+
+// Kullanıcının bütün verisi tek bir JSON arşivinde
+export async function exportAccount(user) {
+  const { username } = user;
+  const [projects, likes, comments, offersSent, offersReceived, ideas, reports, tickets, enrollments] = await Promise.all([
+    storage.projects.find({ creator: username }),
+    storage.likes.find({ username }),
+    storage.comments.find({ author: username }),
+    storage.offers.find({ investor: username }),
+    storage.offers.find({ entrepreneur: username }),
+    storage.ideas.find({ userId: user.id }),
+    storage.reports.find({ reporter: username }),
+    storage.tickets.find({ requester: username }),
+    storage.enrollments.find({ userId: user.id })
+  ]);
+
+  const favorites = [];
+  for (const projectId of user.favorites || []) {
+    const project = await storage.projects.get(projectId);
+    favorites.push({
+      projectId,
+      title: project ? project.title : null,
+      savedAt: (user.favoritedAt || {})[projectId] || null
+    });
+  }
+
+  const conversations = [];
+  for (const conversation of await storage.conversations.find(c => c.participants.includes(username))) {
+    const messages = (await storage.messages.find({ conversationId: conversation.id }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(({ id, sender, recipient, body, createdAt }) => ({ id, sender, recipient, body, createdAt }));
+    conversations.push({
+      id: conversation.id,
+      participants: conversation.participants,
+      projectId: conversation.projectId,
+      projectTitle: conversation.projectTitle,
+      createdAt: conversation.createdAt,
+      messages
+    });
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: publicUser(user),
+    projects,
+    favorites,
+    likes: likes.map(({ projectId, createdAt }) => ({ projectId, likedAt: createdAt })),
+    comments: comments
+      .filter(c => !c.deletedAt)
+      .map(({ id, projectId, parentId, body, createdAt, updatedAt }) => ({ id, projectId, parentId, body, createdAt, updatedAt })),
+    conversations,
+    offers: [...offersSent, ...offersReceived],
+    ideas,
+    reports: reports.map(({ id, targetType, targetId, reason, details, status, createdAt }) => ({ id, targetType, targetId, reason, details, status, createdAt })),
+    supportTickets: tickets.map(({ id, category, subject, status, messages, createdAt }) => ({
+      id,
+      category,
+      subject,
+      status,
+      messages: messages.map(({ fromSupport, body, createdAt: sentAt }) => ({ fromSupport, body, createdAt: sentAt })),
+      createdAt
+    })),
+    learning: enrollments.map(({ courseId, startedAt, completedLessons, completedAt, bookmarkedAt }) => ({ courseId, startedAt, completedLessons, completedAt, bookmarkedAt }))
+  };
+}
+
+// Silme isteğini kaydeder ve bütün oturumları kapatır. Bekleme süresince giriş yapılabilir
+// ve istek geri alınabilir.
+export async function scheduleDeletion(user, { projects }) {
+  const now = new Date();
+  const updated = await storage.users.update(user.id, u => {
+    u.deletion = {
+      requestedAt: now.toISOString(),
+      scheduledFor: new Date(now.getTime() + DELETION_GRACE_DAYS * DAY_MS).toISOString(),
+      projects
+    };
+    return u;
+  });
+  await revokeUserSessions(user.id);
+  return updated;
+}
+
+export async function cancelDeletion(user) {
+  return storage.users.update(user.id, u => {
+    delete u.deletion;
+    return u;
+  });
+}
+
+// Girişte ve oturum bilgisinde gösterilen bekleyen silme tarihi
+export function pendingDeletion(user) {
+  return user.deletion ? user.deletion.scheduledFor : null;
+}
+
+async function removeLikes(username) {
+  for (const like of await storage.likes.find({ username })) {
+    if (!(await storage.likes.remove(like.id))) continue;
+    const updated = await storage.projects.update(like.projectId, p => {
+      p.likes = Math.max(0, (p.likes || 0) - 1);
+      return applyTrendingChange(p, like.createdAt, -1);
+    });
+    if (updated) indexProject(updated);
+  }
+}
+
+// Yorumlar, yanıtları bozulmasın diye yorum silme ile aynı şekilde boşaltılır
+async function removeComments(username) {
+  const now = new Date().toISOString();
+  for (const comment of await storage.comments.find({ author: username })) {
+    const wasVisible = !comment.hidden && !comment.deletedAt;
+    await storage.comments.update(comment.id, c => {
+      c.author = DELETED_USER;
+      c.body = '';
+      c.deletedAt = c.deletedAt || now;
+      return c;
+    });
+    if (wasVisible) {
+      await storage.projects.update(comment.projectId, p => {
+        p.commentCount = Math.max(0, (p.commentCount || 0) - 1);
+        return p;
+      });
+    }
+  }
+}
+
+// Konuşmalar karşı tarafta kalır; silinen kullanıcının adı DELETED_USER olur.
+// Anahtar değiştirilir ki aynı adı taşıyan yeni bir konuşmayla karışmasın.
+async function anonymizeConversations(username) {
+  for (const conversation of await storage.conversations.find(c => c.participants.includes(username))) {
+    await storage.conversations.update(conversation.id, c => {
+      c.key = `deleted:${c.id}`;
+      c.participants = c.participants.map(p => (p === username ? DELETED_USER : p));
+      if (c.unread) {
+        c.unread[DELETED_USER] = 0;
+        delete c.unread[username];
+      }
+      if (c.lastReadAt) {
+        c.lastReadAt[DELETED_USER] = null;
+        delete c.lastReadAt[username];
+      }
+      if (c.lastMessage && c.lastMessage.sender === username) c.lastMessage.sender = DELETED_USER;
+      return c;
+    });
+    for (const message of await storage.messages.find({ conversationId: conversation.id })) {
+      if (message.sender !== username && message.recipient !== username) continue;
+      await storage.messages.update(message.id, m => {
+        if (m.sender === username) m.sender = DELETED_USER;
+        if (m.recipient === username) m.recipient = DELETED_USER;
+        return m;
+      });
+    }
+  }
+}
+
+async function disposeProjects(user, disposal) {
+  const summary = { deleted: 0, anonymized: 0 };
+  for (const project of await storage.projects.find({ creator: user.username })) {
+    // Taslakları zaten kimse göremez
+    if (disposal === 'delete' || project.status === 'draft') {
+      await deleteProjectData(project, user.username, 'account-deleted');
+      summary.deleted++;
+      continue;
+    }
+    const updated = await storage.projects.update(project.id, p => {
+      p.creator = DELETED_USER;
+      p.lookingForInvestment = false;
+      p.investmentData = null;
+      p.updatedAt = new Date().toISOString();
+      return p;
+    });
+    indexProject(updated);
+    await declineOpenOffers(project.id, user.username, 'account-deleted');
+    summary.anonymized++;
+  }
+  return summary;
+}
+
+// Teklifler karşı tarafın geçmişi için kalır, iki taraftaki ad da tombstone olur.
+// Başka projelerin yatırımcı listesindeki kayıtlar da aynı şekilde değiştirilir.
+async function anonymizeInvestments(user) {
+  const { username } = user;
+  const tombstone = tombstoneOf(user);
+  const rename = name => (name === username ? tombstone : name);
+
+  for (const offer of await storage.offers.find(o => o.investor === username || o.entrepreneur === username)) {
+    await storage.offers.update(offer.id, o => {
+      o.investor = rename(o.investor);
+      o.entrepreneur = rename(o.entrepreneur);
+      for (const entry of o.history || []) entry.by = rename(entry.by);
+      return o;
+    });
+  }
+
+  const funded = await storage.projects.find(p =>
+    Array.isArray(p.investors) && p.investors.some(i => i.investor === username)
+  );
+  for (const project of funded) {
+    await storage.projects.update(project.id, p => {
+      p.investors = p.investors.map(i => (i.investor === username ? { ...i, investor: tombstone } : i));
+      return p;
+    });
+  }
+}
+
+// Hesabı ve bağlı verileri siler. Başka kullanıcıların favorilerindeki projeler,
+// silinen projelerle birlikte temizlenir.
+export async function deleteAccount(user, { projects = 'delete' } = {}) {
+  const { username } = user;
+
+  await revokeUserSessions(user.id);
+  const projectSummary = await disposeProjects(user, projects);
+
+  await removeLikes(username);
+  await removeComments(username);
+  await anonymizeConversations(username);
+
+  // Yatırımcı olarak verdiği açık teklifler geri çekilir
+  const openOffers = await storage.offers.find(o =>
+    o.investor === username && (o.status === 'pending' || o.status === 'countered')
+  );
+  for (const offer of openOffers) {
+    await storage.offers.update(offer.id, o => {
+      const now = new Date().toISOString();
+      o.status = 'withdrawn';
+      o.history.push({ action: 'account-deleted', by: username, at: now });
+      o.updatedAt = now;
+      return o;
+    });
+  }
+  await anonymizeInvestments(user);
+
+  await storage.notifications.removeWhere({ recipient: username });
+  for (const notification of await storage.notifications.find({ actor: username })) {
+    await storage.notifications.update(notification.id, n => {
+      n.actor = DELETED_USER;
+      return n;
+    });
+  }
+
+  // Kalan projelerin revizyon geçmişi herkese açıktır; düzenleyenin adı teklif geçmişindeki gibi tombstone olur
+  for (const revision of await storage.revisions.find({ by: username })) {
+    await storage.revisions.update(revision.id, r => {
+      r.by = tombstoneOf(user);
+      return r;
+    });
+  }
+
+  // Proje istatistiklerinde ziyaret sayılır ama kimin olduğu tutulmaz
+  for (const event of await storage.events.find({ visitor: username })) {
+    await storage.events.update(event.id, e => {
+      e.visitor = tombstoneOf(user);
+      return e;
+    });
+  }
+
+  // Şikâyetler moderasyon geçmişi için kalır, şikâyet edenin adı silinir
+  for (const report of await storage.reports.find({ reporter: username })) {
+    await storage.reports.update(report.id, r => {
+      r.reporter = DELETED_USER;
+      return r;
+    });
+  }
+
+  // Destek talepleri silinir; açık talep kalmışsa yanıt verilecek kimse yoktur
+  await storage.tickets.removeWhere({ requester: username });
+  for (const ticket of await storage.tickets.find({ assignee: username })) {
+    await storage.tickets.update(ticket.id, t => {
+      t.assignee = null;
+      return t;
+    });
+  }
+
+  await storage.enrollments.removeWhere({ userId: user.id });
+  await storage.ideas.removeWhere({ userId: user.id });
+  await storage.tokens.removeWhere({ userId: user.id });
+  await storage.users.remove(user.id);
+  removeUser(username);
+
+  await anonymizeAudit([username, user.email], tombstoneOf(user));
+  await recordAudit('account.deleted', {
+    actor: tombstoneOf(user),
+    target: tombstoneOf(user),
+    details: { projects, ...projectSummary }
+  });
+
+  return projectSummary;
+}
+
+// Bekleme süresi dolmuş silme isteklerini uygular
+export async function runAccountDeletions({ now = new Date() } = {}) {
+  const due = await storage.users.find(u => u.deletion && new Date(u.deletion.scheduledFor) <= now);
+  const result = { deleted: 0, failed: 0 };
+  for (const user of due) {
+    try {
+      await deleteAccount(user, { projects: user.deletion.projects });
+      result.deleted++;
+    } catch (error) {
+      console.error(`Account deletion for ${user.username} failed:`, error);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+export function startDeletionScheduler() {
+  const timer = setInterval(() => {
+    runAccountDeletions().catch(error => console.error('Account deletion error:', error));
+  }, DELETION_CHECK_MINUTES * 60 * 1000);
+  // Zamanlayıcı süreci açık tutmasın
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,171 @@
+import { createId } from './storage/index.js';
+import { validateSchema } from './validation.js';
+import { INVESTMENT_TYPES } from './projects.js';
+import { LOCALES } from './i18n.js';
+
+export const USER_TYPES = ['entrepreneur', 'investor'];
+
+// Profil alanları. PUT /api/user/:username sadece gönderilen alanları günceller;
+// burada olmayan alanlar atılır.
+const SHORT_TEXT = { type: 'string', max: 100 };
+const TAG_LIST = { type: 'array', max: 30, items: { type: 'string', max: 50 } };
+
+export const PROFILE_SCHEMA = {
+  bio: { type: 'string', max: 1000, multiline: true },
+  location: SHORT_TEXT,
+  website: { type: 'url', max: 200 },
+  skills: TAG_LIST,
+  interests: TAG_LIST,
+
+  // İletişim bilgileri
+  email: { type: 'email', max: 254 },
+  linkedin: { type: 'string', max: 200, label: 'LinkedIn' },
+  twitter: SHORT_TEXT,
+  instagram: SHORT_TEXT,
+  phone: {
+    type: 'string',
+    max: 30,
+    pattern: /^\+?[\d\s().-]+$/,
+    patternMessage: 'Phone may only contain digits, spaces and + ( ) . -'
+  },
+
+  // Yatırımcı eşleştirmesinde kullanılan alanlar (bkz. lib/matching.js)
+  ticketSize: { type: 'string', max: 50 },
+  budget: { type: 'string', max: 50 },
+  sectors: TAG_LIST,
+  investmentTypes: TAG_LIST,
+  focusAreas: TAG_LIST,
+
+  // Sunucu mesajlarının ve sayfaların dili; Accept-Language'den önce gelir (bkz. lib/i18n.js)
+  language: { type: 'enum', values: LOCALES }
+};
+
+// Başkalarına gösterilen profil. Uyarılar, askı, silme planı, bildirim tercihleri ve
+// hesap bilgileri (e-posta, şifre tarihi) sadece hesabın sahibine döner.
+export function publicProfile(user) {
+  const { language, ...profile } = user.profile || {};
+  return {
+    username: user.username,
+    firstname: user.firstname,
+    lastname: user.lastname,
+    userType: user.userType,
+    profile,
+    ...(user.investorProfile ? { investorProfile: user.investorProfile } : {}),
+    score: user.score || null,
+    isDemo: !!user.isDemo,
+    createdAt: user.createdAt
+  };
+}
+
+// Yatırımcı profili kullanıcı kaydında investorProfile altında durur.
+// ticketSize USD cinsindendir; max null ise üst sınır yoktur.
+export const INVESTOR_TYPES = [
+  'Angel Investor', 'Venture Capitalist', 'Private Equity',
+  'Corporate Investor', 'Crowdfunding Investor', 'Other'
+];
+
+export const INVESTMENT_STAGES = ['idea', 'pre-seed', 'seed', 'series-a', 'growth'];
+
+export const CONTACT_TYPES = ['email', 'phone', 'linkedin', 'twitter', 'instagram', 'website', 'other'];
+
+const MAX_CONTACTS = 10;
+
+export const INVESTOR_PROFILE_SCHEMA = {
+  investorType: { type: 'enum', values: INVESTOR_TYPES, label: 'Investor type' },
+  experience: { type: 'integer', min: 0, max: 80, nullable: true, label: 'Years of experience' },
+  ticketSize: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      min: { type: 'number', required: true, min: 0 },
+      max: { type: 'number', min: 0, nullable: true, default: null }
+    }
+  },
+  preferredStages: {
+    type: 'array',
+    max: INVESTMENT_STAGES.length,
+    items: { type: 'enum', values: INVESTMENT_STAGES },
+    label: 'Preferred stages'
+  },
+  focusAreas: TAG_LIST,
+  investmentTypes: {
+    type: 'array',
+    max: INVESTMENT_TYPES.length,
+    items: { type: 'enum', values: INVESTMENT_TYPES },
+    label: 'Investment types'
+  },
+  contacts: {
+    type: 'array',
+    max: MAX_CONTACTS,
+    items: {
+      type: 'object',
+      fields: {
+        id: { type: 'string', max: 64, label: 'ID' },
+        type: { type: 'enum', values: CONTACT_TYPES, required: true },
+        value: { type: 'string', required: true, max: 200 },
+        label: { type: 'string', max: 50 }
+      }
+    }
+  }
+};
+
+// Bağlantı değeri türüne göre ayrıca denetlenir
+const CONTACT_VALUE_RULES = {
+  email: PROFILE_SCHEMA.email,
+  website: PROFILE_SCHEMA.website,
+  phone: PROFILE_SCHEMA.phone
+};
+
+// Şemadan geçmiş yatırımcı profilini alanlar arası kurallarla denetler.
+// Döner: { value } ya da { error: { field, code, params } }
+export function validateInvestorProfile(profile) {
+  const { ticketSize, contacts } = profile;
+  if (ticketSize && ticketSize.max !== null && ticketSize.max < ticketSize.min) {
+    return {
+      error: { field: 'investorProfile.ticketSize.max', code: 'TICKET_SIZE_RANGE' }
+    };
+  }
+
+  if (!contacts) return { value: profile };
+
+  const checked = [];
+  for (const [index, contact] of contacts.entries()) {
+    const rule = CONTACT_VALUE_RULES[contact.type];
+    let value = contact.value;
+    if (rule) {
+      const result = validateSchema({ value }, { value: { ...rule, label: 'Contact' } });
+      if (result.errors.length > 0) {
+        return { error: { ...result.errors[0], field: `investorProfile.contacts[${index}].value` } };
+      }
+      value = result.value.value;
+    }
+    checked.push({ id: contact.id || createId(), type: contact.type, value, label: contact.label || '' });
+  }
+  return { value: { ...profile, contacts: checked } };
+}
+
+// Hazır odak alanlarının proje kategorisi karşılıkları (eşleştirmede sektör olarak kullanılır)
+const FOCUS_CATEGORIES = {
+  technology: 'tech',
+  'ai/ml': 'tech',
+  healthcare: 'health',
+  biotech: 'health',
+  finance: 'finance',
+  fintech: 'finance',
+  education: 'education',
+  energy: 'environment',
+  'clean energy': 'environment',
+  'e-commerce': 'business',
+  'real estate': 'business',
+  manufacturing: 'business',
+  transportation: 'business',
+  entertainment: 'media',
+  'food & beverage': 'business'
+};
+
+export function focusCategories(focusAreas) {
+  const categories = (focusAreas || [])
+    .map(area => FOCUS_CATEGORIES[String(area).toLowerCase()])
+    .filter(Boolean);
+  return [...new Set(categories)];
+}
@@ -0,0 +1,283 @@
+import { storage, createId } from './storage/index.js';
+import { isHiddenDemo } from './demo.js';
+import { trendingRank } from './likes.js';
+import { parseFundingRange } from './matching.js';
+import { listQuerySchema, timeOf, createdWithin } from './listing.js';
+import { removeProject } from './search.js';
+import { removeProjectUploads } from './uploads.js';
+
+// Proje yaşam döngüsü: draft → active → funded → completed → archived.
+// Yatırım almadan tamamlanan projeler için active → completed da serbest;
+// arşivlenmiş bir proje tekrar açılmaz.
+export const PROJECT_STATUSES = ['draft', 'active', 'funded', 'completed', 'archived'];
+
+export const STATUS_TRANSITIONS = {
+  draft: ['active', 'archived'],
+  active: ['funded', 'completed', 'archived'],
+  funded: ['completed', 'archived'],
+  completed: ['archived'],
+  archived: []
+};
+
+export const PROJECT_CATEGORIES = [
+  'tech', 'fashion', 'health', 'environment', 'education',
+  'art', 'business', 'media', 'science', 'pets', 'finance', 'other'
+];
+
+export const INVESTMENT_TYPES = ['grant', 'equity', 'loan'];
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_DETAILS_LENGTH = 2000;
+const MAX_FUNDING = 1000000000000;
+
+const INVESTMENT_DATA_RULE = {
+  type: 'object',
+  nullable: true,
+  label: 'Investment details',
+  fields: {
+    fundingAmount: { type: 'string', required: true, max: 100 },
+    investmentType: { type: 'enum', values: INVESTMENT_TYPES, required: true },
+    investmentDetails: { type: 'string', max: MAX_DETAILS_LENGTH, multiline: true, default: '' }
+  }
+};
+
+// PATCH gövdesi: her alan isteğe bağlı, gönderilen metin alanları boş olamaz
+export const PROJECT_CHANGES_SCHEMA = {
+  title: { type: 'string', notEmpty: true, max: MAX_TITLE_LENGTH },
+  description: { type: 'string', notEmpty: true, max: MAX_DESCRIPTION_LENGTH, multiline: true },
+  category: { type: 'enum', values: PROJECT_CATEGORIES },
+  lookingForInvestment: { type: 'boolean' },
+  investmentData: INVESTMENT_DATA_RULE,
+  status: { type: 'enum', values: PROJECT_STATUSES }
+};
+
+// Yeni proje taslak olarak ya da doğrudan yayında başlayabilir
+export const NEW_PROJECT_SCHEMA = {
+  ...PROJECT_CHANGES_SCHEMA,
+  title: { type: 'string', required: true, max: MAX_TITLE_LENGTH },
+  description: { type: 'string', required: true, max: MAX_DESCRIPTION_LENGTH, multiline: true },
+  category: { type: 'enum', values: PROJECT_CATEGORIES, default: 'tech' },
+  funding: { type: 'number', min: 0, max: MAX_FUNDING, default: 0 },
+  lookingForInvestment: { type: 'boolean', default: false },
+  status: { type: 'enum', values: ['draft', 'active'], default: 'active' }
+};
+
+// Liste sıralamaları (GET /api/projects?sort=); eşitlikte en yeni önce
+export const PROJECT_SORTS = {
+  newest: p => [timeOf(p.createdAt)],
+  likes: p => [p.likes || 0, timeOf(p.createdAt)],
+  trending: p => [trendingRank(p), timeOf(p.createdAt)],
+  funding: p => {
+    const ask = requestedFunding(p);
+    return [ask ? ask.min : -1, timeOf(p.createdAt)];
+  }
+};
+
+export const PROJECT_LIST_QUERY = listQuerySchema(PROJECT_SORTS, {
+  category: { type: 'list', values: PROJECT_CATEGORIES },
+  status: { type: 'list', values: PROJECT_STATUSES },
+  creator: { type: 'string', max: 30 },
+  lookingForInvestment: { type: 'boolean', label: 'Looking for investment' },
+  investmentType: { type: 'list', values: INVESTMENT_TYPES, label: 'Investment type' },
+  fundingMin: { type: 'number', min: 0, label: 'Minimum funding' },
+  fundingMax: { type: 'number', min: 0, label: 'Maximum funding' },
+  minLikes: { type: 'integer', min: 0, label: 'Minimum likes' }
+});
+
+// Revizyonlarda izlenen alanlar
+const TRACKED_FIELDS = ['title', 'description', 'category', 'lookingForInvestment', 'investmentData', 'status'];
+
+export function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Taslaklar sadece sahibine görünür; demo projeler ayara göre kimseye görünmez
+export function isVisibleTo(project, viewer) {
+  if (isHiddenDemo(project)) return false;
+  return project.status !== 'draft' || (!!viewer && viewer.username === project.creator);
+}
+
+// Yatırımcı listesi herkese açıktır; tutar ve koşulları sadece proje sahibi ve o yatırımcı görür
+export function projectForViewer(project, viewer) {
+  const username = viewer ? viewer.username : null;
+  if (!Array.isArray(project.investors) || username === project.creator) return project;
+  return {
+    ...project,
+    investors: project.investors.map(entry => entry.investor === username
+      ? entry
+      : { investor: entry.investor, instrument: entry.instrument, acceptedAt: entry.acceptedAt })
+  };
+}
+
+// Şemadan geçmiş gövdeyi mevcut projeyle birlikte denetler; sadece değişecek alanları döndürür.
+// Hata alan bazındadır: { error: { field, code } }
+export function validateProjectChanges(body, current) {
+  const changes = {};
+  for (const field of ['title', 'description', 'category', 'lookingForInvestment']) {
+    if (body[field] !== undefined) changes[field] = body[field];
+  }
+
+  const lookingForInvestment = changes.lookingForInvestment !== undefined
+    ? changes.lookingForInvestment
+    : !!current.lookingForInvestment;
+
+  if (body.investmentData !== undefined && body.investmentData !== null && lookingForInvestment) {
+    changes.investmentData = body.investmentData;
+  } else if (body.investmentData === null || changes.lookingForInvestment === false) {
+    changes.investmentData = null;
+  }
+
+  const investmentData = changes.investmentData !== undefined ? changes.investmentData : current.investmentData;
+  if (lookingForInvestment && !investmentData) {
+    return {
+      error: { field: 'investmentData', code: 'INVESTMENT_DATA_REQUIRED' }
+    };
+  }
+
+  if (body.status !== undefined && body.status !== current.status) {
+    changes.status = body.status;
+  }
+
+  return { changes };
+}
+
+// Talep edilen yatırım tutarı aralığı ("1000-5000", "100000+"); yatırım aramıyorsa null
+export function requestedFunding(project) {
+  if (!project.lookingForInvestment || !project.investmentData) return null;
+  return parseFundingRange(project.investmentData.fundingAmount);
+}
+
+// Şemadan geçmiş liste sorgusunun filtreleri. Tutar aralığı, talep edilen aralıkla kesişen projeleri bulur.
+export function matchesProjectFilters(project, filters) {
+  const { category, status, creator, lookingForInvestment, investmentType, fundingMin, fundingMax, minLikes } = filters;
+  if (category && category.length && !category.includes(project.category)) return false;
+  if (status && status.length && !status.includes(project.status)) return false;
+  if (creator && project.creator !== creator) return false;
+  if (lookingForInvestment !== undefined && !!project.lookingForInvestment !== lookingForInvestment) return false;
+  if (investmentType && investmentType.length) {
+    const type = project.lookingForInvestment && project.investmentData && project.investmentData.investmentType;
+    if (!investmentType.includes(type)) return false;
+  }
+  if (fundingMin !== undefined || fundingMax !== undefined) {
+    const ask = requestedFunding(project);
+    if (!ask) return false;
+    if (fundingMin !== undefined && ask.max < fundingMin) return false;
+    if (fundingMax !== undefined && ask.min > fundingMax) return false;
+  }
+  if (minLikes && (project.likes || 0) < minLikes) return false;
+  return createdWithin(project, filters);
+}
+
+// Doğrulanmış alanlardan yeni proje kaydı
+export function buildProject(fields, creator) {
+  const now = new Date().toISOString();
+  return {
+    id: createId(),
+    title: fields.title,
+    description: fields.description,
+    category: fields.category,
+    funding: fields.funding || 0,
+    creator,
+    lookingForInvestment: !!fields.lookingForInvestment,
+    investmentData: fields.investmentData || null,
+    status: fields.status,
+    revision: 1,
+    createdAt: now,
+    updatedAt: now,
+    investors: [],
+    images: [],
+    likes: 0,
+    commentCount: 0
+  };
+}
+
+// Projedeki açık yatırım tekliflerini reddeder; action teklif geçmişine yazılır
+export async function declineOpenOffers(projectId, by, action) {
+  const openOffers = await storage.offers.find(o =>
+    o.projectId === projectId && (o.status === 'pending' || o.status === 'countered')
+  );
+  for (const offer of openOffers) {
+    await storage.offers.update(offer.id, o => {
+      const now = new Date().toISOString();
+      o.status = 'declined';
+      o.history.push({ action, by, at: now });
+      o.updatedAt = now;
+      return o;
+    });
+  }
+}
+
+// Projeyi ve ona bağlı kayıtları siler: yorumlar, revizyonlar, beğeniler, etkinlikler,
+// görseller ve arama kaydı. Projeyi kaydedenlerin favorilerinden de çıkarılır.
+export async function deleteProjectData(project, by, reason = 'project-deleted') {
+  const id = project.id;
+  await storage.projects.remove(id);
+  removeProject(id);
+  await storage.comments.removeWhere({ projectId: id });
+  await storage.revisions.removeWhere({ projectId: id });
+  await storage.likes.removeWhere({ projectId: id });
+  await storage.events.removeWhere({ projectId: id });
+  await removeProjectUploads(id);
+
+  const followers = await storage.users.find(u => (u.favorites || []).includes(id));
+  for (const follower of followers) {
+    await storage.users.update(follower.id, u => {
+      u.favorites = (u.favorites || []).filter(favorite => favorite !== id);
+      if (u.favoritedAt) delete u.favoritedAt[id];
+      return u;
+    });
+  }
+
+  await declineOpenOffers(id, by, reason);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Sadece gerçekten değişen alanlar: { alan: { from, to } }
+export function diffProject(before, after) {
+  const diff = {};
+  for (const field of TRACKED_FIELDS) {
+    if (!sameValue(before[field], after[field])) {
+      diff[field] = { from: before[field] === undefined ? null : before[field], to: after[field] };
+    }
+  }
+  return diff;
+}
+
+export async function recordRevision(project, changes, by) {
+  const revision = {
+    id: createId(),
+    projectId: project.id,
+    revision: project.revision,
+    by,
+    changes,
+    createdAt: project.updatedAt
+  };
+  await storage.revisions.insert(revision);
+  return revision;
+}
+
+export async function revisionsSince(projectId, since) {
+  const revisions = await storage.revisions.find({ projectId });
+  return revisions
+    .filter(r => !since || new Date(r.createdAt) > new Date(since))
+    .sort((a, b) => a.revision - b.revision);
+}
+
+// Bir tarihten bu yana değişen alanları tek özet halinde birleştirir
+export function summarizeChanges(revisions) {
+  const summary = {};
+  for (const revision of revisions) {
+    for (const [field, change] of Object.entries(revision.changes)) {
+      summary[field] = summary[field]
+        ? { from: summary[field].from, to: change.to }
+        : { ...change };
+    }
+  }
+  for (const [field, change] of Object.entries(summary)) {
+    if (sameValue(change.from, change.to)) delete summary[field];
+  }
+  return summary;
+}
@@ -0,0 +1,105 @@
+// Bellek içi sayaçlar. Sunucu tek süreçte çalıştığı için yeterli;
+// sunucu yeniden başlayınca sayaçlar sıfırlanır.
+
+const MAX_KEYS = 10000;
+// Sınıra ulaşıldığında bu sayıya inilir; her istekte tüm tabloyu taramamak için
+const PRUNE_TO = Math.floor(MAX_KEYS * 0.9);
+
+// Çok sayıda anahtar birikirse önce süresi dolanlar, sonra en eski kayıtlar atılır.
+// Map ekleme sırasını korur; anahtarlar her kullanımda sona taşındığı için baştakiler en eskidir.
+function prune(map, expired, now) {
+  if (map.size < MAX_KEYS) return;
+  for (const [key, entry] of map) {
+    if (expired(entry, now)) map.delete(key);
+  }
+  for (const key of map.keys()) {
+    if (map.size <= PRUNE_TO) break;
+    map.delete(key);
+  }
+}
+
+// Anahtarı sona taşıyarak kaydeder
+function touch(map, key, entry) {
+  map.delete(key);
+  map.set(key, entry);
+}
+
+// Sabit pencereli sayaç: bir anahtar windowMs içinde en fazla max kez sayılır
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  function current(key, now) {
+    const entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) return null;
+    return entry;
+  }
+
+  return {
+    // Sınır aşıldıysa kalan saniye, aşılmadıysa 0
+    retryAfter(key) {
+      const now = Date.now();
+      const entry = current(key, now);
+      return entry && entry.count >= max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+    },
+    hit(key) {
+      const now = Date.now();
+      prune(hits, e => e.resetAt <= now, now);
+      const entry = current(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count++;
+      touch(hits, key, entry);
+    },
+    reset(key) {
+      hits.delete(key);
+    }
+  };
+}
+
+// Artan kilitleme: threshold ardışık hatadan sonra anahtar baseMs kilitlenir,
+// sonraki her hatada süre ikiye katlanır (en fazla maxMs). Başarılı girişte sıfırlanır.
+export function createLockout({ threshold, baseMs, maxMs, forgetMs = 24 * 60 * 60 * 1000 }) {
+  const failures = new Map();
+
+  function current(key, now) {
+    const entry = failures.get(key);
+    if (!entry || entry.lastFailureAt + forgetMs <= now) return null;
+    return entry;
+  }
+
+  return {
+    // Kilitliyse kalan saniye, değilse 0
+    lockedFor(key) {
+      const now = Date.now();
+      const entry = current(key, now);
+      return entry && entry.lockedUntil > now ? Math.ceil((entry.lockedUntil - now) / 1000) : 0;
+    },
+    // Hatayı sayar; kilit başladıysa süresini (saniye), başlamadıysa 0 döndürür
+    fail(key) {
+      const now = Date.now();
+      prune(failures, e => e.lastFailureAt + forgetMs <= now, now);
+      const entry = current(key, now) || { count: 0, lockedUntil: 0, lastFailureAt: now };
+      entry.count++;
+      entry.lastFailureAt = now;
+      touch(failures, key, entry);
+
+      if (entry.count < threshold) return 0;
+      const duration = Math.min(maxMs, baseMs * 2 ** (entry.count - threshold));
+      entry.lockedUntil = now + duration;
+      return Math.ceil(duration / 1000);
+    },
+    reset(key) {
+      failures.delete(key);
+    }
+  };
+}
+
+// Giriş denemeleri: IP başına hatalı deneme sınırı ve hesap başına kilitleme
+export const loginIpLimiter = createRateLimiter({
+  windowMs: (Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20
+});
+
+export const loginLockout = createLockout({
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 1) * 60 * 1000,
+  maxMs: (Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000
+});
@@ -0,0 +1,50 @@
+// Server-Sent Events: kullanıcı başına açık bağlantılar. Tek süreçte tutulur;
+// birden fazla sunucu örneğinde bir kullanıcıya sadece bağlı olduğu örnek ulaşır.
+const streams = new Map();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// İsteği açık bir olay akışına çevirir; bağlantı kapanınca kendini temizler
+export function openStream(req, res, username) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!streams.has(username)) streams.set(username, new Set());
+  streams.get(username).add(res);
+
+  // Proxy'lerin boşta kalan bağlantıyı kesmemesi için yorum satırı gönderilir
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const set = streams.get(username);
+    if (!set) return;
+    set.delete(res);
+    if (set.size === 0) streams.delete(username);
+  });
+
+  send(res, 'ready', { username });
+}
+
+export function publish(username, event, data) {
+  const set = streams.get(username);
+  if (!set) return 0;
+  for (const res of set) {
+    send(res, event, data);
+  }
+  return set.size;
+}
+
+export function isOnline(username) {
+  return streams.has(username);
+}
@@ -0,0 +1,326 @@
+import { storage, createId } from './storage/index.js';
+import { isHiddenDemo } from './demo.js';
+import { isVisibleTo } from './projects.js';
+import { notify } from './notifications.js';
+import { createRateLimiter } from './ratelimit.js';
+import { roleOf, suspendUser, unpublishProject, republishProject } from './admin.js';
+
+// Şikâyetler ve moderasyon kuyruğu. Aynı içerik hakkındaki şikâyetler kuyrukta tek satırda
+// toplanır; moderatörün (yönetici) kararı o içeriğin açık şikâyetlerinin hepsini kapatır.
+//   open → reviewing → actioned | dismissed
+export const REPORT_TARGETS = ['project', 'comment', 'user'];
+export const REPORT_REASONS = ['spam', 'abuse', 'fraud', 'fake-profile', 'inappropriate', 'other'];
+export const REPORT_STATUSES = ['open', 'reviewing', 'actioned', 'dismissed'];
+export const ACTIVE_STATUSES = ['open', 'reviewing'];
+export const MODERATION_ACTIONS = ['dismiss', 'hide', 'warn', 'suspend'];
+
+// Bu kadar farklı kişi şikâyet edince içerik incelemeye kadar gizlenir; 0 kapatır.
+// Kullanıcı hesapları kendiliğinden gizlenmez.
+export const AUTO_HIDE_THRESHOLD = process.env.REPORT_AUTO_HIDE_THRESHOLD !== undefined
+  ? Number(process.env.REPORT_AUTO_HIDE_THRESHOLD)
+  : 3;
+
+// Şikâyet yağdırmayı sınırlar: kullanıcı başına saatte REPORTS_PER_HOUR şikâyet
+export const reportLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.REPORTS_PER_HOUR) || 20
+});
+
+export function targetKey(targetType, targetId) {
+  return `${targetType}:${targetId}`;
+}
+
+function excerpt(text, length = 300) {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length)}…` : value;
+}
+
+// Şikâyet edilen kayıt, sorumlusu (subject) ve kuyrukta gösterilecek anlık kopyası.
+// Görünürlüğe bakmaz; moderatör taslağa çekilmiş projeyi de bulur.
+async function findTarget(targetType, targetId) {
+  if (targetType === 'project') {
+    const project = await storage.projects.get(targetId);
+    if (!project) return null;
+    return {
+      record: project,
+      subject: project.creator,
+      project,
+      snapshot: { title: project.title, description: excerpt(project.description) }
+    };
+  }
+
+  if (targetType === 'comment') {
+    const comment = await storage.comments.get(targetId);
+    if (!comment || comment.deletedAt) return null;
+    const project = await storage.projects.get(comment.projectId);
+    if (!project) return null;
+    return {
+      record: comment,
+      subject: comment.author,
+      project,
+      snapshot: { body: excerpt(comment.body), projectTitle: project.title }
+    };
+  }
+
+  const user = await storage.users.findOne({ username: targetId });
+  if (!user) return null;
+  return {
+    record: user,
+    subject: user.username,
+    project: null,
+    snapshot: {
+      name: `${user.firstname || ''} ${user.lastname || ''}`.trim(),
+      userType: user.userType,
+      bio: excerpt(user.profile && user.profile.bio)
+    }
+  };
+}
+
+// Şikâyet edenin göremediği içerik bulunamamış sayılır
+export async function reportableTarget(targetType, targetId, viewer) {
+  const target = await findTarget(targetType, targetId);
+  if (!target) return null;
+  if (target.project && !isVisibleTo(target.project, viewer)) return null;
+  if (targetType === 'user' && isHiddenDemo(target.record)) return null;
+  return target;
+}
+
+function isHidden(targetType, record) {
+  if (targetType === 'project') return !!record.unpublished;
+  if (targetType === 'comment') return !!record.hidden;
+  return !!record.suspended;
+}
+
+async function setCommentHidden(comment, moderation) {
+  let delta = 0;
+  const updated = await storage.comments.update(comment.id, c => {
+    const before = !c.hidden && !c.deletedAt;
+    c.hidden = !!moderation;
+    c.hiddenBy = moderation ? moderation.by : null;
+    c.hiddenAt = moderation ? moderation.at : null;
+    if (moderation) c.moderation = moderation;
+    else delete c.moderation;
+    delta = Number(!c.hidden && !c.deletedAt) - Number(before);
+    return c;
+  });
+  if (delta !== 0) {
+    await storage.projects.update(comment.projectId, p => {
+      p.commentCount = Math.max(0, (p.commentCount || 0) + delta);
+      return p;
+    });
+  }
+  return updated;
+}
+
+// İçeriği gizler. by null ise gizleme otomatiktir ve şikâyetler reddedilirse geri alınır.
+async function hideTarget(targetType, record, { by, reason }) {
+  if (targetType === 'project') {
+    if (!record.unpublished) return unpublishProject(record, { by, reason });
+    return storage.projects.update(record.id, p => {
+      p.unpublished = { ...p.unpublished, at: new Date().toISOString(), by, reason };
+      return p;
+    });
+  }
+  return setCommentHidden(record, { at: new Date().toISOString(), by, reason });
+}
+
+// Otomatik gizlenen içeriği geri açar; moderatörün gizlediğine dokunmaz
+async function restoreAutoHidden(targetType, record) {
+  if (targetType === 'project' && record.unpublished && record.unpublished.by === null) {
+    return republishProject(record);
+  }
+  if (targetType === 'comment' && record.moderation && record.moderation.by === null) {
+    return setCommentHidden(record, null);
+  }
+  return null;
+}
+
+export async function activeReports(key) {
+  return storage.reports.find(r => r.targetKey === key && ACTIVE_STATUSES.includes(r.status));
+}
+
+// Yeni şikâyeti kaydeder; eşik aşıldıysa içeriği gizler. Sonuç: { report, autoHidden }
+export async function fileReport({ reporter, targetType, targetId, reason, details, target }) {
+  const now = new Date().toISOString();
+  const report = {
+    id: createId(),
+    targetType,
+    targetId,
+    targetKey: targetKey(targetType, targetId),
+    projectId: target.project ? target.project.id : null,
+    subject: target.subject,
+    snapshot: target.snapshot,
+    reporter,
+    reason,
+    details: details || '',
+    status: 'open',
+    assignee: null,
+    resolution: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await storage.reports.insert(report);
+
+  let autoHidden = false;
+  if (AUTO_HIDE_THRESHOLD > 0 && targetType !== 'user' && !isHidden(targetType, target.record)) {
+    const reporters = new Set((await activeReports(report.targetKey)).map(r => r.reporter));
+    if (reporters.size >= AUTO_HIDE_THRESHOLD) {
+      await hideTarget(targetType, target.record, {
+        by: null,
+        reason: `Hidden automatically after ${reporters.size} reports.`
+      });
+      autoHidden = true;
+      await notify({
+        recipient: target.subject,
+        type: 'moderation.notice',
+        project: target.project,
+        data: { action: 'auto-hide', targetType }
+      });
+    }
+  }
+
+  return { report, autoHidden };
+}
+
+// Kuyruk: içerik başına bir satır; en çok şikâyet edilen ve en eski önce
+export async function moderationQueue({ status, targetType, limit }) {
+  const statuses = status && status.length ? status : ACTIVE_STATUSES;
+  const reports = await storage.reports.find(r =>
+    statuses.includes(r.status) && (!targetType || r.targetType === targetType)
+  );
+
+  const groups = new Map();
+  for (const report of reports.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))) {
+    if (!groups.has(report.targetKey)) {
+      groups.set(report.targetKey, {
+        targetType: report.targetType,
+        targetId: report.targetId,
+        projectId: report.projectId,
+        subject: report.subject,
+        snapshot: report.snapshot,
+        status: report.status,
+        assignee: report.assignee,
+        reasons: {},
+        reports: []
+      });
+    }
+    const group = groups.get(report.targetKey);
+    // Son şikâyetin kopyası en güncel olanıdır
+    group.snapshot = report.snapshot;
+    if (report.status === 'reviewing') {
+      group.status = 'reviewing';
+      group.assignee = report.assignee;
+    }
+    group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+    group.reports.push(report);
+  }
+
+  const items = [];
+  for (const group of groups.values()) {
+    const target = await findTarget(group.targetType, group.targetId);
+    items.push({
+      ...group,
+      reportCount: new Set(group.reports.map(r => r.reporter)).size,
+      firstReportedAt: group.reports[0].createdAt,
+      lastReportedAt: group.reports[group.reports.length - 1].createdAt,
+      exists: !!target,
+      hidden: target ? isHidden(group.targetType, target.record) : null
+    });
+  }
+
+  items.sort((a, b) => b.reportCount - a.reportCount || new Date(a.firstReportedAt) - new Date(b.firstReportedAt));
+  return { items: items.slice(0, limit), total: items.length };
+}
+
+export async function startReview(report, moderator) {
+  const now = new Date().toISOString();
+  const reports = await activeReports(report.targetKey);
+  for (const r of reports) {
+    await storage.reports.update(r.id, rec => {
+      rec.status = 'reviewing';
+      rec.assignee = moderator;
+      rec.updatedAt = now;
+      return rec;
+    });
+  }
+  return reports.length;
+}
+
+// Moderatör kararı. Şikâyet edenlere sonuç, içeriğin sahibine uygulanan işlem bildirilir.
+// Sonuç: { error } ya da { resolved, status }
+export async function resolveReports(report, { action, note, moderator }) {
+  const reports = await activeReports(report.targetKey);
+  if (reports.length === 0) {
+    return { error: { status: 409, code: 'REPORTS_ALREADY_RESOLVED' } };
+  }
+
+  const { targetType } = report;
+  const target = (await findTarget(targetType, report.targetId) || {}).record;
+  const subject = await storage.users.findOne({ username: report.subject });
+
+  if (action === 'hide') {
+    if (targetType === 'user') {
+      return { error: { status: 400, code: 'REPORT_CANNOT_HIDE_USER' } };
+    }
+    if (!target) {
+      return { error: { status: 409, code: 'REPORT_CONTENT_GONE' } };
+    }
+  }
+  if (action === 'warn' || action === 'suspend') {
+    if (!subject) {
+      return { error: { status: 409, code: 'REPORT_ACCOUNT_GONE' } };
+    }
+    if (action === 'suspend' && roleOf(subject) === 'admin') {
+      return { error: { status: 409, code: 'ADMIN_NOT_SUSPENDABLE' } };
+    }
+    if (action === 'suspend' && subject.suspended) {
+      return { error: { status: 409, code: 'ALREADY_SUSPENDED' } };
+    }
+  }
+
+  const reason = note || `Reported for ${report.reason}.`;
+  if (action === 'hide') {
+    await hideTarget(targetType, target, { by: moderator, reason });
+  } else if (action === 'warn') {
+    await storage.users.update(subject.id, u => {
+      u.warnings = [...(u.warnings || []), { at: new Date().toISOString(), by: moderator, reason, reportId: report.id }];
+      return u;
+    });
+  } else if (action === 'suspend') {
+    await suspendUser(subject, { by: moderator, reason });
+  } else if (target) {
+    await restoreAutoHidden(targetType, target);
+  }
+
+  const now = new Date().toISOString();
+  const status = action === 'dismiss' ? 'dismissed' : 'actioned';
+  const resolution = { action, note: note || '', by: moderator, at: now };
+  for (const r of reports) {
+    await storage.reports.update(r.id, rec => {
+      rec.status = status;
+      rec.resolution = resolution;
+      rec.updatedAt = now;
+      return rec;
+    });
+  }
+
+  const project = report.projectId ? await storage.projects.get(report.projectId) : null;
+  for (const reporter of new Set(reports.map(r => r.reporter))) {
+    await notify({
+      recipient: reporter,
+      type: 'report.resolved',
+      project,
+      data: { targetType, outcome: status }
+    });
+  }
+  if (action !== 'dismiss') {
+    await notify({
+      recipient: report.subject,
+      type: 'moderation.notice',
+      project,
+      data: { action, targetType, note: note || '' }
+    });
+  }
+
+  return { resolved: reports.length, status };
+}
@@ -0,0 +1,338 @@
+import { storage } from './storage/index.js';
+import { foldChar } from './text.js';
+import { isVisibleTo } from './projects.js';
+import { isHiddenDemo } from './demo.js';
+
+// Proje ve kullanıcılar için bellek içi ters indeks. İlk aramada depodan
+// kurulur, sonrasında route'lar indexProject/indexUser/remove* çağırarak
+// güncel tutar. SearchIndex ve matchDocuments yardım makalelerinde de kullanılır (lib/help.js).
+
+const PROJECT_FIELDS = { title: 5, tags: 3, category: 2, description: 1 };
+const USER_FIELDS = { name: 5, username: 4, bio: 1 };
+const PREFIX_FACTOR = 0.6;
+const MAX_LIMIT = 50;
+
+// Orijinal metindeki konumlarıyla birlikte terimler
+function tokenize(text) {
+  const tokens = [];
+  const source = String(text || '');
+  for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const chars = Array.from(match[0]);
+    // folded[i]: ilk i karakterin katlanmış uzunluğu; önek vurgusunu orijinal metne eşlemek için
+    const folded = [0];
+    let term = '';
+    for (const char of chars) {
+      term += foldChar(char);
+      folded.push(term.length);
+    }
+    const lengths = [0];
+    for (const char of chars) lengths.push(lengths[lengths.length - 1] + char.length);
+    tokens.push({ term, start: match.index, end: match.index + match[0].length, folded, lengths });
+  }
+  return tokens;
+}
+
+// Katlanmış önek uzunluğunu orijinal metindeki karakter sayısına çevirir
+function originalPrefixLength(token, foldedLength) {
+  const i = token.folded.findIndex(n => n >= foldedLength);
+  return i === -1 ? token.end - token.start : token.lengths[i];
+}
+
+export class SearchIndex {
+  constructor() {
+    this.docs = new Map();
+    this.postings = new Map();
+    this.sortedTerms = null;
+  }
+
+  add(key, doc, fields) {
+    this.remove(key);
+    const terms = new Set();
+    doc.fieldTokens = {};
+
+    for (const [field, value] of Object.entries(fields)) {
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach((text, i) => {
+        const fieldKey = Array.isArray(value) ? `${field}.${i}` : field;
+        const tokens = tokenize(text);
+        doc.fieldTokens[fieldKey] = tokens;
+        for (const token of tokens) {
+          terms.add(token.term);
+          if (!this.postings.has(token.term)) {
+            this.postings.set(token.term, new Set());
+            this.sortedTerms = null;
+          }
+          this.postings.get(token.term).add(key);
+        }
+      });
+    }
+
+    doc.terms = terms;
+    this.docs.set(key, doc);
+  }
+
+  remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const keys = this.postings.get(term);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    }
+    this.docs.delete(key);
+  }
+
+  // Verilen önekle başlayan terimler (ikili arama ile)
+  termsWithPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+    const terms = this.sortedTerms;
+    let lo = 0;
+    let hi = terms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (terms[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const result = [];
+    for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) {
+      result.push(terms[i]);
+    }
+    return result;
+  }
+}
+
+let index = null;
+let building = null;
+let pendingOps = [];
+
+function projectEntry(project) {
+  return {
+    key: `project:${project.id}`,
+    doc: {
+      type: 'project',
+      id: project.id,
+      item: {
+        id: project.id,
+        title: project.title,
+        description: project.description,
+        category: project.category,
+        tags: project.tags || [],
+        creator: project.creator,
+        status: project.status,
+        likes: project.likes || 0,
+        lookingForInvestment: !!project.lookingForInvestment,
+        createdAt: project.createdAt
+      },
+      facets: { category: project.category, status: project.status },
+      weights: PROJECT_FIELDS,
+      boost: project.likes || 0
+    },
+    fields: {
+      title: project.title,
+      description: project.description,
+      category: project.category,
+      tags: project.tags || []
+    }
+  };
+}
+
+function userEntry(user) {
+  const profile = user.profile || {};
+  return {
+    key: `user:${user.username}`,
+    doc: {
+      type: 'user',
+      id: user.username,
+      item: {
+        username: user.username,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        userType: user.userType,
+        bio: profile.bio || ''
+      },
+      facets: { userType: user.userType },
+      weights: USER_FIELDS,
+      boost: 0
+    },
+    fields: {
+      name: `${user.firstname || ''} ${user.lastname || ''}`.trim(),
+      username: user.username,
+      bio: profile.bio || ''
+    }
+  };
+}
+
+function apply(op) {
+  if (op.entry) {
+    index.add(op.entry.key, op.entry.doc, op.entry.fields);
+  } else {
+    index.remove(op.key);
+  }
+}
+
+// İndeks kurulurken gelen değişiklikler kuyruğa alınır ve kurulumdan sonra uygulanır
+function enqueue(op) {
+  if (index) apply(op);
+  else if (building) pendingOps.push(op);
+}
+
+async function ensureIndex() {
+  if (index) return index;
+  if (!building) {
+    building = (async () => {
+      const [projects, users] = await Promise.all([storage.projects.find({}), storage.users.find({})]);
+      const built = new SearchIndex();
+      for (const project of projects.filter(p => isVisibleTo(p, null))) {
+        const entry = projectEntry(project);
+        built.add(entry.key, entry.doc, entry.fields);
+      }
+      for (const user of users.filter(isSearchableUser)) {
+        const entry = userEntry(user);
+        built.add(entry.key, entry.doc, entry.fields);
+      }
+      index = built;
+      pendingOps.forEach(apply);
+      pendingOps = [];
+      return index;
+    })().finally(() => {
+      building = null;
+    });
+  }
+  return building;
+}
+
+// Taslaklar ve gizlenen demo kayıtları aramada görünmez
+export function indexProject(project) {
+  if (!isVisibleTo(project, null)) {
+    removeProject(project.id);
+    return;
+  }
+  enqueue({ entry: projectEntry(project) });
+}
+
+export function removeProject(id) {
+  enqueue({ key: `project:${id}` });
+}
+
+// Gizli demo hesapları ve askıdaki hesaplar aramada çıkmaz
+function isSearchableUser(user) {
+  return !isHiddenDemo(user) && !user.suspended;
+}
+
+export function indexUser(user) {
+  if (!isSearchableUser(user)) {
+    removeUser(user.username);
+    return;
+  }
+  enqueue({ entry: userEntry(user) });
+}
+
+export function removeUser(username) {
+  enqueue({ key: `user:${username}` });
+}
+
+// Bir dokümanın sorgu terimleriyle puanı ve vurgu aralıkları.
+// Her sorgu terimi en az bir alanda (tam ya da önek olarak) geçmelidir.
+function scoreDoc(doc, queryTerms) {
+  let score = 0;
+  const highlights = {};
+
+  for (const queryTerm of queryTerms) {
+    let best = 0;
+    for (const [fieldKey, tokens] of Object.entries(doc.fieldTokens)) {
+      const weight = doc.weights[fieldKey.split('.')[0]];
+      for (const token of tokens) {
+        let length = 0;
+        let factor = 0;
+        if (token.term === queryTerm) {
+          length = token.end - token.start;
+          factor = 1;
+        } else if (token.term.startsWith(queryTerm)) {
+          length = originalPrefixLength(token, queryTerm.length);
+          factor = PREFIX_FACTOR;
+        } else {
+          continue;
+        }
+        best = Math.max(best, weight * factor);
+        (highlights[fieldKey] = highlights[fieldKey] || []).push([token.start, token.start + length]);
+      }
+    }
+    if (best === 0) return null;
+    score += best;
+  }
+
+  // Çakışan aralıklar birleştirilir, istemci sırayla sarmalayabilir
+  for (const [fieldKey, ranges] of Object.entries(highlights)) {
+    ranges.sort((a, b) => a[0] - b[0]);
+    highlights[fieldKey] = ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+      else merged.push([...range]);
+      return merged;
+    }, []);
+  }
+
+  return { score, highlights };
+}
+
+function countFacets(results) {
+  const facets = { type: {}, category: {}, status: {}, userType: {} };
+  for (const { doc } of results) {
+    facets.type[doc.type] = (facets.type[doc.type] || 0) + 1;
+    for (const [name, value] of Object.entries(doc.facets)) {
+      if (value) facets[name][value] = (facets[name][value] || 0) + 1;
+    }
+  }
+  return facets;
+}
+
+// Sorgu terimlerinin hepsinin geçtiği dokümanlar: [{ doc, score, highlights }]
+export function matchDocuments(idx, query) {
+  const queryTerms = [...new Set(tokenize(query).map(t => t.term))];
+  if (queryTerms.length === 0) return [];
+
+  // Aday kümesi: ilk terimin (tam ya da önek) geçtiği dokümanlar
+  const candidates = new Set();
+  for (const term of idx.termsWithPrefix(queryTerms[0])) {
+    for (const key of idx.postings.get(term)) candidates.add(key);
+  }
+
+  const matched = [];
+  for (const key of candidates) {
+    const doc = idx.docs.get(key);
+    const result = scoreDoc(doc, queryTerms);
+    if (result) matched.push({ doc, ...result });
+  }
+  return matched;
+}
+
+// filters: { type, category, status, userType }; facet sayıları filtrelerden önceki sonuçlara göredir
+export async function search(query, { filters = {}, limit = 20, offset = 0 } = {}) {
+  const idx = await ensureIndex();
+  const matched = matchDocuments(idx, query);
+
+  const filtered = matched.filter(({ doc }) => Object.entries(filters).every(([name, value]) => {
+    if (!value) return true;
+    return name === 'type' ? doc.type === value : doc.facets[name] === value;
+  }));
+
+  filtered.sort((a, b) => b.score - a.score || b.doc.boost - a.doc.boost);
+
+  const size = Math.min(MAX_LIMIT, Math.max(1, limit));
+  return {
+    total: filtered.length,
+    results: filtered.slice(offset, offset + size).map(({ doc, score, highlights }) => ({
+      type: doc.type,
+      id: doc.id,
+      score: Math.round(score * 100) / 100,
+      item: doc.item,
+      highlights
+    })),
+    facets: countFacets(matched)
+  };
+}
@@ -0,0 +1,108 @@
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+
+// Demo verisinin tek kaynağı fixtures/demo.json dosyasıdır
+const FIXTURES_FILE = fileURLToPath(new URL('../fixtures/demo.json', import.meta.url));
+
+export async function loadFixtures() {
+  return JSON.parse(await fs.readFile(FIXTURES_FILE, 'utf-8'));
+}
+
+function demoUser(fixture, now) {
+  return {
+    id: `demo-user-${fixture.username}`,
+    firstname: fixture.firstname,
+    lastname: fixture.lastname,
+    username: fixture.username,
+    email: `${fixture.username}@demo.ideai.local`,
+    // Demo hesaplarıyla giriş yapılamaz
+    password: null,
+    userType: fixture.userType,
+    score: fixture.score || 0,
+    isDemo: true,
+    createdAt: now,
+    profile: {
+      bio: '',
+      skills: [],
+      interests: [],
+      location: '',
+      website: ''
+    }
+  };
+}
+
+function demoProject(fixture, now) {
+  return {
+    funding: 0,
+    lookingForInvestment: false,
+    investmentData: null,
+    tags: [],
+    ...fixture,
+    revision: 1,
+    createdAt: now,
+    updatedAt: now,
+    investors: [],
+    likes: fixture.likes || 0,
+    commentCount: 0,
+    isDemo: true
+  };
+}
+
+// Eksik demo kayıtlarını ekler; var olanlara dokunmaz, tekrar çalıştırılabilir
+export async function seedDemoData(store) {
+  const fixtures = await loadFixtures();
+  const now = new Date().toISOString();
+  const result = { users: 0, projects: 0, skipped: 0 };
+
+  for (const fixture of fixtures.users) {
+    if (await store.users.findOne({ username: fixture.username })) {
+      result.skipped++;
+      continue;
+    }
+    await store.users.insert(demoUser(fixture, now));
+    result.users++;
+  }
+
+  for (const fixture of fixtures.projects) {
+    if (await store.projects.get(fixture.id)) {
+      result.skipped++;
+      continue;
+    }
+    await store.projects.insert(demoProject(fixture, now));
+    result.projects++;
+  }
+
+  return result;
+}
+
+// Tüm demo kayıtlarını ve onlara bağlı yorum, beğeni, revizyon ve favorileri siler
+export async function clearDemoData(store) {
+  const demoProjects = await store.projects.find({ isDemo: true });
+  const ids = new Set(demoProjects.map(p => p.id));
+
+  for (const id of ids) {
+    await store.comments.removeWhere({ projectId: id });
+    await store.likes.removeWhere({ projectId: id });
+    await store.revisions.removeWhere({ projectId: id });
+  }
+
+  const demoUsers = await store.users.find({ isDemo: true });
+  for (const user of demoUsers) {
+    await store.likes.removeWhere({ username: user.username });
+  }
+
+  const favoritedBy = await store.users.find(u => !u.isDemo && (u.favorites || []).some(id => ids.has(id)));
+  for (const user of favoritedBy) {
+    await store.users.update(user.id, u => {
+      u.favorites = (u.favorites || []).filter(id => !ids.has(id));
+      for (const id of ids) {
+        if (u.favoritedAt) delete u.favoritedAt[id];
+      }
+      return u;
+    });
+  }
+
+  const projects = await store.projects.removeWhere({ isDemo: true });
+  const users = await store.users.removeWhere({ isDemo: true });
+  return { users, projects };
+}
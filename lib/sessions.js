@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import { storage } from './storage/index.js';
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24 * 7;
+
+// Token imzalama anahtarı. Production'da SESSION_SECRET mutlaka verilmeli,
+// aksi halde sunucu her yeniden başladığında tüm oturumlar geçersiz olur.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('⚠️  SESSION_SECRET is not set, sessions will not survive a restart.');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+// Token formatı: base64url(JSON payload) + '.' + HMAC imzası
+function encodeToken(session) {
+  const payload = Buffer.from(JSON.stringify({
+    sid: session.id,
+    uid: session.userId,
+    exp: session.expiresAt
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+function decodeToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Kullanıcı için yeni oturum aç ve imzalı token döndür
+export async function createSession(user) {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    userId: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + SESSION_TTL_HOURS * 60 * 60 * 1000
+  };
+
+  await storage.sessions.removeWhere(s => s.expiresAt <= now);
+  await storage.sessions.insert(session);
+
+  return {
+    token: encodeToken(session),
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+// Token'ı doğrula; imza, süre ve iptal durumunu kontrol eder
+export async function verifySession(token) {
+  const payload = decodeToken(token);
+  if (!payload || payload.exp <= Date.now()) return null;
+
+  const session = await storage.sessions.get(payload.sid);
+  if (!session || session.userId !== payload.uid || session.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  return session;
+}
+
+// Tek bir oturumu iptal et (logout)
+export async function revokeSession(sessionId) {
+  await storage.sessions.remove(sessionId);
+}
+
+// Kullanıcının tüm oturumlarını iptal et
+export async function revokeUserSessions(userId) {
+  await storage.sessions.removeWhere({ userId });
+}
+
+// Authorization: Bearer <token> başlığından token'ı al
+export function getTokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+}
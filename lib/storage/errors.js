@@ -0,0 +1,9 @@
+// Benzersiz alan ihlali (ör. aynı username ile iki kayıt)
+export class DuplicateKeyError extends Error {
+  constructor(collection, field) {
+    super(`Duplicate value for ${collection}.${field}`);
+    this.name = 'DuplicateKeyError';
+    this.collection = collection;
+    this.field = field;
+  }
+}
@@ -0,0 +1,51 @@
+import path from 'path';
+import { COLLECTIONS } from './schema.js';
+import { openJsonStore } from './json-store.js';
+import { openSqliteStore } from './sqlite-store.js';
+import { holdDataDir as holdLock, serverPidOf } from './lock.js';
+
+export { DuplicateKeyError } from './errors.js';
+export { createId } from './util.js';
+export { COLLECTIONS };
+
+// Depolama ayarları ortam değişkenlerinden okunur:
+//   STORAGE_BACKEND=json|sqlite (varsayılan json)
+//   DATA_DIR     JSON dosyalarının klasörü (varsayılan proje kökü)
+//   SQLITE_FILE  SQLite veritabanı yolu
+export const storageConfig = {
+  backend: process.env.STORAGE_BACKEND || 'json',
+  dataDir: process.env.DATA_DIR || '.',
+  sqliteFile: process.env.SQLITE_FILE || path.join(process.env.DATA_DIR || '.', 'ideai.sqlite')
+};
+
+// Tüm koleksiyonlar aynı arayüzü sunar:
+//   get(id), findOne(query), find(query), count(query),
+//   insert(record), insertMany(records), insertUnless(query, record),
+//   update(id, updater), remove(id), removeWhere(query)
+// query, alan eşitliklerinden oluşan bir nesne ya da predicate fonksiyonudur.
+export async function openStorage(config = storageConfig) {
+  if (config.backend === 'sqlite') {
+    return openSqliteStore(COLLECTIONS, config);
+  }
+  if (config.backend === 'json') {
+    return openJsonStore(COLLECTIONS, config);
+  }
+  throw new Error(`Unknown STORAGE_BACKEND: ${config.backend}`);
+}
+
+// Sunucu veri klasörünü tutar; scripts/ altındaki betikler sunucu açıkken
+// çalışmayı reddeder (bkz. lock.js)
+export function holdDataDir(config = storageConfig) {
+  holdLock(config.dataDir);
+}
+
+// Sunucu çalışıyorsa nedenini yazıp false döner; betik hiçbir şey yazmadan çıkmalıdır
+export function ensureServerStopped(config = storageConfig) {
+  const pid = serverPidOf(config.dataDir);
+  if (!pid) return true;
+  console.error(`The IDEAI server (pid ${pid}) is using ${path.resolve(config.dataDir)}. Stop the server first, then run this command again.`);
+  process.exitCode = 1;
+  return false;
+}
+
+export const storage = await openStorage();
@@ -0,0 +1,219 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DuplicateKeyError } from './errors.js';
+import { clone, matchesQuery } from './util.js';
+
+// Dosyanın değişip değişmediğini anlamak için mtime ve boyut; dosya yoksa null
+function versionOf(stat) {
+  return stat ? `${stat.mtimeMs}:${stat.size}` : null;
+}
+
+async function statFile(file) {
+  try {
+    return await fs.stat(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Dosyayı önce geçici dosyaya yazıp sonra rename eder; yazma sırasında
+// çökme olursa eski dosya bozulmadan kalır. Yazılan dosyanın sürümünü döner.
+async function writeFileAtomic(file, data) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  const handle = await fs.open(tmpFile, 'w');
+  let stat;
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+    stat = await handle.stat();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tmpFile, file);
+  return versionOf(stat);
+}
+
+async function loadRecords(file) {
+  let data;
+  try {
+    data = await fs.readFile(file, 'utf-8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  if (!data.trim()) return [];
+
+  try {
+    const records = JSON.parse(data);
+    if (Array.isArray(records)) return records;
+  } catch (e) {
+    // aşağıda yedeklenir
+  }
+
+  // Bozuk dosyayı sessizce ezmek yerine yedeğini al
+  const backup = `${file}.corrupt-${Date.now()}`;
+  await fs.copyFile(file, backup);
+  console.error(`⚠️  ${file} is not a valid JSON array, backed up to ${backup} and starting empty.`);
+  return [];
+}
+
+// Tek bir JSON dosyası. Kayıtlar bellekte tutulur, tüm yazmalar dosya başına
+// bir kuyruktan sırayla geçer, böylece eşzamanlı istekler güncelleme kaybetmez.
+// Dosyayı başka bir süreç de yazabilir (scripts/); okuma ve yazmalardan önce
+// dosyanın sürümüne bakılır, değişmişse kayıtlar dosyadan yeniden okunur.
+class JsonCollection {
+  constructor(name, file, schema) {
+    this.name = name;
+    this.file = file;
+    this.unique = schema.unique || [];
+    this.records = [];
+    this.version = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Sürüm okumadan önce alınır; arada dosya değişirse bir sonraki refresh yeniden okur
+  async load() {
+    const version = versionOf(await statFile(this.file));
+    this.records = await loadRecords(this.file);
+    this.version = version;
+  }
+
+  async refresh() {
+    if (versionOf(await statFile(this.file)) !== this.version) {
+      await this.load();
+    }
+  }
+
+  // Değişikliği kayıtların kopyası üzerinde uygula, dosyaya yaz, sonra belleğe al.
+  // unchanged(result) true dönerse dosya yeniden yazılmaz.
+  mutate(change, { unchanged } = {}) {
+    const run = this.queue.then(async () => {
+      await this.refresh();
+      const next = this.records.slice();
+      const result = change(next);
+      if (unchanged && unchanged(result)) return result;
+      const version = await writeFileAtomic(this.file, JSON.stringify(next, null, 2));
+      this.records = next;
+      this.version = version;
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  checkUnique(records, record) {
+    for (const field of this.unique) {
+      if (record[field] === undefined || record[field] === null) continue;
+      if (records.some(r => r.id !== record.id && r[field] === record[field])) {
+        throw new DuplicateKeyError(this.name, field);
+      }
+    }
+  }
+
+  async get(id) {
+    await this.refresh();
+    return clone(this.records.find(r => r.id === id)) || null;
+  }
+
+  async findOne(query) {
+    await this.refresh();
+    return clone(this.records.find(r => matchesQuery(r, query))) || null;
+  }
+
+  async find(query) {
+    await this.refresh();
+    return clone(this.records.filter(r => matchesQuery(r, query)));
+  }
+
+  async count(query) {
+    await this.refresh();
+    return this.records.filter(r => matchesQuery(r, query)).length;
+  }
+
+  insert(record) {
+    return this.mutate(records => {
+      if (records.some(r => r.id === record.id)) {
+        throw new DuplicateKeyError(this.name, 'id');
+      }
+      this.checkUnique(records, record);
+      records.push(clone(record));
+      return clone(record);
+    });
+  }
+
+  // Sorguya uyan bir kayıt yoksa ekler; kontrol ve ekleme aynı kuyruk adımındadır.
+  // Uyan kayıt varsa null döner ve dosya yazılmaz.
+  insertUnless(query, record) {
+    return this.mutate(records => {
+      if (records.some(r => matchesQuery(r, query))) return null;
+      if (records.some(r => r.id === record.id)) {
+        throw new DuplicateKeyError(this.name, 'id');
+      }
+      this.checkUnique(records, record);
+      records.push(clone(record));
+      return clone(record);
+    }, { unchanged: inserted => inserted === null });
+  }
+
+  // Tüm kayıtlar tek yazmada eklenir; biri çakışırsa hiçbiri eklenmez
+  insertMany(newRecords) {
+    return this.mutate(records => {
+      const ids = new Set(records.map(r => r.id));
+      const added = [];
+      for (const record of newRecords) {
+        if (ids.has(record.id)) throw new DuplicateKeyError(this.name, 'id');
+        this.checkUnique(records, record);
+        ids.add(record.id);
+        added.push(clone(record));
+        records.push(added[added.length - 1]);
+      }
+      return clone(added);
+    }, { unchanged: added => added.length === 0 });
+  }
+
+  // updater mevcut kaydın kopyasını alır, yeni kaydı döndürür (veya kopyayı değiştirir)
+  update(id, updater) {
+    return this.mutate(records => {
+      const index = records.findIndex(r => r.id === id);
+      if (index === -1) return null;
+
+      const current = clone(records[index]);
+      const updated = updater(current) || current;
+      updated.id = id;
+      this.checkUnique(records, updated);
+      records[index] = updated;
+      return clone(updated);
+    });
+  }
+
+  remove(id) {
+    return this.removeWhere(r => r.id === id).then(count => count > 0);
+  }
+
+  // Eşleşme kuyruktaki işlem içinde aranır; sırada bekleyen eklemeler de görülür.
+  // Hiçbir kayıt silinmezse dosya yazılmaz.
+  removeWhere(query) {
+    return this.mutate(records => {
+      let removed = 0;
+      for (let i = records.length - 1; i >= 0; i--) {
+        if (matchesQuery(records[i], query)) {
+          records.splice(i, 1);
+          removed++;
+        }
+      }
+      return removed;
+    }, { unchanged: removed => removed === 0 });
+  }
+}
+
+export async function openJsonStore(collections, { dataDir }) {
+  const store = {};
+  for (const [name, schema] of Object.entries(collections)) {
+    const collection = new JsonCollection(name, path.join(dataDir, schema.file), schema);
+    await collection.load();
+    store[name] = collection;
+  }
+  return store;
+}
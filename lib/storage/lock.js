@@ -0,0 +1,51 @@
+import { readFileSync, writeFileSync, unlinkSync } from 'fs';
+import path from 'path';
+
+// Sunucu çalışırken veri klasörüne kendi pid'ini yazar. scripts/ altındaki
+// betikler depoya doğrudan yazar; sunucunun bellekteki durumu (arama dizini,
+// zamanlayıcılar) bu yazmaları görmediği için sunucu açıkken çalışmazlar.
+const LOCK_FILE = '.ideai-server.pid';
+
+function lockFileOf(dataDir) {
+  return path.join(dataDir, LOCK_FILE);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: süreç var ama başka kullanıcıya ait
+    return e.code === 'EPERM';
+  }
+}
+
+// Klasörü tutan canlı sunucunun pid'i; yoksa (ya da kalan dosya eskiyse) null
+export function serverPidOf(dataDir) {
+  let pid;
+  try {
+    pid = Number(readFileSync(lockFileOf(dataDir), 'utf-8').trim());
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  return Number.isInteger(pid) && pid > 0 && pid !== process.pid && isAlive(pid) ? pid : null;
+}
+
+// Sunucu açılışta çağırır; dosya süreç kapanırken silinir
+export function holdDataDir(dataDir) {
+  const file = lockFileOf(dataDir);
+  writeFileSync(file, String(process.pid));
+
+  const release = () => {
+    try {
+      if (readFileSync(file, 'utf-8').trim() === String(process.pid)) unlinkSync(file);
+    } catch (e) {
+      // dosya zaten yok
+    }
+  };
+  process.on('exit', release);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => process.exit(0));
+  }
+}
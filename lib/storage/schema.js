@@ -0,0 +1,87 @@
+// Koleksiyon tanımları. Her koleksiyon JSON backend'de bir dosyaya,
+// SQLite backend'de bir tabloya karşılık gelir.
+//   file:    JSON backend dosya adı (DATA_DIR altında)
+//   indexes: eşitlik sorgularında kullanılan alanlar (SQLite'ta index'lenir)
+//   unique:  benzersiz olması gereken alanlar
+export const COLLECTIONS = {
+  users: {
+    file: 'users.json',
+    indexes: ['username', 'email'],
+    unique: ['username', 'email']
+  },
+  projects: {
+    file: 'projects.json',
+    indexes: ['creator', 'category', 'status']
+  },
+  sessions: {
+    file: 'sessions.json',
+    indexes: ['userId']
+  },
+  comments: {
+    file: 'comments.json',
+    indexes: ['projectId', 'author']
+  },
+  offers: {
+    file: 'offers.json',
+    indexes: ['projectId', 'investor', 'entrepreneur', 'status']
+  },
+  revisions: {
+    file: 'revisions.json',
+    indexes: ['projectId']
+  },
+  likes: {
+    file: 'likes.json',
+    indexes: ['projectId', 'username']
+  },
+  conversations: {
+    file: 'conversations.json',
+    indexes: ['key'],
+    unique: ['key']
+  },
+  messages: {
+    file: 'messages.json',
+    indexes: ['conversationId']
+  },
+  notifications: {
+    file: 'notifications.json',
+    indexes: ['recipient']
+  },
+  tokens: {
+    file: 'tokens.json',
+    indexes: ['userId']
+  },
+  audit: {
+    file: 'audit.json',
+    indexes: ['event']
+  },
+  ideas: {
+    file: 'ideas.json',
+    indexes: ['userId']
+  },
+  events: {
+    file: 'events.json',
+    indexes: ['projectId']
+  },
+  reports: {
+    file: 'reports.json',
+    indexes: ['targetKey', 'reporter', 'status']
+  },
+  articles: {
+    file: 'articles.json',
+    indexes: ['slug', 'category'],
+    unique: ['slug']
+  },
+  tickets: {
+    file: 'tickets.json',
+    indexes: ['requester', 'status', 'assignee']
+  },
+  courses: {
+    file: 'courses.json',
+    indexes: ['slug', 'category'],
+    unique: ['slug']
+  },
+  enrollments: {
+    file: 'enrollments.json',
+    indexes: ['userId', 'courseId']
+  }
+};
@@ -0,0 +1,180 @@
+import { DuplicateKeyError } from './errors.js';
+import { clone, matchesQuery } from './util.js';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function toSqlValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+// Her koleksiyon (id, data) şeklinde bir tablodur; data JSON olarak saklanır.
+// Şemadaki alanlar json_extract üzerinden index'lenir.
+class SqliteCollection {
+  constructor(db, name, schema) {
+    if (!IDENTIFIER.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+
+    this.db = db;
+    this.name = name;
+    this.fields = new Set([...(schema.indexes || []), ...(schema.unique || [])]);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    for (const field of this.fields) {
+      if (!IDENTIFIER.test(field)) {
+        throw new Error(`Invalid index field: ${name}.${field}`);
+      }
+      const unique = (schema.unique || []).includes(field) ? 'UNIQUE ' : '';
+      db.exec(`CREATE ${unique}INDEX IF NOT EXISTS ${name}_${field} ON ${name} (json_extract(data, '$.${field}'))`);
+    }
+
+    this.statements = {
+      get: db.prepare(`SELECT data FROM ${name} WHERE id = ?`),
+      all: db.prepare(`SELECT data FROM ${name} ORDER BY rowid`),
+      insert: db.prepare(`INSERT INTO ${name} (id, data) VALUES (?, ?)`),
+      update: db.prepare(`UPDATE ${name} SET data = ? WHERE id = ?`),
+      remove: db.prepare(`DELETE FROM ${name} WHERE id = ?`)
+    };
+  }
+
+  // Nesne sorgularını WHERE koşuluna çevirir; fonksiyon sorguları tabloyu tarar
+  select(query) {
+    if (!query || typeof query === 'function' || Object.keys(query).length === 0) {
+      return this.statements.all.all()
+        .map(row => JSON.parse(row.data))
+        .filter(record => matchesQuery(record, query));
+    }
+
+    const clauses = [];
+    const params = [];
+    for (const [field, value] of Object.entries(query)) {
+      if (!IDENTIFIER.test(field)) {
+        throw new Error(`Invalid query field: ${this.name}.${field}`);
+      }
+      const column = field === 'id' ? 'id' : `json_extract(data, '$.${field}')`;
+      if (value === null || value === undefined) {
+        clauses.push(`${column} IS NULL`);
+      } else {
+        clauses.push(`${column} = ?`);
+        params.push(toSqlValue(value));
+      }
+    }
+
+    return this.db
+      .prepare(`SELECT data FROM ${this.name} WHERE ${clauses.join(' AND ')} ORDER BY rowid`)
+      .all(...params)
+      .map(row => JSON.parse(row.data))
+      // json_extract tip bilgisini kaybettiği için (ör. "1" ve 1) sonucu tekrar süz
+      .filter(record => matchesQuery(record, query));
+  }
+
+  // Benzersizlik ihlallerini backend'den bağımsız hataya çevir
+  wrapConstraint(fn) {
+    try {
+      return fn();
+    } catch (e) {
+      if (e.code === 'SQLITE_CONSTRAINT_UNIQUE' || e.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new DuplicateKeyError(this.name, this.constraintField(e.message));
+      }
+      throw e;
+    }
+  }
+
+  // "UNIQUE constraint failed: index 'users_email'" -> email
+  constraintField(message) {
+    for (const field of this.fields) {
+      if (message.includes(`${this.name}_${field}`)) return field;
+    }
+    return 'id';
+  }
+
+  async get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findOne(query) {
+    return this.select(query)[0] || null;
+  }
+
+  async find(query) {
+    return this.select(query);
+  }
+
+  async count(query) {
+    return this.select(query).length;
+  }
+
+  async insert(record) {
+    this.wrapConstraint(() => this.statements.insert.run(record.id, JSON.stringify(record)));
+    return clone(record);
+  }
+
+  async insertUnless(query, record) {
+    const run = this.db.transaction(() => {
+      if (this.select(query).length > 0) return null;
+      this.statements.insert.run(record.id, JSON.stringify(record));
+      return record;
+    });
+    return clone(this.wrapConstraint(() => run()));
+  }
+
+  async insertMany(records) {
+    const run = this.db.transaction(() => {
+      for (const record of records) {
+        this.statements.insert.run(record.id, JSON.stringify(record));
+      }
+    });
+    this.wrapConstraint(() => run());
+    return clone(records);
+  }
+
+  async update(id, updater) {
+    const run = this.db.transaction(() => {
+      const row = this.statements.get.get(id);
+      if (!row) return null;
+
+      const current = JSON.parse(row.data);
+      const updated = updater(current) || current;
+      updated.id = id;
+      this.statements.update.run(JSON.stringify(updated), id);
+      return updated;
+    });
+    return clone(this.wrapConstraint(() => run()));
+  }
+
+  async remove(id) {
+    return this.statements.remove.run(id).changes > 0;
+  }
+
+  async removeWhere(query) {
+    const run = this.db.transaction(() => {
+      const records = this.select(query);
+      for (const record of records) {
+        this.statements.remove.run(record.id);
+      }
+      return records.length;
+    });
+    return run();
+  }
+}
+
+export async function openSqliteStore(collections, { sqliteFile }) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (e) {
+    throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3).');
+  }
+
+  const db = new Database(sqliteFile);
+  db.pragma('journal_mode = WAL');
+
+  const store = {};
+  for (const [name, schema] of Object.entries(collections)) {
+    store[name] = new SqliteCollection(db, name, schema);
+  }
+  store.close = () => db.close();
+  return store;
+}
@@ -0,0 +1,25 @@
+// Kayıtların dışarıya kopya olarak verilmesi için derin kopya
+export function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Sorgu ya bir predicate fonksiyonu ya da alan eşitlikleri içeren bir nesnedir
+export function matchesQuery(record, query) {
+  if (!query) return true;
+  if (typeof query === 'function') return query(record);
+  return Object.entries(query).every(([field, value]) => {
+    const actual = record[field] === undefined ? null : record[field];
+    return actual === (value === undefined ? null : value);
+  });
+}
+
+// Zaman damgası tabanlı id; aynı milisaniyede çakışmayı önler
+let lastId = 0;
+export function createId() {
+  let now = Date.now();
+  if (now <= lastId) {
+    now = lastId + 1;
+  }
+  lastId = now;
+  return now.toString();
+}
@@ -0,0 +1,160 @@
+import { storage, createId } from './storage/index.js';
+import { notify } from './notifications.js';
+import { sendMail, APP_URL } from './mail.js';
+import { createRateLimiter } from './ratelimit.js';
+import { DEFAULT_LOCALE, LOCALES, translate } from './i18n.js';
+
+// Destek talepleri. Talep iletişim formundan ya da yardım sayfasından açılır; misafirlerin
+// talepleri e-postayla, üyelerinkiler yardım sayfasından ve bildirimlerle takip edilir.
+//   open:     destek ekibinin yanıtı bekleniyor
+//   pending:  talep sahibinin yanıtı bekleniyor
+//   resolved: çözüldü; talep sahibi yanıt yazarsa yeniden açılır
+//   closed:   kapandı, yanıt yazılamaz
+export const TICKET_CATEGORIES = ['account', 'projects', 'investments', 'technical', 'billing', 'other'];
+export const TICKET_STATUSES = ['open', 'pending', 'resolved', 'closed'];
+export const ACTIVE_TICKET_STATUSES = ['open', 'pending'];
+
+// Kullanıcı (ya da misafirse IP) başına saatte TICKETS_PER_HOUR yeni talep
+export const ticketLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.TICKETS_PER_HOUR) || 5
+});
+
+const STATUS_LABELS = {
+  open: 'open',
+  pending: 'waiting for your reply',
+  resolved: 'resolved',
+  closed: 'closed'
+};
+
+function message(author, fromSupport, body) {
+  return { id: createId(), author, fromSupport, body, createdAt: new Date().toISOString() };
+}
+
+// user verilirse ad ve e-posta hesaptan alınır. language, misafire giden e-postaların dilidir.
+export async function createTicket({ user, name, email, category, subject, body, language }) {
+  const now = new Date().toISOString();
+  const ticket = {
+    id: createId(),
+    requester: user ? user.username : null,
+    name: user ? `${user.firstname || ''} ${user.lastname || ''}`.trim() || user.username : name,
+    email: user ? user.email : email,
+    language: LOCALES.includes(language) ? language : DEFAULT_LOCALE,
+    category,
+    subject,
+    status: 'open',
+    assignee: null,
+    messages: [message(user ? user.username : null, false, body)],
+    createdAt: now,
+    updatedAt: now
+  };
+  await storage.tickets.insert(ticket);
+  return ticket;
+}
+
+// Misafir talepleri uygulama içinden takip edilemez, güncellemeler e-postayla gider.
+// E-posta hatası asıl isteği bozmamalı.
+async function emailGuest(ticket, text) {
+  const locale = ticket.language || DEFAULT_LOCALE;
+  try {
+    await sendMail({
+      to: ticket.email,
+      subject: translate(locale, 'MAIL_SUPPORT_SUBJECT', { subject: ticket.subject }),
+      text: [
+        translate(locale, 'MAIL_GREETING', { name: ticket.name }),
+        '',
+        text,
+        '',
+        translate(locale, 'MAIL_SUPPORT_FOLLOW_UP', { url: `${APP_URL}/contact.html`, subject: ticket.subject })
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error(`Support email for ticket ${ticket.id} failed:`, error);
+  }
+}
+
+// Talep sahibine destek yanıtı ya da durum değişikliği bildirilir; destek ekibinin adı verilmez
+async function notifyRequester(ticket, { event, body }) {
+  if (!ticket.requester) {
+    const locale = ticket.language || DEFAULT_LOCALE;
+    const text = event === 'support-reply'
+      ? `${translate(locale, 'MAIL_SUPPORT_REPLY')}\n\n${body}`
+      : translate(locale, 'MAIL_SUPPORT_STATUS', { status: STATUS_LABELS[ticket.status] });
+    return emailGuest(ticket, text);
+  }
+  return notify({
+    recipient: ticket.requester,
+    type: 'ticket.updated',
+    data: { ticketId: ticket.id, subject: ticket.subject, event, status: ticket.status }
+  });
+}
+
+// Yanıt ekler. Destek yanıtı talebi talep sahibine bırakır (varsayılan 'pending'),
+// talep sahibinin yanıtı talebi yeniden açar. Kapalı talebe yanıt yazılamaz.
+// Sonuç: { error } ya da { ticket }
+export async function addReply(ticket, { author, fromSupport, body, status }) {
+  if (ticket.status === 'closed') {
+    return { error: { status: 409, code: 'TICKET_CLOSED' } };
+  }
+
+  const nextStatus = fromSupport ? status || 'pending' : 'open';
+  const updated = await storage.tickets.update(ticket.id, t => {
+    t.messages.push(message(author, fromSupport, body));
+    t.status = nextStatus;
+    t.updatedAt = new Date().toISOString();
+    return t;
+  });
+
+  if (fromSupport) {
+    await notifyRequester(updated, { event: 'support-reply', body });
+  } else if (updated.assignee) {
+    await notify({
+      recipient: updated.assignee,
+      type: 'ticket.updated',
+      actor: author,
+      data: { ticketId: updated.id, subject: updated.subject, event: 'requester-reply', status: nextStatus }
+    });
+  }
+  return { ticket: updated };
+}
+
+// Yönetici durumu ve sorumluyu değiştirir; assignee null ise atama kaldırılır
+export async function updateTicket(ticket, { status, assignee }, by) {
+  const updated = await storage.tickets.update(ticket.id, t => {
+    if (status !== undefined) t.status = status;
+    if (assignee !== undefined) t.assignee = assignee;
+    t.updatedAt = new Date().toISOString();
+    return t;
+  });
+
+  if (status !== undefined && status !== ticket.status) {
+    await notifyRequester(updated, { event: 'status' });
+  }
+  if (assignee && assignee !== ticket.assignee) {
+    await notify({
+      recipient: assignee,
+      type: 'ticket.updated',
+      actor: by,
+      data: { ticketId: updated.id, subject: updated.subject, event: 'assigned', status: updated.status }
+    });
+  }
+  return updated;
+}
+
+// Kuyruk: en uzun süredir bekleyen önce. counts filtrelerden önceki durum sayılarıdır.
+export async function supportQueue({ status, assignee, category, limit }) {
+  const statuses = status && status.length ? status : ACTIVE_TICKET_STATUSES;
+  const all = await storage.tickets.find();
+
+  const counts = Object.fromEntries(TICKET_STATUSES.map(s => [s, 0]));
+  for (const ticket of all) counts[ticket.status] += 1;
+
+  const matching = all
+    .filter(t => statuses.includes(t.status))
+    .filter(t => !category || t.category === category)
+    // "none": kimseye atanmamış talepler
+    .filter(t => !assignee || (assignee === 'none' ? !t.assignee : t.assignee === assignee))
+    .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+
+  return { tickets: matching.slice(0, limit), total: matching.length, counts };
+}
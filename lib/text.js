@@ -0,0 +1,20 @@
+// Türkçe büyük/küçük harf ve aksan katlama: "İDEAİ", "ideai", "IDEAI" aynı metne düşer
+const FOLD = { ı: 'i', ş: 's', ğ: 'g', ç: 'c', ö: 'o', ü: 'u', â: 'a', î: 'i', û: 'u' };
+
+export function foldChar(char) {
+  const lower = char.toLocaleLowerCase('tr');
+  if (FOLD[lower]) return FOLD[lower];
+  return lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+export function normalize(text) {
+  return Array.from(String(text || ''), foldChar).join('');
+}
+
+// "How do I report a user?" -> "how-do-i-report-a-user"
+export function slugify(text) {
+  return normalize(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import multer from 'multer';
+import sharp from 'sharp';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Yüklenen dosyalar varsayılan olarak proje kökündeki uploads/ klasöründe tutulur
+export const UPLOAD_DIR = path.resolve(ROOT_DIR, process.env.UPLOAD_DIR || 'uploads');
+export const UPLOAD_URL = '/uploads';
+
+export const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+export const MAX_IMAGES_PER_PROJECT = 6;
+const THUMBNAIL_WIDTH = 400;
+
+// İstemcinin bildirdiği tür ile dosyanın gerçek biçimi (sharp) birbirini tutmalı
+const IMAGE_TYPES = {
+  'image/jpeg': { format: 'jpeg', ext: 'jpg' },
+  'image/png': { format: 'png', ext: 'png' },
+  'image/webp': { format: 'webp', ext: 'webp' },
+  'image/gif': { format: 'gif', ext: 'gif' }
+};
+
+export class UploadError extends Error {
+  constructor(code, params = {}, status = 400) {
+    super(translate(DEFAULT_LOCALE, code, params));
+    this.name = 'UploadError';
+    this.code = code;
+    this.params = params;
+    this.status = status;
+  }
+}
+
+// Dosyalar önce bellekte tutulur; diske ancak doğrulamadan sonra, içerik özetiyle yazılır
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_PROJECT },
+  fileFilter(req, file, cb) {
+    if (!IMAGE_TYPES[file.mimetype]) {
+      return cb(new UploadError('IMAGE_TYPE_NOT_ALLOWED', { types: Object.keys(IMAGE_TYPES) }, 415));
+    }
+    cb(null, true);
+  }
+});
+
+// multer hatalarını { success, code } yanıtına çevirir
+function uploadErrorOf(err, field) {
+  if (err instanceof UploadError) return err;
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new UploadError('IMAGE_TOO_LARGE', { max: Math.round(MAX_IMAGE_BYTES / (1024 * 1024)) }, 413);
+  }
+  if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return new UploadError('IMAGE_FIELD_LIMIT', { max: MAX_IMAGES_PER_PROJECT, field });
+  }
+  return new UploadError('UPLOAD_FAILED');
+}
+
+export function parseImages(field) {
+  const handler = parser.array(field, MAX_IMAGES_PER_PROJECT);
+  return (req, res, next) => {
+    handler(req, res, err => {
+      if (!err) return next();
+      const error = uploadErrorOf(err, field);
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        params: error.params
+      });
+    });
+  };
+}
+
+function projectDir(projectId) {
+  return path.join(UPLOAD_DIR, 'projects', String(projectId));
+}
+
+function projectUrl(projectId, name) {
+  return `${UPLOAD_URL}/projects/${encodeURIComponent(projectId)}/${name}`;
+}
+
+async function writeIfMissing(file, data) {
+  try {
+    await fs.writeFile(file, data, { flag: 'wx' });
+  } catch (e) {
+    // Aynı içerik zaten yazılmış
+    if (e.code !== 'EEXIST') throw e;
+  }
+}
+
+// Dosyanın gerçekten bildirdiği türde bir görsel olduğunu doğrular; diske bir şey yazmaz
+export async function checkProjectImage(file) {
+  const type = IMAGE_TYPES[file.mimetype];
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (e) {
+    throw new UploadError('IMAGE_INVALID', { name: file.originalname }, 415);
+  }
+  if (!type || metadata.format !== type.format) {
+    throw new UploadError('IMAGE_TYPE_MISMATCH', { name: file.originalname, type: file.mimetype }, 415);
+  }
+  return { type, metadata };
+}
+
+// Görseli doğrular, orijinali ve küçük resmini kaydeder; proje kaydına eklenecek bilgiyi döndürür
+export async function saveProjectImage(projectId, file) {
+  const { type, metadata } = await checkProjectImage(file);
+
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const name = `${hash}.${type.ext}`;
+  const thumbnailName = `${hash}-thumb.webp`;
+  const dir = projectDir(projectId);
+
+  await fs.mkdir(dir, { recursive: true });
+  await writeIfMissing(path.join(dir, name), file.buffer);
+  const thumbnail = await sharp(file.buffer, { animated: false })
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_WIDTH, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+  await writeIfMissing(path.join(dir, thumbnailName), thumbnail);
+
+  return {
+    id: hash,
+    url: projectUrl(projectId, name),
+    thumbnailUrl: projectUrl(projectId, thumbnailName),
+    mimeType: file.mimetype,
+    size: file.size,
+    width: metadata.width,
+    height: metadata.height,
+    originalName: file.originalname,
+    uploadedAt: new Date().toISOString()
+  };
+}
+
+export async function removeProjectImageFiles(projectId, image) {
+  const dir = projectDir(projectId);
+  for (const url of [image.url, image.thumbnailUrl]) {
+    await fs.rm(path.join(dir, path.basename(url)), { force: true });
+  }
+}
+
+export async function removeProjectUploads(projectId) {
+  await fs.rm(projectDir(projectId), { recursive: true, force: true });
+}
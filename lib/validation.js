@@ -0,0 +1,272 @@
+import { DEFAULT_LOCALE, translate, localizeErrors } from './i18n.js';
+
+// Bildirimsel istek şemaları. Şema, alan adından kurala giden bir nesnedir:
+//   type:      string | email | url | number | integer | boolean | date | enum | list | array | object
+//   required:  alan zorunlu mu (varsayılan false)
+//   notEmpty:  gönderilmesi şart değil ama gönderilirse boş olamaz (PATCH alanları)
+//   nullable:  null kabul edilir mi
+//   default:   gönderilmezse kullanılacak değer
+//   min / max: metinde uzunluk, sayıda değer, dizide eleman sayısı
+//   values:    enum ve list için izin verilen değerler
+//   pattern:   metnin uyması gereken düzenli ifade (patternMessage ile)
+//   items:     array elemanlarının kuralı
+//   fields:    object alanlarının şeması; entries ise anahtarları serbest nesnelerde her değerin kuralı
+//   multiline: metinde satır sonları korunur (tek satırlık alanlarda boşluğa çevrilir)
+//   raw:       metin temizlenmez ve kırpılmaz (şifreler)
+//   label:     hata mesajındaki alan adı
+// Şemada olmayan alanlar atılır. Query string'den gelen sayı, boolean ve tarihler dönüştürülür.
+
+// Metin alanlarında HTML etiketleri, kontrol karakterleri ve metnin yönünü
+// değiştiren Unicode karakterleri tutulmaz. "a < b" gibi
+// etiket olmayan metin olduğu gibi kalır; sayfalar yine de içeriği kaçışlayarak gösterir.
+const DANGEROUS_BLOCKS = /<(script|style|iframe|object|embed)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+const HTML_COMMENTS = /<!--[\s\S]*?-->/g;
+const HTML_TAGS = /<\/?[a-z][^<>]*>/gi;
+const CONTROL_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\u200b\u202a-\u202e\u2066-\u2069]/g;
+
+export function sanitizeText(value, { multiline = false } = {}) {
+  let text = String(value)
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(DANGEROUS_BLOCKS, '')
+    .replace(HTML_COMMENTS, '')
+    .replace(HTML_TAGS, '')
+    .replace(CONTROL_CHARS, '');
+
+  text = multiline
+    ? text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n')
+    : text.replace(/\s+/g, ' ');
+  return text.trim();
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// "fundingAmount" -> "Funding amount"
+function humanize(name) {
+  const words = String(name).replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function isMissing(value) {
+  return value === undefined || value === '' || (typeof value === 'string' && !value.trim());
+}
+
+function describeValues(values) {
+  return values.join(', ');
+}
+
+// Hata kodu ve parametreleri (bkz. lib/i18n.js). Mesaj İngilizcedir; isteğin dili
+// sendValidationErrors'ta uygulanır. patternMessage gibi özel mesajlar koddan önce gelir.
+function fieldError(code, params, message) {
+  return { code, params, message: message || translate(DEFAULT_LOCALE, code, params) };
+}
+
+// Tek bir değeri kurala göre dönüştürür: { value } ya da { error: { code, params, message } }
+function checkValue(value, rule, label, path, errors) {
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'url': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: fieldError('VALIDATION_TEXT', { label }) };
+      }
+      const text = rule.raw ? String(value) : sanitizeText(value, rule);
+      if (rule.required && !text) return { error: fieldError('VALIDATION_REQUIRED', { label }) };
+      if (rule.notEmpty && !text) return { error: fieldError('VALIDATION_EMPTY', { label }) };
+      if (rule.min !== undefined && text.length < rule.min) {
+        return { error: fieldError('VALIDATION_MIN_LENGTH', { label, min: rule.min }) };
+      }
+      if (rule.max !== undefined && text.length > rule.max) {
+        return { error: fieldError('VALIDATION_MAX_LENGTH', { label, max: rule.max }) };
+      }
+      if (text && rule.pattern && !rule.pattern.test(text)) {
+        return { error: fieldError('VALIDATION_FORMAT', { label }, rule.patternMessage) };
+      }
+      if (text && rule.type === 'email' && !EMAIL_RE.test(text)) {
+        return { error: fieldError('VALIDATION_EMAIL', { label }) };
+      }
+      if (text && rule.type === 'url') {
+        let url;
+        try {
+          url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`);
+        } catch (e) {
+          return { error: fieldError('VALIDATION_URL', { label }) };
+        }
+        // javascript: gibi adresler bağlantı olarak gösterilemesin
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return { error: fieldError('VALIDATION_URL_PROTOCOL', { label }) };
+        }
+        return { value: url.href };
+      }
+      return { value: text };
+    }
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' ? Number(value.trim().replace(/,/g, '')) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: fieldError('VALIDATION_NUMBER', { label }) };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(number)) {
+        return { error: fieldError('VALIDATION_INTEGER', { label }) };
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return { error: fieldError('VALIDATION_MIN', { label, min: rule.min }) };
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return { error: fieldError('VALIDATION_MAX', { label, max: rule.max }) };
+      }
+      return { value: number };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === '1' || value === 1) return { value: true };
+      if (value === 'false' || value === '0' || value === 0) return { value: false };
+      return { error: fieldError('VALIDATION_BOOLEAN', { label }) };
+    }
+
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+      if (!date || isNaN(date)) {
+        return { error: fieldError('VALIDATION_DATE', { label }) };
+      }
+      return { value: date };
+    }
+
+    case 'enum': {
+      const text = typeof value === 'string' ? value.trim() : value;
+      if (!rule.values.includes(text)) {
+        return { error: fieldError('VALIDATION_ENUM', { label, values: describeValues(rule.values) }) };
+      }
+      return { value: text };
+    }
+
+    // Virgülle ayrılmış ya da tekrarlanan query parametresi: "a,b" ve ?x=a&x=b
+    case 'list': {
+      const raw = Array.isArray(value) ? value : String(value).split(',');
+      const items = [...new Set(raw.map(v => sanitizeText(v)).filter(Boolean))];
+      if (rule.values) {
+        const unknown = items.find(v => !rule.values.includes(v));
+        if (unknown) {
+          return { error: fieldError('VALIDATION_LIST_VALUES', { label, values: describeValues(rule.values) }) };
+        }
+      }
+      if (rule.max !== undefined && items.length > rule.max) {
+        return { error: fieldError('VALIDATION_LIST_MAX', { label, max: rule.max }) };
+      }
+      return { value: items };
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return { error: fieldError('VALIDATION_ARRAY', { label }) };
+      if (rule.max !== undefined && value.length > rule.max) {
+        return { error: fieldError('VALIDATION_ARRAY_MAX', { label, max: rule.max }) };
+      }
+      const items = [];
+      value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const result = checkField(item, rule.items, `${label} item`, itemPath, errors);
+        if (result !== undefined) items.push(result);
+      });
+      return { value: items.filter(item => item !== '' && item !== null) };
+    }
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: fieldError('VALIDATION_OBJECT', { label }) };
+      }
+      if (rule.entries) {
+        const keys = Object.keys(value);
+        if (rule.max !== undefined && keys.length > rule.max) {
+          return { error: fieldError('VALIDATION_ENTRIES_MAX', { label, max: rule.max }) };
+        }
+        const result = {};
+        for (const key of keys) {
+          const entry = checkField(value[key], rule.entries, `${label} "${key}"`, `${path}.${key}`, errors);
+          if (entry !== undefined) result[key] = entry;
+        }
+        return { value: result };
+      }
+      return { value: checkObject(value, rule.fields, errors, path) };
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${path}`);
+  }
+}
+
+// Alanı doğrular; hata errors'a eklenir. Gönderilmeyen alan için undefined döner.
+function checkField(value, rule, label, path, errors) {
+  if (value === null && rule.nullable) return null;
+
+  if (value === undefined || value === null || (isMissing(value) && rule.type !== 'string' && rule.type !== 'url' && rule.type !== 'email')) {
+    if (rule.required) {
+      errors.push({ field: path, ...fieldError('VALIDATION_REQUIRED', { label }) });
+      return undefined;
+    }
+    return rule.default !== undefined ? rule.default : undefined;
+  }
+
+  const result = checkValue(value, rule, label, path, errors);
+  if (result.error) {
+    errors.push({ field: path, ...result.error });
+    return undefined;
+  }
+  return result.value;
+}
+
+function checkObject(input, schema, errors, prefix = '') {
+  const output = {};
+  const source = input && typeof input === 'object' ? input : {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const value = checkField(source[name], rule, rule.label || humanize(name), path, errors);
+    if (value !== undefined) output[name] = value;
+  }
+  return output;
+}
+
+// Nesneyi şemaya göre doğrular: { value, errors }
+export function validateSchema(input, schema) {
+  const errors = [];
+  const value = checkObject(input, schema, errors);
+  return { value, errors };
+}
+
+// Tüm doğrulama hataları aynı biçimde döner; message ilk hatadır, errors alan bazındadır.
+// Kodu olan hatalar isteğin diline çevrilir.
+export function sendValidationErrors(res, errors, status = 400) {
+  const localized = localizeErrors(res.req, errors);
+  return res.status(status).json({
+    success: false,
+    code: 'VALIDATION_FAILED',
+    message: localized[0].message,
+    errors: localized
+  });
+}
+
+// Express ara katmanı: validate({ params, query, body }). Geçen istekte req.params,
+// req.query ve req.body şemadaki alanlarla, dönüştürülmüş değerlerle değiştirilir.
+export function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const results = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+      const result = validateSchema(req[part], schemas[part]);
+      errors.push(...result.errors.map(e => part === 'body' ? e : { ...e, in: part }));
+      results[part] = result.value;
+    }
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    for (const [part, value] of Object.entries(results)) {
+      // params yönlendiricide tekrar doldurulduğu için birleştirilir
+      req[part] = part === 'params' ? { ...req.params, ...value } : value;
+    }
+    next();
+  };
+}
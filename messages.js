@@ -0,0 +1,94 @@
+// Direct messages: unread badge for the side menu and the live message stream.
+// Requires session.js to be loaded first.
+
+let inboxUnreadTotal = null;
+const messageListeners = {};
+
+// Badge placeholder for the "Messages" side menu item; filled in by refreshInboxBadge()
+function inboxBadge() {
+  return `<span data-inbox-badge style="display:none;margin-left:8px;min-width:20px;padding:1px 7px;border-radius:10px;background:#e74c3c;color:#fff;font-size:0.75rem;font-weight:700;text-align:center;"></span>`;
+}
+
+function renderInboxBadges(total) {
+  inboxUnreadTotal = total;
+  document.querySelectorAll('[data-inbox-badge]').forEach(el => {
+    el.textContent = total > 99 ? '99+' : String(total);
+    el.style.display = total > 0 ? 'inline-block' : 'none';
+  });
+}
+
+async function refreshInboxBadge() {
+  if (!hasSession()) return;
+  // Show the last known count right away when the menu is re-rendered
+  if (inboxUnreadTotal !== null) {
+    renderInboxBadges(inboxUnreadTotal);
+  }
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/messages/unread`);
+    const data = await response.json();
+    if (data.success) {
+      renderInboxBadges(data.total);
+    }
+  } catch (err) {
+    console.error('Unread count request failed:', err);
+  }
+}
+
+// Subscribe to stream events: "message", "read", "unread"
+function onMessageEvent(type, handler) {
+  (messageListeners[type] = messageListeners[type] || []).push(handler);
+}
+
+function dispatchStreamEvent(chunk) {
+  let type = 'message';
+  const data = [];
+  for (const line of chunk.split('\n')) {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  }
+  if (data.length === 0) return;
+
+  let payload;
+  try {
+    payload = JSON.parse(data.join('\n'));
+  } catch (err) {
+    return;
+  }
+  if (type === 'unread') renderInboxBadges(payload.total);
+  (messageListeners[type] || []).forEach(handler => handler(payload));
+}
+
+// EventSource cannot send the Authorization header, so the SSE stream is read with fetch
+async function connectMessageStream() {
+  while (hasSession()) {
+    try {
+      const response = await apiFetch(`${SESSION_API_URL}/api/messages/stream`, {
+        headers: { Accept: 'text/event-stream' }
+      });
+      if (response.status === 401) return;
+      if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          dispatchStreamEvent(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+        }
+      }
+    } catch (err) {
+      console.error('Message stream error:', err);
+    }
+    // Reconnect after a short pause if the connection dropped
+    await new Promise(resolve => setTimeout(resolve, 5000));
+  }
+}
+
+if (hasSession()) {
+  refreshInboxBadge();
+  connectMessageStream();
+}
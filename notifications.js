@@ -0,0 +1,40 @@
+// Notification badge for the side menu. Live updates arrive on the stream opened
+// by messages.js, so load session.js and messages.js first.
+
+let notificationsUnreadTotal = null;
+
+// Badge placeholder for the "Notifications" side menu item; filled in by refreshNotificationsBadge()
+function notificationsBadge() {
+  return `<span data-notifications-badge style="display:none;margin-left:8px;min-width:20px;padding:1px 7px;border-radius:10px;background:#f39c12;color:#fff;font-size:0.75rem;font-weight:700;text-align:center;"></span>`;
+}
+
+function renderNotificationsBadges(total) {
+  notificationsUnreadTotal = total;
+  document.querySelectorAll('[data-notifications-badge]').forEach(el => {
+    el.textContent = total > 99 ? '99+' : String(total);
+    el.style.display = total > 0 ? 'inline-block' : 'none';
+  });
+}
+
+async function refreshNotificationsBadge() {
+  if (!hasSession()) return;
+  // Show the last known count right away when the menu is re-rendered
+  if (notificationsUnreadTotal !== null) {
+    renderNotificationsBadges(notificationsUnreadTotal);
+  }
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/notifications/unread`);
+    const data = await response.json();
+    if (data.success) {
+      renderNotificationsBadges(data.total);
+    }
+  } catch (err) {
+    console.error('Unread notifications request failed:', err);
+  }
+}
+
+onMessageEvent('notifications-unread', payload => renderNotificationsBadges(payload.total));
+
+if (hasSession()) {
+  refreshNotificationsBadge();
+}
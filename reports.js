@@ -0,0 +1,80 @@
+// "Report" dialog for projects, comments and users, used by discover.html and
+// entrepreneur-account.html. Requires session.js to be loaded first.
+const REPORT_REASON_LABELS = {
+  spam: 'Spam or advertising',
+  abuse: 'Harassment or abuse',
+  fraud: 'Scam or fraud',
+  'fake-profile': 'Fake profile',
+  inappropriate: 'Inappropriate content',
+  other: 'Something else'
+};
+
+// targetType: 'project' | 'comment' | 'user'; targetId is the username for users
+function reportContent(targetType, targetId) {
+  if (!hasSession()) {
+    window.location.href = 'login.html';
+    return;
+  }
+
+  closeReportDialog();
+  const reasons = Object.entries(REPORT_REASON_LABELS)
+    .filter(([reason]) => reason !== 'fake-profile' || targetType === 'user');
+
+  const overlay = document.createElement('div');
+  overlay.id = 'report-dialog';
+  overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(34,49,74,0.45); display: flex; align-items: center; justify-content: center; z-index: 2000;';
+  overlay.onclick = event => { if (event.target === overlay) closeReportDialog(); };
+  overlay.innerHTML = `
+    <form onsubmit="submitReport(event, '${escapeHtml(targetType)}', '${escapeHtml(targetId)}')" style="background: #fff; border-radius: 16px; padding: 24px; width: min(420px, 92vw); box-shadow: 0 10px 40px rgba(0,0,0,0.2); font-family: inherit;">
+      <h3 style="margin: 0 0 12px; color: #22314a;">🚩 Report this ${escapeHtml(targetType)}</h3>
+      <p style="margin: 0 0 12px; color: #64748b; font-size: 0.9rem;">Moderators review every report. The person you report will not see your name.</p>
+      ${reasons.map(([reason, label], index) => `
+        <label style="display: block; margin-bottom: 6px; color: #22314a;">
+          <input type="radio" name="reportReason" value="${reason}"${index === 0 ? ' checked' : ''}> ${label}
+        </label>
+      `).join('')}
+      <textarea id="reportDetails" maxlength="1000" placeholder="Anything a moderator should know? (optional)" style="width: 100%; box-sizing: border-box; min-height: 80px; margin-top: 8px; padding: 8px; border: 1px solid #cbd5e1; border-radius: 8px; font-family: inherit;"></textarea>
+      <div id="reportError" style="color: #dc2626; margin-top: 8px;"></div>
+      <div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 12px;">
+        <button type="button" onclick="closeReportDialog()" style="padding: 8px 16px; border: 1px solid #cbd5e1; border-radius: 8px; background: #fff; cursor: pointer;">Cancel</button>
+        <button type="submit" style="padding: 8px 16px; border: none; border-radius: 8px; background: #e74c3c; color: #fff; font-weight: 600; cursor: pointer;">Send report</button>
+      </div>
+    </form>
+  `;
+  document.body.appendChild(overlay);
+}
+
+function closeReportDialog() {
+  const dialog = document.getElementById('report-dialog');
+  if (dialog) dialog.remove();
+}
+
+async function submitReport(event, targetType, targetId) {
+  event.preventDefault();
+  const errorEl = document.getElementById('reportError');
+  errorEl.textContent = '';
+
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/reports`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        targetType,
+        targetId,
+        reason: document.querySelector('input[name="reportReason"]:checked').value,
+        details: document.getElementById('reportDetails').value
+      })
+    });
+    const data = await response.json();
+    if (!data.success) {
+      errorEl.textContent = data.message || 'Could not send the report.';
+      return;
+    }
+
+    closeReportDialog();
+    alert(data.message);
+  } catch (error) {
+    console.error('Error sending report:', error);
+    errorEl.textContent = 'Could not send the report. Please try again.';
+  }
+}
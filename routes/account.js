@@ -0,0 +1,316 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import { storage } from '../lib/storage/index.js';
+import { requireAuth } from '../lib/auth.js';
+import { revokeUserSessions } from '../lib/sessions.js';
+import { recordAudit } from '../lib/audit.js';
+import { loginLockout } from '../lib/ratelimit.js';
+import { validate, sendValidationErrors } from '../lib/validation.js';
+import { localeOf } from '../lib/i18n.js';
+import {
+  PASSWORD_POLICY,
+  describePasswordPolicy,
+  validatePassword,
+  isEmailVerified,
+  findToken,
+  consumeToken,
+  resendWaitSeconds,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} from '../lib/account.js';
+import {
+  DELETION_GRACE_DAYS,
+  PROJECT_DISPOSALS,
+  exportAccount,
+  scheduleDeletion,
+  cancelDeletion
+} from '../lib/privacy.js';
+
+const router = express.Router();
+
+const TOKEN_RULE = { type: 'string', required: true, raw: true, max: 200 };
+
+const VERIFY_EMAIL_SCHEMA = {
+  token: TOKEN_RULE
+};
+
+const FORGOT_PASSWORD_SCHEMA = {
+  email: { type: 'email', required: true, max: 254 }
+};
+
+const RESET_PASSWORD_SCHEMA = {
+  token: TOKEN_RULE,
+  password: { type: 'string', required: true, raw: true, max: 200 }
+};
+
+// Silme isteği şifreyle onaylanır; projeler varsayılan olarak silinir
+const DELETE_ACCOUNT_SCHEMA = {
+  password: { type: 'string', required: true, raw: true, max: 200 },
+  projects: { type: 'enum', values: PROJECT_DISPOSALS, default: 'delete' }
+};
+
+// Password rules, so forms can show them before submitting
+router.get('/password-policy', (req, res) => {
+  return res.json({
+    success: true,
+    policy: {
+      minLength: PASSWORD_POLICY.minLength,
+      require: PASSWORD_POLICY.require,
+      description: describePasswordPolicy(localeOf(req))
+    }
+  });
+});
+
+// Confirm the email address with the token from the verification email
+router.post('/verify-email', validate({ body: VERIFY_EMAIL_SCHEMA }), async (req, res) => {
+  try {
+    const record = await consumeToken(req.body.token, 'verify-email');
+    const user = record && await storage.users.get(record.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'VERIFY_LINK_INVALID'
+      });
+    }
+
+    if (!isEmailVerified(user)) {
+      await storage.users.update(user.id, u => {
+        u.emailVerified = true;
+        u.emailVerifiedAt = new Date().toISOString();
+        return u;
+      });
+    }
+
+    return res.json({
+      success: true,
+      code: 'EMAIL_VERIFIED'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Send a new verification email to the signed-in user
+router.post('/verify-email/resend', requireAuth, async (req, res) => {
+  try {
+    if (isEmailVerified(req.user)) {
+      return res.status(400).json({
+        success: false,
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    const wait = await resendWaitSeconds(req.user, 'verify-email');
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({
+        success: false,
+        code: 'RESEND_WAIT',
+        params: { count: wait }
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    return res.json({
+      success: true,
+      code: 'VERIFICATION_EMAIL_SENT',
+      params: { email: req.user.email }
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Kısa sürede tekrar istenen bağlantı yeniden gönderilmez
+async function sendPasswordResetIfDue(user) {
+  if (await resendWaitSeconds(user, 'reset-password') > 0) return;
+  await sendPasswordResetEmail(user);
+}
+
+// Email a password reset link
+router.post('/forgot-password', validate({ body: FORGOT_PASSWORD_SCHEMA }), async (req, res) => {
+  try {
+    const user = await storage.users.findOne({ email: req.body.email });
+    // Demo hesaplarının şifresi yoktur, sıfırlanamaz. Gönderim beklenmez; kayıtlı ve
+    // kayıtsız adresler aynı sürede cevaplanır, hesabın varlığı belli olmaz.
+    if (user && user.password) {
+      sendPasswordResetIfDue(user).catch(error => {
+        console.error(`Password reset email to ${user.username} failed:`, error.message);
+      });
+    }
+
+    return res.json({
+      success: true,
+      code: 'PASSWORD_RESET_REQUESTED'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Choose a new password with the token from the reset email
+router.post('/reset-password', validate({ body: RESET_PASSWORD_SCHEMA }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const invalidLink = () => res.status(400).json({
+      success: false,
+      code: 'RESET_LINK_INVALID'
+    });
+
+    const record = await findToken(token, 'reset-password');
+    const user = record && await storage.users.get(record.userId);
+    if (!user || !user.password) return invalidLink();
+
+    // Kurala uymayan şifre bağlantıyı harcamaz; kullanıcı tekrar deneyebilir
+    const passwordError = validatePassword(password, user);
+    if (passwordError) {
+      return sendValidationErrors(res, [{ field: 'password', ...passwordError }]);
+    }
+
+    if (!(await consumeToken(token, 'reset-password'))) return invalidLink();
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+    const now = new Date().toISOString();
+    await storage.users.update(user.id, u => {
+      u.password = hashedPassword;
+      u.passwordChangedAt = now;
+      // Bağlantı e-postaya geldiği için adres de doğrulanmış olur
+      if (!isEmailVerified(u)) {
+        u.emailVerified = true;
+        u.emailVerifiedAt = now;
+      }
+      return u;
+    });
+
+    // Eski şifreyle açılmış oturumlar kapanır, hesap kilidi kalkar
+    await revokeUserSessions(user.id);
+    loginLockout.reset(`user:${user.id}`);
+    await recordAudit('password.changed', {
+      req,
+      actor: user.username,
+      target: user.username,
+      details: { via: 'reset-link' }
+    });
+
+    return res.json({
+      success: true,
+      code: 'PASSWORD_RESET'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Download everything stored about the signed-in user as a JSON archive
+router.get('/user/:username/export', requireAuth, async (req, res) => {
+  try {
+    if (req.params.username !== req.user.username) {
+      return res.status(403).json({
+        success: false,
+        code: 'EXPORT_FORBIDDEN'
+      });
+    }
+
+    const archive = await exportAccount(req.user);
+    const date = archive.exportedAt.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="ideai-${req.user.username}-${date}.json"`);
+
+    return res.json({
+      success: true,
+      archive
+    });
+  } catch (error) {
+    console.error('Export account error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Ask for the account to be deleted after the grace period. Every session is signed out.
+router.post('/account/deletion', requireAuth, validate({ body: DELETE_ACCOUNT_SCHEMA }), async (req, res) => {
+  try {
+    if (!req.user.password || !(await bcrypt.compare(req.body.password, req.user.password))) {
+      return sendValidationErrors(res, [{ field: 'password', code: 'PASSWORD_INCORRECT' }], 401);
+    }
+
+    if (req.user.deletion) {
+      return res.status(409).json({
+        success: false,
+        code: 'DELETION_ALREADY_SCHEDULED',
+        scheduledFor: req.user.deletion.scheduledFor
+      });
+    }
+
+    const updated = await scheduleDeletion(req.user, { projects: req.body.projects });
+    await recordAudit('account.deletion-requested', {
+      req,
+      actor: req.user.username,
+      target: req.user.username,
+      details: { projects: req.body.projects, scheduledFor: updated.deletion.scheduledFor }
+    });
+
+    return res.json({
+      success: true,
+      code: 'DELETION_SCHEDULED',
+      params: { count: DELETION_GRACE_DAYS },
+      scheduledFor: updated.deletion.scheduledFor
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Cancel a pending deletion during the grace period
+router.delete('/account/deletion', requireAuth, async (req, res) => {
+  try {
+    if (!req.user.deletion) {
+      return res.status(404).json({
+        success: false,
+        code: 'DELETION_NOT_SCHEDULED'
+      });
+    }
+
+    await cancelDeletion(req.user);
+    await recordAudit('account.deletion-cancelled', {
+      req,
+      actor: req.user.username,
+      target: req.user.username
+    });
+
+    return res.json({
+      success: true,
+      code: 'DELETION_CANCELLED'
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
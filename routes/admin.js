@@ -0,0 +1,358 @@
+import express from 'express';
+import { storage } from '../lib/storage/index.js';
+import { requireAuth, requireAdmin } from '../lib/auth.js';
+import { AUDIT_EVENTS, queryAudit, recordAudit } from '../lib/audit.js';
+import { validate } from '../lib/validation.js';
+import {
+  USER_ROLES,
+  MAX_PLATFORM_STATS_DAYS,
+  roleOf,
+  setUserRole,
+  suspendUser,
+  reactivateUser,
+  unpublishProject,
+  republishProject,
+  platformStats,
+  usersCsv,
+  projectsCsv
+} from '../lib/admin.js';
+
+const router = express.Router();
+
+const AUDIT_QUERY = {
+  event: { type: 'enum', values: AUDIT_EVENTS },
+  username: { type: 'string', max: 254 },
+  since: { type: 'date' },
+  until: { type: 'date' },
+  before: { type: 'date' },
+  limit: { type: 'integer', min: 1, max: 200, default: 50 }
+};
+
+const REASON_SCHEMA = {
+  reason: { type: 'string', required: true, max: 500, multiline: true }
+};
+
+const ROLE_SCHEMA = {
+  role: { type: 'enum', values: USER_ROLES, required: true }
+};
+
+const STATS_QUERY = {
+  days: { type: 'integer', min: 1, max: MAX_PLATFORM_STATS_DAYS, default: 30 }
+};
+
+function adminUserView(user) {
+  const { password, ...rest } = user;
+  return { ...rest, role: roleOf(user) };
+}
+
+function userNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    code: 'USER_NOT_FOUND'
+  });
+}
+
+function projectNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    code: 'PROJECT_NOT_FOUND'
+  });
+}
+
+function sendCsv(res, name, csv) {
+  const date = new Date().toISOString().slice(0, 10);
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="ideai-${name}-${date}.csv"`);
+  return res.send(csv);
+}
+
+// Security audit log (?event, ?username, ?since, ?until, ?before=<ISO date>, ?limit)
+router.get('/admin/audit', requireAuth, requireAdmin, validate({ query: AUDIT_QUERY }), async (req, res) => {
+  try {
+    const { entries, hasMore } = await queryAudit(req.query);
+
+    return res.json({
+      success: true,
+      entries,
+      hasMore,
+      events: AUDIT_EVENTS
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Platform statistics: signups per day, projects by category and investment type, active investors
+router.get('/admin/stats', requireAuth, requireAdmin, validate({ query: STATS_QUERY }), async (req, res) => {
+  try {
+    const stats = await platformStats({ days: req.query.days });
+
+    return res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    console.error('Get platform stats error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Suspend an account: it cannot log in and its open sessions end immediately
+router.post('/admin/users/:username/suspend', requireAuth, requireAdmin, validate({ body: REASON_SCHEMA }), async (req, res) => {
+  try {
+    const user = await storage.users.findOne({ username: req.params.username });
+    if (!user) return userNotFound(res);
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        code: 'SUSPEND_SELF'
+      });
+    }
+
+    // Yöneticiler önce sıradan kullanıcıya çevrilir; yanlışlıkla herkes dışarıda kalmasın
+    if (roleOf(user) === 'admin') {
+      return res.status(409).json({
+        success: false,
+        code: 'SUSPEND_ADMIN'
+      });
+    }
+
+    if (user.suspended) {
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_SUSPENDED'
+      });
+    }
+
+    const updated = await suspendUser(user, { by: req.user.username, reason: req.body.reason });
+    await recordAudit('user.suspended', {
+      req,
+      actor: req.user.username,
+      target: user.username,
+      details: { reason: req.body.reason }
+    });
+
+    return res.json({
+      success: true,
+      code: 'USER_SUSPENDED',
+      params: { username: user.username },
+      user: adminUserView(updated)
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.post('/admin/users/:username/reactivate', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const user = await storage.users.findOne({ username: req.params.username });
+    if (!user) return userNotFound(res);
+
+    if (!user.suspended) {
+      return res.status(409).json({
+        success: false,
+        code: 'NOT_SUSPENDED'
+      });
+    }
+
+    const updated = await reactivateUser(user);
+    await recordAudit('user.reactivated', { req, actor: req.user.username, target: user.username });
+
+    return res.json({
+      success: true,
+      code: 'USER_REACTIVATED',
+      params: { username: user.username },
+      user: adminUserView(updated)
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.put('/admin/users/:username/role', requireAuth, requireAdmin, validate({ body: ROLE_SCHEMA }), async (req, res) => {
+  try {
+    const user = await storage.users.findOne({ username: req.params.username });
+    if (!user) return userNotFound(res);
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        code: 'ROLE_SELF'
+      });
+    }
+
+    if (req.body.role === 'admin' && user.suspended) {
+      return res.status(409).json({
+        success: false,
+        code: 'ROLE_SUSPENDED'
+      });
+    }
+
+    const previous = roleOf(user);
+    const updated = previous === req.body.role ? user : await setUserRole(user, req.body.role);
+    if (previous !== req.body.role) {
+      await recordAudit('user.role-changed', {
+        req,
+        actor: req.user.username,
+        target: user.username,
+        details: { from: previous, to: req.body.role }
+      });
+    }
+
+    return res.json({
+      success: true,
+      code: req.body.role === 'admin' ? 'ROLE_ADMIN_GRANTED' : 'ROLE_ADMIN_REVOKED',
+      params: { username: user.username },
+      user: adminUserView(updated)
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Projects taken down by an administrator, most recent first
+router.get('/admin/projects/unpublished', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const projects = (await storage.projects.find(p => !!p.unpublished))
+      .sort((a, b) => new Date(b.unpublished.at) - new Date(a.unpublished.at));
+
+    return res.json({
+      success: true,
+      projects
+    });
+  } catch (error) {
+    console.error('Get unpublished projects error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Take a project off the platform. It goes back to draft and the owner cannot publish it again.
+router.post('/admin/projects/:id/unpublish', requireAuth, requireAdmin, validate({ body: REASON_SCHEMA }), async (req, res) => {
+  try {
+    const project = await storage.projects.get(req.params.id);
+    if (!project) return projectNotFound(res);
+
+    if (project.unpublished) {
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_UNPUBLISHED'
+      });
+    }
+
+    if (project.status === 'draft') {
+      return res.status(409).json({
+        success: false,
+        code: 'DRAFT_NOT_PUBLISHED'
+      });
+    }
+
+    const updated = await unpublishProject(project, { by: req.user.username, reason: req.body.reason });
+    await recordAudit('project.unpublished', {
+      req,
+      actor: req.user.username,
+      target: project.creator,
+      details: { projectId: project.id, title: project.title, reason: req.body.reason }
+    });
+
+    return res.json({
+      success: true,
+      code: 'PROJECT_UNPUBLISHED',
+      project: updated
+    });
+  } catch (error) {
+    console.error('Unpublish project error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Undo an unpublish: the project returns to the status it had before, unless its owner archived it meanwhile
+router.post('/admin/projects/:id/republish', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const project = await storage.projects.get(req.params.id);
+    if (!project) return projectNotFound(res);
+
+    if (!project.unpublished) {
+      return res.status(409).json({
+        success: false,
+        code: 'NOT_UNPUBLISHED'
+      });
+    }
+
+    const updated = await republishProject(project);
+    await recordAudit('project.republished', {
+      req,
+      actor: req.user.username,
+      target: project.creator,
+      details: { projectId: project.id, title: project.title }
+    });
+
+    return res.json({
+      success: true,
+      code: 'PROJECT_REPUBLISHED',
+      project: updated
+    });
+  } catch (error) {
+    console.error('Republish project error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// CSV exports (demo records included and marked)
+router.get('/admin/export/users.csv', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const users = (await storage.users.find())
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    return sendCsv(res, 'users', usersCsv(users));
+  } catch (error) {
+    console.error('Export users error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.get('/admin/export/projects.csv', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const projects = (await storage.projects.find())
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    return sendCsv(res, 'projects', projectsCsv(projects));
+  } catch (error) {
+    console.error('Export projects error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
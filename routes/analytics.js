@@ -0,0 +1,80 @@
+import express from 'express';
+import { storage } from '../lib/storage/index.js';
+import { requireAuth, optionalAuth, isAdmin } from '../lib/auth.js';
+import { validate } from '../lib/validation.js';
+import { isVisibleTo } from '../lib/projects.js';
+import { CLIENT_EVENT_TYPES, MAX_STATS_DAYS, recordProjectEvents, projectStats } from '../lib/analytics.js';
+
+const router = express.Router();
+
+const EVENTS_SCHEMA = {
+  type: { type: 'enum', values: CLIENT_EVENT_TYPES, required: true },
+  projectIds: { type: 'array', required: true, max: 50, items: { type: 'string', max: 100 }, label: 'Project ids' }
+};
+
+const STATS_QUERY = {
+  days: { type: 'integer', min: 1, max: MAX_STATS_DAYS, default: 30 }
+};
+
+// Record views, detail opens or contact clicks. Unknown or hidden projects are skipped silently.
+router.post('/events', optionalAuth, validate({ body: EVENTS_SCHEMA }), async (req, res) => {
+  try {
+    const { type, projectIds } = req.body;
+
+    const projects = [];
+    for (const projectId of new Set(projectIds)) {
+      const project = await storage.projects.get(projectId);
+      if (project && isVisibleTo(project, req.user)) projects.push(project);
+    }
+    const recorded = (await recordProjectEvents(type, { req, projects })).length;
+
+    return res.json({
+      success: true,
+      recorded
+    });
+  } catch (error) {
+    console.error('Record events error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Daily activity and funnel for a project (project owner only)
+router.get('/projects/:id/stats', requireAuth, validate({ query: STATS_QUERY }), async (req, res) => {
+  try {
+    const project = await storage.projects.get(req.params.id);
+    if (!project || !isVisibleTo(project, req.user)) {
+      return res.status(404).json({
+        success: false,
+        code: 'PROJECT_NOT_FOUND'
+      });
+    }
+
+    if (project.creator !== req.user.username && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'STATS_FORBIDDEN'
+      });
+    }
+
+    const stats = await projectStats(project.id, { days: req.query.days });
+
+    return res.json({
+      success: true,
+      projectId: project.id,
+      likes: project.likes || 0,
+      comments: project.commentCount || 0,
+      stats
+    });
+  } catch (error) {
+    console.error('Get project stats error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,342 @@
+import express from 'express';
+import { storage, createId } from '../lib/storage/index.js';
+import { requireAuth, optionalAuth } from '../lib/auth.js';
+import { isVisibleTo } from '../lib/projects.js';
+import { notify } from '../lib/notifications.js';
+import { validate } from '../lib/validation.js';
+
+const router = express.Router();
+
+const MAX_COMMENT_LENGTH = 500;
+
+const COMMENT_BODY_RULE = { type: 'string', required: true, max: MAX_COMMENT_LENGTH, multiline: true, label: 'Comment' };
+
+const COMMENT_LIST_QUERY = {
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
+
+const NEW_COMMENT_SCHEMA = {
+  body: COMMENT_BODY_RULE,
+  parentId: { type: 'string', max: 64, label: 'Parent comment' }
+};
+
+const EDIT_COMMENT_SCHEMA = {
+  body: COMMENT_BODY_RULE
+};
+
+// Yorum sayısı projede tutulur; sadece görünür (gizlenmemiş, silinmemiş) yorumlar sayılır
+function isVisible(comment) {
+  return !comment.hidden && !comment.deletedAt;
+}
+
+async function adjustCommentCount(projectId, delta) {
+  await storage.projects.update(projectId, project => {
+    project.commentCount = Math.max(0, (project.commentCount || 0) + delta);
+    return project;
+  });
+}
+
+// Gizli/silinmiş yorumun içeriği sadece proje sahibine ve yazarına gösterilir
+function toPublicComment(comment, viewer, project) {
+  const isOwner = viewer && viewer.username === project.creator;
+  const isAuthor = viewer && viewer.username === comment.author;
+  const showBody = !comment.deletedAt && (!comment.hidden || isOwner || isAuthor);
+
+  return {
+    id: comment.id,
+    projectId: comment.projectId,
+    parentId: comment.parentId,
+    author: comment.deletedAt ? null : comment.author,
+    body: showBody ? comment.body : '',
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+    edited: !!comment.editedAt,
+    hidden: !!comment.hidden,
+    hiddenByModerator: !!comment.moderation,
+    deleted: !!comment.deletedAt,
+    canEdit: !!isAuthor && !comment.deletedAt,
+    canModerate: !!isOwner
+  };
+}
+
+function canSee(comment, viewer, project) {
+  if (!comment.hidden) return true;
+  return !!viewer && (viewer.username === project.creator || viewer.username === comment.author);
+}
+
+async function findProjectOr404(req, res) {
+  const project = await storage.projects.get(req.params.id);
+  if (!project || !isVisibleTo(project, req.user)) {
+    res.status(404).json({
+      success: false,
+      code: 'PROJECT_NOT_FOUND'
+    });
+    return null;
+  }
+  return project;
+}
+
+async function findCommentOr404(req, res) {
+  const comment = await storage.comments.get(req.params.commentId);
+  if (!comment || comment.projectId !== req.params.id) {
+    res.status(404).json({
+      success: false,
+      code: 'COMMENT_NOT_FOUND'
+    });
+    return null;
+  }
+  return comment;
+}
+
+// List comments of a project (top-level threads are paginated, newest first)
+router.get('/projects/:id/comments', optionalAuth, validate({ query: COMMENT_LIST_QUERY }), async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+
+    const viewer = req.user || null;
+    const { page, limit } = req.query;
+
+    const comments = await storage.comments.find({ projectId: project.id });
+    const repliesByParent = {};
+    for (const comment of comments) {
+      if (comment.parentId) {
+        (repliesByParent[comment.parentId] = repliesByParent[comment.parentId] || []).push(comment);
+      }
+    }
+
+    // Silinmiş/gizlenmiş bir yorumun görünür cevapları varsa yer tutucu olarak kalır
+    const threads = comments
+      .filter(c => !c.parentId)
+      .map(root => {
+        const replies = (repliesByParent[root.id] || [])
+          .filter(r => !r.deletedAt && canSee(r, viewer, project))
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        return { root, replies };
+      })
+      .filter(({ root, replies }) => replies.length > 0 || (!root.deletedAt && canSee(root, viewer, project)))
+      .sort((a, b) => new Date(b.root.createdAt) - new Date(a.root.createdAt));
+
+    const total = threads.length;
+    const pageThreads = threads.slice((page - 1) * limit, page * limit);
+
+    return res.json({
+      success: true,
+      comments: pageThreads.map(({ root, replies }) => ({
+        ...toPublicComment(root, viewer, project),
+        replies: replies.map(reply => toPublicComment(reply, viewer, project))
+      })),
+      commentCount: project.commentCount || 0,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Add a comment or a reply (replies to replies join the same thread)
+router.post('/projects/:id/comments', requireAuth, validate({ body: NEW_COMMENT_SCHEMA }), async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+
+    const { body, parentId } = req.body;
+
+    let threadId = null;
+    let parent = null;
+    if (parentId) {
+      parent = await storage.comments.get(parentId);
+      if (!parent || parent.projectId !== project.id || parent.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          code: 'PARENT_COMMENT_NOT_FOUND'
+        });
+      }
+      threadId = parent.parentId || parent.id;
+    }
+
+    const now = new Date().toISOString();
+    const comment = {
+      id: createId(),
+      projectId: project.id,
+      parentId: threadId,
+      author: req.user.username,
+      body,
+      createdAt: now,
+      updatedAt: now,
+      editedAt: null,
+      hidden: false,
+      deletedAt: null
+    };
+
+    await storage.comments.insert(comment);
+    await adjustCommentCount(project.id, 1);
+
+    // Yanıtlanan yorumun yazarı proje sahibi değilse ona ayrıca bildirilir
+    const data = { commentId: comment.id };
+    await notify({ recipient: project.creator, type: 'project.commented', actor: req.user.username, project, data });
+    if (parent && parent.author !== project.creator) {
+      await notify({ recipient: parent.author, type: 'comment.replied', actor: req.user.username, project, data });
+    }
+
+    return res.status(201).json({
+      success: true,
+      code: 'COMMENT_ADDED',
+      comment: { ...toPublicComment(comment, req.user, project), replies: [] }
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Edit own comment
+router.patch('/projects/:id/comments/:commentId', requireAuth, validate({ body: EDIT_COMMENT_SCHEMA }), async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+    const comment = await findCommentOr404(req, res);
+    if (!comment) return;
+
+    if (comment.author !== req.user.username || comment.deletedAt) {
+      return res.status(403).json({
+        success: false,
+        code: 'COMMENT_EDIT_FORBIDDEN'
+      });
+    }
+
+    const { body } = req.body;
+    const updated = await storage.comments.update(comment.id, c => {
+      const now = new Date().toISOString();
+      c.body = body;
+      c.editedAt = now;
+      c.updatedAt = now;
+      return c;
+    });
+
+    return res.json({
+      success: true,
+      code: 'COMMENT_UPDATED',
+      comment: toPublicComment(updated, req.user, project)
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Delete own comment (soft delete so replies keep their thread)
+router.delete('/projects/:id/comments/:commentId', requireAuth, async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+    const comment = await findCommentOr404(req, res);
+    if (!comment) return;
+
+    if (comment.author !== req.user.username) {
+      return res.status(403).json({
+        success: false,
+        code: 'COMMENT_DELETE_FORBIDDEN'
+      });
+    }
+
+    let wasVisible = false;
+    await storage.comments.update(comment.id, c => {
+      wasVisible = isVisible(c);
+      if (!c.deletedAt) {
+        c.deletedAt = new Date().toISOString();
+        c.body = '';
+      }
+      return c;
+    });
+
+    if (wasVisible) {
+      await adjustCommentCount(project.id, -1);
+    }
+
+    return res.json({
+      success: true,
+      code: 'COMMENT_DELETED'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Project owner hides or unhides a comment
+function setHidden(hidden) {
+  return async (req, res) => {
+    try {
+      const project = await findProjectOr404(req, res);
+      if (!project) return;
+      const comment = await findCommentOr404(req, res);
+      if (!comment) return;
+
+      if (project.creator !== req.user.username) {
+        return res.status(403).json({
+          success: false,
+          code: 'COMMENT_MODERATE_FORBIDDEN'
+        });
+      }
+
+      // Şikâyet sonucu gizlenen yorum sadece moderasyon kuyruğundan açılır
+      if (comment.moderation) {
+        return res.status(403).json({
+          success: false,
+          code: 'COMMENT_HIDDEN_BY_MODERATOR'
+        });
+      }
+
+      let delta = 0;
+      const updated = await storage.comments.update(comment.id, c => {
+        const before = isVisible(c);
+        c.hidden = hidden;
+        c.hiddenBy = hidden ? req.user.username : null;
+        c.hiddenAt = hidden ? new Date().toISOString() : null;
+        delta = Number(isVisible(c)) - Number(before);
+        return c;
+      });
+
+      if (delta !== 0) {
+        await adjustCommentCount(project.id, delta);
+      }
+
+      return res.json({
+        success: true,
+        code: hidden ? 'COMMENT_HIDDEN' : 'COMMENT_RESTORED',
+        comment: toPublicComment(updated, req.user, project)
+      });
+    } catch (error) {
+      console.error('Moderate comment error:', error);
+      return res.status(500).json({
+        success: false,
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  };
+}
+
+router.post('/projects/:id/comments/:commentId/hide', requireAuth, setHidden(true));
+router.post('/projects/:id/comments/:commentId/unhide', requireAuth, setHidden(false));
+
+export default router;
@@ -0,0 +1,218 @@
+import express from 'express';
+import { storage, createId } from '../lib/storage/index.js';
+import { requireAuth } from '../lib/auth.js';
+import { validate } from '../lib/validation.js';
+import { INVESTMENT_TYPES, buildProject } from '../lib/projects.js';
+import { indexProject } from '../lib/search.js';
+import {
+  IDEA_CATEGORIES,
+  IDEA_AUDIENCES,
+  IDEA_TIMEFRAMES,
+  IDEA_STAGES,
+  IDEA_TEAM_SIZES,
+  IDEA_SOCIAL_IMPACTS,
+  IDEA_BUSINESS_MODELS,
+  IDEA_CURRENCIES,
+  generateIdeas,
+  projectDraftFromIdea
+} from '../lib/ideas.js';
+
+const router = express.Router();
+
+const MAX_SAVED_IDEAS = 200;
+
+const GENERATE_SCHEMA = {
+  category: { type: 'enum', values: IDEA_CATEGORIES, default: 'tech' },
+  audience: { type: 'enum', values: IDEA_AUDIENCES, default: 'general public' },
+  budget: { type: 'number', min: 0, max: 1000000000, default: 500 },
+  currency: { type: 'enum', values: IDEA_CURRENCIES, default: 'TL' },
+  timeframe: { type: 'enum', values: IDEA_TIMEFRAMES, default: '1 month' },
+  stage: { type: 'enum', values: IDEA_STAGES, default: 'Just an idea' },
+  teamSize: { type: 'enum', values: IDEA_TEAM_SIZES, default: 'Solo', label: 'Team size' },
+  socialImpact: { type: 'enum', values: IDEA_SOCIAL_IMPACTS, default: 'None', label: 'Social impact' },
+  businessModel: { type: 'enum', values: IDEA_BUSINESS_MODELS, default: 'Online platform', label: 'Business model' },
+  description: { type: 'string', max: 1000, multiline: true, default: '' },
+  count: { type: 'integer', min: 1, max: 10, default: 5 },
+  seed: {
+    type: 'string',
+    max: 32,
+    pattern: /^[\w-]+$/,
+    patternMessage: 'Seed may only contain letters, numbers, dashes and underscores.'
+  }
+};
+
+// Kaydedilen fikir, üreticinin döndürdüğü alanlarla aynıdır
+const SAVE_IDEA_SCHEMA = {
+  title: { type: 'string', required: true, max: 120 },
+  description: { type: 'string', required: true, max: 5000, multiline: true },
+  nextSteps: { type: 'array', max: 10, default: [], items: { type: 'string', max: 300 }, label: 'Next steps' },
+  category: { type: 'enum', values: IDEA_CATEGORIES, default: 'tech' },
+  audience: { type: 'string', max: 60 },
+  businessModel: { type: 'enum', values: IDEA_BUSINESS_MODELS, label: 'Business model' },
+  budget: { type: 'number', min: 0, max: 1000000000 },
+  currency: { type: 'enum', values: IDEA_CURRENCIES, default: 'TL' },
+  investmentType: { type: 'enum', values: INVESTMENT_TYPES, label: 'Investment type' },
+  seed: { type: 'string', max: 32 },
+  // localStorage'dan taşınan eski kayıtların tarihi korunur
+  savedAt: { type: 'date', label: 'Saved at' }
+};
+
+async function findIdeaOr404(req, res) {
+  const idea = await storage.ideas.get(req.params.id);
+  if (!idea || idea.userId !== req.user.id) {
+    res.status(404).json({
+      success: false,
+      code: 'IDEA_NOT_FOUND'
+    });
+    return null;
+  }
+  return idea;
+}
+
+// Generate project ideas from the entrepreneur form. The same seed and inputs give the same ideas.
+router.post('/ideas/generate', validate({ body: GENERATE_SCHEMA }), (req, res) => {
+  try {
+    const { seed, ideas } = generateIdeas(req.body);
+
+    return res.json({
+      success: true,
+      seed,
+      ideas
+    });
+  } catch (error) {
+    console.error('Generate ideas error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Saved ideas of the signed-in user, newest first
+router.get('/ideas', requireAuth, async (req, res) => {
+  try {
+    const ideas = (await storage.ideas.find({ userId: req.user.id }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return res.json({
+      success: true,
+      ideas
+    });
+  } catch (error) {
+    console.error('Get ideas error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Save an idea
+router.post('/ideas', requireAuth, validate({ body: SAVE_IDEA_SCHEMA }), async (req, res) => {
+  try {
+    const { savedAt, ...fields } = req.body;
+    const saved = await storage.ideas.find({ userId: req.user.id });
+
+    const existing = saved.find(idea => idea.title.toLowerCase() === fields.title.toLowerCase());
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        code: 'IDEA_ALREADY_SAVED',
+        idea: existing
+      });
+    }
+
+    if (saved.length >= MAX_SAVED_IDEAS) {
+      return res.status(400).json({
+        success: false,
+        code: 'IDEA_LIMIT',
+        params: { max: MAX_SAVED_IDEAS }
+      });
+    }
+
+    const idea = {
+      id: createId(),
+      userId: req.user.id,
+      ...fields,
+      projectId: null,
+      createdAt: (savedAt || new Date()).toISOString()
+    };
+    await storage.ideas.insert(idea);
+
+    return res.status(201).json({
+      success: true,
+      code: 'IDEA_SAVED',
+      idea
+    });
+  } catch (error) {
+    console.error('Save idea error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Remove a saved idea (a project created from it is kept)
+router.delete('/ideas/:id', requireAuth, async (req, res) => {
+  try {
+    const idea = await findIdeaOr404(req, res);
+    if (!idea) return;
+
+    await storage.ideas.remove(idea.id);
+
+    return res.json({
+      success: true,
+      code: 'IDEA_REMOVED'
+    });
+  } catch (error) {
+    console.error('Delete idea error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Turn a saved idea into a draft project, pre-filled from the idea
+router.post('/ideas/:id/promote', requireAuth, async (req, res) => {
+  try {
+    const idea = await findIdeaOr404(req, res);
+    if (!idea) return;
+
+    // Taslak silinmediyse ikinci kez oluşturulmaz
+    const current = idea.projectId && await storage.projects.get(idea.projectId);
+    if (current) {
+      return res.status(409).json({
+        success: false,
+        code: 'IDEA_ALREADY_PROMOTED',
+        project: current
+      });
+    }
+
+    const project = buildProject({ ...projectDraftFromIdea(idea), status: 'draft' }, req.user.username);
+    await storage.projects.insert(project);
+    indexProject(project);
+
+    const updated = await storage.ideas.update(idea.id, i => {
+      i.projectId = project.id;
+      i.promotedAt = project.createdAt;
+      return i;
+    });
+
+    return res.status(201).json({
+      success: true,
+      code: 'IDEA_PROMOTED',
+      project,
+      idea: updated
+    });
+  } catch (error) {
+    console.error('Promote idea error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
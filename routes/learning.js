@@ -0,0 +1,407 @@
+import express from 'express';
+import { storage, DuplicateKeyError } from '../lib/storage/index.js';
+import { requireAuth, optionalAuth, requireAdmin, isAdmin } from '../lib/auth.js';
+import { validate, sendValidationErrors } from '../lib/validation.js';
+import { USER_TYPES } from '../lib/profiles.js';
+import { PROJECT_CATEGORIES } from '../lib/projects.js';
+import { localeOf } from '../lib/i18n.js';
+import {
+  LEARNING_CATEGORIES,
+  LEARNING_KINDS,
+  LEARNING_LEVELS,
+  findCourses,
+  getCourse,
+  enrollmentId,
+  progressOf,
+  enrollmentsOf,
+  startCourse,
+  completeLesson,
+  setBookmark,
+  recommendCourses,
+  createCourse,
+  updateCourse,
+  deleteCourse
+} from '../lib/learning.js';
+
+const router = express.Router();
+
+const LIST_QUERY = {
+  category: { type: 'enum', values: LEARNING_CATEGORIES },
+  audience: { type: 'enum', values: USER_TYPES },
+  level: { type: 'enum', values: LEARNING_LEVELS },
+  kind: { type: 'enum', values: LEARNING_KINDS },
+  bookmarked: { type: 'boolean' },
+  // Taslaklar sadece yöneticilere gösterilir
+  drafts: { type: 'boolean', default: false }
+};
+
+const RECOMMENDATIONS_QUERY = {
+  limit: { type: 'integer', min: 1, max: 20, default: 5 }
+};
+
+const LESSON_RULE = {
+  type: 'object',
+  fields: {
+    id: { type: 'string', max: 32 },
+    title: { type: 'string', required: true, max: 200 },
+    body: { type: 'string', required: true, max: 20000, multiline: true },
+    durationMinutes: { type: 'integer', min: 0, max: 600, label: 'Duration' },
+    videoUrl: { type: 'url', max: 500, label: 'Video URL' }
+  }
+};
+
+const COURSE_FIELDS = {
+  title: { type: 'string', max: 200, notEmpty: true },
+  summary: { type: 'string', max: 1000, multiline: true },
+  kind: { type: 'enum', values: LEARNING_KINDS },
+  category: { type: 'enum', values: LEARNING_CATEGORIES },
+  audience: { type: 'list', values: USER_TYPES },
+  level: { type: 'enum', values: LEARNING_LEVELS },
+  projectCategories: { type: 'list', values: PROJECT_CATEGORIES, label: 'Project categories' },
+  tags: { type: 'list', max: 10 },
+  lessons: { type: 'array', max: 50, items: LESSON_RULE },
+  slug: {
+    type: 'string',
+    max: 80,
+    notEmpty: true,
+    pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    patternMessage: 'Slug may contain lowercase letters, numbers and single hyphens.'
+  },
+  published: { type: 'boolean' }
+};
+
+const NEW_COURSE_SCHEMA = {
+  ...COURSE_FIELDS,
+  title: { ...COURSE_FIELDS.title, required: true },
+  kind: { ...COURSE_FIELDS.kind, default: 'course' },
+  category: { ...COURSE_FIELDS.category, required: true },
+  audience: { ...COURSE_FIELDS.audience, default: USER_TYPES },
+  level: { ...COURSE_FIELDS.level, default: 'beginner' },
+  lessons: { ...COURSE_FIELDS.lessons, required: true },
+  slug: { ...COURSE_FIELDS.slug, notEmpty: false }
+};
+
+function lessonMinutes(course) {
+  return course.lessons.reduce((sum, lesson) => sum + (lesson.durationMinutes || 0), 0);
+}
+
+// Listing view without lesson bodies; progress only for signed-in users
+function toSummary(course, enrollment, user) {
+  return {
+    id: course.id,
+    slug: course.slug,
+    kind: course.kind,
+    category: course.category,
+    audience: course.audience,
+    level: course.level,
+    projectCategories: course.projectCategories,
+    title: course.title,
+    summary: course.summary,
+    tags: course.tags,
+    lessonCount: course.lessons.length,
+    durationMinutes: lessonMinutes(course),
+    published: course.published,
+    updatedAt: course.updatedAt,
+    progress: user ? progressOf(course, enrollment) : null
+  };
+}
+
+function toDetail(course, enrollment, user) {
+  return {
+    ...toSummary(course, enrollment, user),
+    lessons: course.lessons
+  };
+}
+
+// Boş liste gönderilirse içerik ne kimseye gösterilebilir ne de tamamlanabilir
+function contentErrors({ lessons, audience }) {
+  const errors = [];
+  if (lessons && lessons.length === 0) {
+    errors.push({ field: 'lessons', code: 'LESSONS_REQUIRED' });
+  }
+  if (audience && audience.length === 0) {
+    errors.push({ field: 'audience', code: 'VALIDATION_EMPTY', params: { label: 'Audience' } });
+  }
+  return errors;
+}
+
+// Drafts are only visible to administrators
+async function findCourseOr404(req, res) {
+  const course = await getCourse(req.params.id);
+  if (!course || (!course.published && !isAdmin(req.user))) {
+    res.status(404).json({
+      success: false,
+      code: 'LEARNING_NOT_FOUND'
+    });
+    return null;
+  }
+  return course;
+}
+
+async function respondWithProgress(res, user, course) {
+  const enrollment = await storage.enrollments.get(enrollmentId(user, course));
+  return res.json({
+    success: true,
+    progress: progressOf(course, enrollment)
+  });
+}
+
+function slugTaken(res) {
+  return res.status(409).json({
+    success: false,
+    code: 'LEARNING_SLUG_TAKEN'
+  });
+}
+
+// Courses and articles (?category=&audience=&level=&kind=&bookmarked=true)
+router.get('/learning', optionalAuth, validate({ query: LIST_QUERY }), async (req, res) => {
+  try {
+    const { category, audience, level, kind, bookmarked, drafts } = req.query;
+    if (bookmarked && !req.user) {
+      return res.status(401).json({
+        success: false,
+        code: 'BOOKMARKS_AUTH_REQUIRED'
+      });
+    }
+
+    const showDrafts = drafts && isAdmin(req.user);
+    const enrollments = req.user ? await enrollmentsOf(req.user) : new Map();
+    const courses = (await findCourses(c =>
+      (c.published || showDrafts) &&
+      (!category || c.category === category) &&
+      (!audience || c.audience.includes(audience)) &&
+      (!level || c.level === level) &&
+      (!kind || c.kind === kind)
+    ))
+      .filter(c => !bookmarked || (enrollments.get(c.id) || {}).bookmarkedAt)
+      .sort((a, b) =>
+        LEARNING_CATEGORIES.indexOf(a.category) - LEARNING_CATEGORIES.indexOf(b.category) ||
+        LEARNING_LEVELS.indexOf(a.level) - LEARNING_LEVELS.indexOf(b.level) ||
+        new Date(a.createdAt) - new Date(b.createdAt)
+      );
+
+    return res.json({
+      success: true,
+      categories: LEARNING_CATEGORIES,
+      levels: LEARNING_LEVELS,
+      items: courses.map(c => toSummary(c, enrollments.get(c.id), req.user))
+    });
+  } catch (error) {
+    console.error('Get learning content error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Suggestions for my role and my projects' categories; unfinished content first
+router.get('/learning/recommendations', requireAuth, validate({ query: RECOMMENDATIONS_QUERY }), async (req, res) => {
+  try {
+    const [recommendations, enrollments] = await Promise.all([
+      recommendCourses(req.user, { ...req.query, locale: localeOf(req) }),
+      enrollmentsOf(req.user)
+    ]);
+
+    return res.json({
+      success: true,
+      recommendations: recommendations.map(({ course, score, reasons }) => ({
+        ...toSummary(course, enrollments.get(course.id), req.user),
+        score,
+        reasons
+      }))
+    });
+  } catch (error) {
+    console.error('Get learning recommendations error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// My learning: started, completed and bookmarked content
+router.get('/learning/progress', requireAuth, async (req, res) => {
+  try {
+    const enrollments = await enrollmentsOf(req.user);
+    const courses = await findCourses(c => c.published && enrollments.has(c.id));
+    const summaries = courses
+      .map(c => toSummary(c, enrollments.get(c.id), req.user))
+      .sort((a, b) => new Date(enrollments.get(b.id).updatedAt) - new Date(enrollments.get(a.id).updatedAt));
+
+    return res.json({
+      success: true,
+      inProgress: summaries.filter(s => s.progress.started && !s.progress.completed),
+      completed: summaries.filter(s => s.progress.completed),
+      bookmarks: summaries.filter(s => s.progress.bookmarked)
+    });
+  } catch (error) {
+    console.error('Get learning progress error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// A course or article with its lessons, by id or slug
+router.get('/learning/:id', optionalAuth, async (req, res) => {
+  try {
+    const course = await findCourseOr404(req, res);
+    if (!course) return;
+
+    const enrollment = req.user ? await storage.enrollments.get(enrollmentId(req.user, course)) : null;
+
+    return res.json({
+      success: true,
+      item: toDetail(course, enrollment, req.user)
+    });
+  } catch (error) {
+    console.error('Get learning item error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.post('/learning/:id/start', requireAuth, async (req, res) => {
+  try {
+    const course = await findCourseOr404(req, res);
+    if (!course) return;
+
+    await startCourse(req.user, course);
+    return respondWithProgress(res, req.user, course);
+  } catch (error) {
+    console.error('Start learning item error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.post('/learning/:id/lessons/:lessonId/complete', requireAuth, async (req, res) => {
+  try {
+    const course = await findCourseOr404(req, res);
+    if (!course) return;
+
+    if (!course.lessons.some(l => l.id === req.params.lessonId)) {
+      return res.status(404).json({
+        success: false,
+        code: 'LESSON_NOT_FOUND'
+      });
+    }
+
+    await completeLesson(req.user, course, req.params.lessonId);
+    return respondWithProgress(res, req.user, course);
+  } catch (error) {
+    console.error('Complete lesson error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.put('/learning/:id/bookmark', requireAuth, async (req, res) => {
+  try {
+    const course = await findCourseOr404(req, res);
+    if (!course) return;
+
+    await setBookmark(req.user, course, true);
+    return respondWithProgress(res, req.user, course);
+  } catch (error) {
+    console.error('Bookmark learning item error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.delete('/learning/:id/bookmark', requireAuth, async (req, res) => {
+  try {
+    const course = await findCourseOr404(req, res);
+    if (!course) return;
+
+    await setBookmark(req.user, course, false);
+    return respondWithProgress(res, req.user, course);
+  } catch (error) {
+    console.error('Remove learning bookmark error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.post('/admin/learning', requireAuth, requireAdmin, validate({ body: NEW_COURSE_SCHEMA }), async (req, res) => {
+  try {
+    const errors = contentErrors(req.body);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const course = await createCourse(req.body, req.user.username);
+
+    return res.status(201).json({
+      success: true,
+      code: course.published ? 'CONTENT_PUBLISHED' : 'DRAFT_SAVED',
+      item: toDetail(course, null, null)
+    });
+  } catch (error) {
+    if (error instanceof DuplicateKeyError) return slugTaken(res);
+    console.error('Create learning content error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Lessons sent with their id keep learners' progress; lessons without an id are new
+router.put('/admin/learning/:id', requireAuth, requireAdmin, validate({ body: COURSE_FIELDS }), async (req, res) => {
+  try {
+    const course = await findCourseOr404(req, res);
+    if (!course) return;
+
+    const errors = contentErrors(req.body);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const updated = await updateCourse(course, req.body);
+
+    return res.json({
+      success: true,
+      code: 'CONTENT_UPDATED',
+      item: toDetail(updated, null, null)
+    });
+  } catch (error) {
+    if (error instanceof DuplicateKeyError) return slugTaken(res);
+    console.error('Update learning content error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.delete('/admin/learning/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const course = await findCourseOr404(req, res);
+    if (!course) return;
+
+    await deleteCourse(course);
+
+    return res.json({
+      success: true,
+      code: 'CONTENT_DELETED'
+    });
+  } catch (error) {
+    console.error('Delete learning content error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
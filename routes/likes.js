@@ -0,0 +1,166 @@
+import express from 'express';
+import { storage, DuplicateKeyError } from '../lib/storage/index.js';
+import { requireAuth } from '../lib/auth.js';
+import { isVisibleTo } from '../lib/projects.js';
+import { likeId, applyTrendingChange } from '../lib/likes.js';
+import { indexProject } from '../lib/search.js';
+import { notify } from '../lib/notifications.js';
+import { recordProjectEvent } from '../lib/analytics.js';
+
+const router = express.Router();
+
+async function findProjectOr404(req, res) {
+  const project = await storage.projects.get(req.params.id);
+  if (!project || !isVisibleTo(project, req.user)) {
+    res.status(404).json({
+      success: false,
+      code: 'PROJECT_NOT_FOUND'
+    });
+    return null;
+  }
+  return project;
+}
+
+// Like a project (liking twice has no further effect)
+router.post('/projects/:id/like', requireAuth, async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+
+    const like = {
+      id: likeId(project.id, req.user.username),
+      projectId: project.id,
+      username: req.user.username,
+      createdAt: new Date().toISOString()
+    };
+
+    let created = true;
+    try {
+      await storage.likes.insert(like);
+    } catch (e) {
+      if (!(e instanceof DuplicateKeyError)) throw e;
+      created = false;
+    }
+
+    let updated = project;
+    if (created) {
+      updated = await storage.projects.update(project.id, p => {
+        p.likes = (p.likes || 0) + 1;
+        return applyTrendingChange(p, like.createdAt, 1);
+      });
+      // Proje bu arada silindiyse beğeni sahipsiz kalmasın
+      if (!updated) {
+        await storage.likes.remove(like.id);
+        return res.status(404).json({
+          success: false,
+          code: 'PROJECT_NOT_FOUND'
+        });
+      }
+      indexProject(updated);
+      // Beğeni geri alınıp tekrar verilirse ikinci kez bildirilmez
+      await notify({
+        recipient: project.creator,
+        type: 'project.liked',
+        actor: req.user.username,
+        project,
+        key: like.id
+      });
+      await recordProjectEvent('like', { req, project });
+    }
+
+    return res.json({
+      success: true,
+      code: created ? 'PROJECT_LIKED' : 'ALREADY_LIKED',
+      liked: true,
+      likes: updated.likes
+    });
+  } catch (error) {
+    console.error('Like project error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Unlike a project (unliking a project you do not like has no effect)
+router.delete('/projects/:id/like', requireAuth, async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+
+    const id = likeId(project.id, req.user.username);
+    const like = await storage.likes.get(id);
+
+    let updated = project;
+    if (like && await storage.likes.remove(id)) {
+      updated = await storage.projects.update(project.id, p => {
+        p.likes = Math.max(0, (p.likes || 0) - 1);
+        return applyTrendingChange(p, like.createdAt, -1);
+      });
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          code: 'PROJECT_NOT_FOUND'
+        });
+      }
+      indexProject(updated);
+    }
+
+    return res.json({
+      success: true,
+      code: like ? 'LIKE_REMOVED' : 'NOT_LIKED',
+      liked: false,
+      likes: updated.likes || 0
+    });
+  } catch (error) {
+    console.error('Unlike project error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// People who liked a project (project owner only)
+router.get('/projects/:id/likes', requireAuth, async (req, res) => {
+  try {
+    const project = await findProjectOr404(req, res);
+    if (!project) return;
+
+    if (project.creator !== req.user.username) {
+      return res.status(403).json({
+        success: false,
+        code: 'LIKES_FORBIDDEN'
+      });
+    }
+
+    const likes = await storage.likes.find({ projectId: project.id });
+    const likers = [];
+    for (const like of likes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))) {
+      const user = await storage.users.findOne({ username: like.username });
+      if (!user) continue;
+      likers.push({
+        username: user.username,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        userType: user.userType,
+        likedAt: like.createdAt
+      });
+    }
+
+    return res.json({
+      success: true,
+      likes: project.likes || 0,
+      likers
+    });
+  } catch (error) {
+    console.error('Get likers error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
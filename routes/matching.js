@@ -0,0 +1,105 @@
+import express from 'express';
+import { storage } from '../lib/storage/index.js';
+import { optionalAuth } from '../lib/auth.js';
+import { parseFundingRange, rankProjects } from '../lib/matching.js';
+import { isVisibleTo, projectForViewer } from '../lib/projects.js';
+import { validate } from '../lib/validation.js';
+import { focusCategories } from '../lib/profiles.js';
+import { localeOf } from '../lib/i18n.js';
+
+const router = express.Router();
+
+const MATCHES_QUERY = {
+  budget: { type: 'string', max: 50 },
+  interest: { type: 'list', max: 20 },
+  investmentType: { type: 'list', max: 10, label: 'Investment type' },
+  keywords: { type: 'list', max: 20 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
+
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Sorgu parametreleri önceliklidir; eksik olanlar giriş yapmış yatırımcının profilinden tamamlanır.
+// Yatırımcı profili (investorProfile) varsa eski profil alanlarının önüne geçer.
+function buildCriteria(query, user) {
+  const profile = (user && user.profile) || {};
+  const investor = (user && user.investorProfile) || {};
+  const focusAreas = investor.focusAreas || profile.focusAreas;
+
+  let budget = parseFundingRange(query.budget);
+  if (!budget && query.budget === undefined) {
+    budget = parseFundingRange(investor.ticketSize || profile.ticketSize || profile.budget);
+  }
+
+  const categories = listParam(query.interest);
+  const investmentTypes = listParam(query.investmentType);
+  const keywords = [...new Set([
+    ...listParam(query.keywords),
+    ...(Array.isArray(profile.interests) ? profile.interests : []),
+    ...(Array.isArray(focusAreas) ? focusAreas : [])
+  ].map(k => String(k).trim()).filter(Boolean))];
+
+  const profileCategories = listParam(profile.sectors);
+  const profileTypes = listParam(investor.investmentTypes || profile.investmentTypes);
+
+  return {
+    budget,
+    categories: categories.length ? categories
+      : profileCategories.length ? profileCategories : focusCategories(investor.focusAreas),
+    keywords,
+    investmentTypes: investmentTypes.length ? investmentTypes : profileTypes
+  };
+}
+
+// Projects scored against an investor's budget, sectors, interests and investment type
+router.get('/matches', optionalAuth, validate({ query: MATCHES_QUERY }), async (req, res) => {
+  try {
+    if (req.query.budget !== undefined && !parseFundingRange(req.query.budget)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_BUDGET'
+      });
+    }
+
+    const criteria = buildCriteria(req.query, req.user);
+    if (!criteria.budget) {
+      return res.status(400).json({
+        success: false,
+        code: 'BUDGET_REQUIRED'
+      });
+    }
+
+    const { limit } = req.query;
+    const viewer = req.user ? req.user.username : null;
+
+    const projects = (await storage.projects.find({ lookingForInvestment: true }))
+      .filter(p => p.investmentData && p.status === 'active' && p.creator !== viewer && isVisibleTo(p, req.user));
+
+    const ranked = rankProjects(projects, criteria, localeOf(req))
+      .map(result => ({ ...result, project: projectForViewer(result.project, req.user) }));
+
+    return res.json({
+      success: true,
+      criteria: {
+        budget: { min: criteria.budget.min, max: criteria.budget.max === Infinity ? null : criteria.budget.max },
+        categories: criteria.categories,
+        keywords: criteria.keywords,
+        investmentTypes: criteria.investmentTypes
+      },
+      matches: ranked.filter(r => r.match).slice(0, limit),
+      nearMisses: ranked.filter(r => r.nearMiss).slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Get matches error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,263 @@
+import express from 'express';
+import { storage } from '../lib/storage/index.js';
+import { requireAuth } from '../lib/auth.js';
+import { isVisibleTo } from '../lib/projects.js';
+import { isHiddenDemo } from '../lib/demo.js';
+import { openStream, publish } from '../lib/realtime.js';
+import { validate } from '../lib/validation.js';
+import {
+  MESSAGE_BODY_RULE,
+  findOrCreateConversation,
+  appendMessage,
+  otherParticipant,
+  unreadTotal,
+  toPublicConversation
+} from '../lib/messages.js';
+
+const router = express.Router();
+
+const NEW_CONVERSATION_SCHEMA = {
+  to: { type: 'string', required: true, max: 30, label: 'Recipient' },
+  projectId: { type: 'string', max: 64, label: 'Project ID' },
+  body: MESSAGE_BODY_RULE
+};
+
+const MESSAGE_SCHEMA = {
+  body: MESSAGE_BODY_RULE
+};
+
+const MESSAGE_LIST_QUERY = {
+  before: { type: 'date' },
+  limit: { type: 'integer', min: 1, max: 200, default: 50 }
+};
+
+async function findConversationOr404(req, res) {
+  const conversation = await storage.conversations.get(req.params.id);
+  if (!conversation || !conversation.participants.includes(req.user.username)) {
+    res.status(404).json({
+      success: false,
+      code: 'CONVERSATION_NOT_FOUND'
+    });
+    return null;
+  }
+  return conversation;
+}
+
+// Yeni mesajı alıcıya (ve gönderenin diğer sekmelerine) canlı iletir
+async function deliver(message, conversation) {
+  for (const username of conversation.participants) {
+    publish(username, 'message', {
+      conversation: toPublicConversation(conversation, username),
+      message
+    });
+  }
+  publish(message.recipient, 'unread', { total: await unreadTotal(message.recipient) });
+}
+
+// Live message events (Server-Sent Events)
+router.get('/messages/stream', requireAuth, (req, res) => {
+  openStream(req, res, req.user.username);
+});
+
+// Total unread messages for the signed-in user
+router.get('/messages/unread', requireAuth, async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      total: await unreadTotal(req.user.username)
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Conversations of the signed-in user, most recent first
+router.get('/conversations', requireAuth, async (req, res) => {
+  try {
+    const { username } = req.user;
+    const conversations = (await storage.conversations.find(c => c.participants.includes(username)))
+      .filter(c => c.lastMessage)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    const result = [];
+    for (const conversation of conversations) {
+      const other = await storage.users.findOne({ username: otherParticipant(conversation, username) });
+      result.push({
+        ...toPublicConversation(conversation, username),
+        withUser: other ? {
+          username: other.username,
+          firstname: other.firstname,
+          lastname: other.lastname,
+          userType: other.userType
+        } : null
+      });
+    }
+
+    return res.json({
+      success: true,
+      conversations: result,
+      unreadTotal: result.reduce((sum, c) => sum + c.unreadCount, 0)
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Start a conversation (or continue the existing one) with a first message
+router.post('/conversations', requireAuth, validate({ body: NEW_CONVERSATION_SCHEMA }), async (req, res) => {
+  try {
+    const { to, projectId, body } = req.body;
+    const { username } = req.user;
+
+    if (to === username) {
+      return res.status(400).json({
+        success: false,
+        code: 'MESSAGE_SELF'
+      });
+    }
+
+    const recipient = await storage.users.findOne({ username: to });
+    if (!recipient || isHiddenDemo(recipient)) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND'
+      });
+    }
+    if (!recipient.password) {
+      return res.status(400).json({
+        success: false,
+        code: 'DEMO_NO_MESSAGES'
+      });
+    }
+
+    let project = null;
+    if (projectId) {
+      project = await storage.projects.get(projectId);
+      if (!project || !isVisibleTo(project, req.user)) {
+        return res.status(404).json({
+          success: false,
+          code: 'PROJECT_NOT_FOUND'
+        });
+      }
+      // Proje konuşmaları proje sahibiyle yapılır
+      if (project.creator !== username && project.creator !== to) {
+        return res.status(400).json({
+          success: false,
+          code: 'PROJECT_CONVERSATION_OWNER'
+        });
+      }
+    }
+
+    const conversation = await findOrCreateConversation(username, to, project);
+    const sent = await appendMessage(conversation, username, body);
+    await deliver(sent.message, sent.conversation);
+
+    return res.status(201).json({
+      success: true,
+      code: 'MESSAGE_SENT',
+      conversation: toPublicConversation(sent.conversation, username),
+      sent: sent.message
+    });
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Messages of a conversation, oldest first (?before=<ISO date> for older pages)
+router.get('/conversations/:id/messages', requireAuth, validate({ query: MESSAGE_LIST_QUERY }), async (req, res) => {
+  try {
+    const conversation = await findConversationOr404(req, res);
+    if (!conversation) return;
+
+    const { before, limit } = req.query;
+
+    const messages = (await storage.messages.find({ conversationId: conversation.id }))
+      .filter(m => !before || new Date(m.createdAt) < before)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const page = messages.slice(Math.max(0, messages.length - limit));
+
+    return res.json({
+      success: true,
+      conversation: toPublicConversation(conversation, req.user.username),
+      messages: page,
+      hasMore: messages.length > page.length
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Reply in a conversation
+router.post('/conversations/:id/messages', requireAuth, validate({ body: MESSAGE_SCHEMA }), async (req, res) => {
+  try {
+    const conversation = await findConversationOr404(req, res);
+    if (!conversation) return;
+
+    const sent = await appendMessage(conversation, req.user.username, req.body.body);
+    await deliver(sent.message, sent.conversation);
+
+    return res.status(201).json({
+      success: true,
+      code: 'MESSAGE_SENT',
+      conversation: toPublicConversation(sent.conversation, req.user.username),
+      sent: sent.message
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Mark a conversation as read
+router.post('/conversations/:id/read', requireAuth, async (req, res) => {
+  try {
+    const conversation = await findConversationOr404(req, res);
+    if (!conversation) return;
+
+    const { username } = req.user;
+    const now = new Date().toISOString();
+    const updated = await storage.conversations.update(conversation.id, c => {
+      c.unread = { ...c.unread, [username]: 0 };
+      c.lastReadAt = { ...c.lastReadAt, [username]: now };
+      return c;
+    });
+
+    // Karşı taraf okundu bilgisini, okuyanın diğer sekmeleri de yeni sayıyı görür
+    publish(otherParticipant(updated, username), 'read', { conversationId: updated.id, by: username, at: now });
+    const total = await unreadTotal(username);
+    publish(username, 'unread', { total });
+
+    return res.json({
+      success: true,
+      conversation: toPublicConversation(updated, username),
+      unreadTotal: total
+    });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
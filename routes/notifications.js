@@ -0,0 +1,187 @@
+import express from 'express';
+import { storage } from '../lib/storage/index.js';
+import { requireAuth } from '../lib/auth.js';
+import { openStream, publish } from '../lib/realtime.js';
+import {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  getPreferences,
+  validatePreferences,
+  toPublicNotification,
+  unreadNotificationCount
+} from '../lib/notifications.js';
+import { validate, sendValidationErrors } from '../lib/validation.js';
+import { localeOf } from '../lib/i18n.js';
+
+const router = express.Router();
+
+const NOTIFICATION_LIST_QUERY = {
+  unread: { type: 'boolean', default: false },
+  before: { type: 'date' },
+  limit: { type: 'integer', min: 1, max: 100, default: 30 }
+};
+
+// Bilinmeyen türler validatePreferences'ta reddedilir
+const PREFERENCES_SCHEMA = {
+  types: {
+    type: 'object',
+    max: 50,
+    entries: {
+      type: 'object',
+      fields: {
+        inApp: { type: 'boolean', label: 'In-app' },
+        email: { type: 'boolean' }
+      }
+    }
+  },
+  digest: { type: 'enum', values: DIGEST_FREQUENCIES }
+};
+
+// Live notification events (Server-Sent Events). The stream carries all of the
+// user's live events, so a page already connected to /api/messages/stream gets them too.
+router.get('/notifications/stream', requireAuth, (req, res) => {
+  openStream(req, res, req.user.username);
+});
+
+// Notifications of the signed-in user, newest first (?unread=true, ?before=<ISO date>)
+router.get('/notifications', requireAuth, validate({ query: NOTIFICATION_LIST_QUERY }), async (req, res) => {
+  try {
+    const { before, limit, unread: unreadOnly } = req.query;
+
+    const notifications = (await storage.notifications.find({ recipient: req.user.username }))
+      .filter(n => n.channels.inApp)
+      .filter(n => !unreadOnly || !n.read)
+      .filter(n => !before || new Date(n.createdAt) < before)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return res.json({
+      success: true,
+      notifications: notifications.slice(0, limit).map(n => toPublicNotification(n, localeOf(req))),
+      hasMore: notifications.length > limit,
+      unreadCount: await unreadNotificationCount(req.user.username)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.get('/notifications/unread', requireAuth, async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      total: await unreadNotificationCount(req.user.username)
+    });
+  } catch (error) {
+    console.error('Get unread notifications error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.get('/notifications/preferences', requireAuth, (req, res) => {
+  return res.json({
+    success: true,
+    preferences: getPreferences(req.user),
+    types: Object.keys(NOTIFICATION_TYPES),
+    digestFrequencies: DIGEST_FREQUENCIES
+  });
+});
+
+// Update channels per type ({ types: { "project.liked": { email: true } } }) and the digest frequency
+router.put('/notifications/preferences', requireAuth, validate({ body: PREFERENCES_SCHEMA }), async (req, res) => {
+  try {
+    const validated = validatePreferences(req.body, getPreferences(req.user));
+    if (validated.error) {
+      return sendValidationErrors(res, [validated.error]);
+    }
+
+    const updated = await storage.users.update(req.user.id, user => {
+      user.notificationPrefs = validated.preferences;
+      return user;
+    });
+
+    return res.json({
+      success: true,
+      code: 'NOTIFICATION_PREFS_SAVED',
+      preferences: getPreferences(updated)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+async function publishUnread(username) {
+  const total = await unreadNotificationCount(username);
+  publish(username, 'notifications-unread', { total });
+  return total;
+}
+
+router.post('/notifications/read-all', requireAuth, async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const unread = await storage.notifications.find(n => n.recipient === req.user.username && !n.read);
+    for (const notification of unread) {
+      await storage.notifications.update(notification.id, n => {
+        n.read = true;
+        n.readAt = now;
+        return n;
+      });
+    }
+
+    return res.json({
+      success: true,
+      marked: unread.length,
+      unreadCount: await publishUnread(req.user.username)
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.post('/notifications/:id/read', requireAuth, async (req, res) => {
+  try {
+    const notification = await storage.notifications.get(req.params.id);
+    if (!notification || notification.recipient !== req.user.username) {
+      return res.status(404).json({
+        success: false,
+        code: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    const updated = await storage.notifications.update(notification.id, n => {
+      if (!n.read) {
+        n.read = true;
+        n.readAt = new Date().toISOString();
+      }
+      return n;
+    });
+
+    return res.json({
+      success: true,
+      notification: toPublicNotification(updated, localeOf(req)),
+      unreadCount: await publishUnread(req.user.username)
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,417 @@
+import express from 'express';
+import { storage, createId } from '../lib/storage/index.js';
+import { requireAuth } from '../lib/auth.js';
+import { validate, sendValidationErrors } from '../lib/validation.js';
+import { portfolioAnalytics } from '../lib/portfolio.js';
+import { isVisibleTo } from '../lib/projects.js';
+
+const router = express.Router();
+
+const INSTRUMENTS = ['grant', 'equity', 'loan', 'convertible'];
+const OPEN_STATUSES = ['pending', 'countered'];
+const OFFER_STATUSES = ['pending', 'countered', 'accepted', 'declined', 'withdrawn'];
+const MAX_TERMS_LENGTH = 2000;
+const MAX_AMOUNT = 1000000000;
+
+const AMOUNT_RULE = { type: 'number', min: 0.01, max: MAX_AMOUNT };
+const TERMS_RULE = { type: 'string', max: MAX_TERMS_LENGTH, multiline: true };
+
+const OFFER_SCHEMA = {
+  amount: { ...AMOUNT_RULE, required: true },
+  instrument: { type: 'enum', values: INSTRUMENTS, required: true },
+  terms: { ...TERMS_RULE, default: '' }
+};
+
+// Karşı teklifte tutar zorunlu; türü ve şartları gönderilmezse öncekiler kalır.
+// message her yanıtta isteğe bağlıdır ve geçmiş kaydına eklenir.
+const OFFER_RESPONSE_SCHEMA = {
+  amount: AMOUNT_RULE,
+  instrument: { type: 'enum', values: INSTRUMENTS },
+  terms: TERMS_RULE,
+  message: TERMS_RULE
+};
+
+const OFFER_LIST_QUERY = {
+  status: { type: 'list', values: OFFER_STATUSES }
+};
+
+// Teklif akışı:
+//   investor gönderir            -> pending   (sıra girişimcide)
+//   girişimci karşı teklif verir -> countered (sıra yatırımcıda)
+//   yatırımcı karşı teklif verir -> pending   (sıra tekrar girişimcide)
+//   sırası gelen taraf kabul/ret edebilir; yatırımcı açık teklifi geri çekebilir
+function awaitingParty(offer) {
+  return offer.status === 'countered' ? offer.investor : offer.entrepreneur;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function toPublicOffer(offer, viewer) {
+  return {
+    ...offer,
+    awaiting: OPEN_STATUSES.includes(offer.status) ? awaitingParty(offer) : null,
+    canRespond: OPEN_STATUSES.includes(offer.status) && awaitingParty(offer) === viewer.username,
+    canWithdraw: OPEN_STATUSES.includes(offer.status) && offer.investor === viewer.username
+  };
+}
+
+async function findOfferForParty(req, res) {
+  const offer = await storage.offers.get(req.params.offerId);
+  if (!offer || (offer.investor !== req.user.username && offer.entrepreneur !== req.user.username)) {
+    res.status(404).json({
+      success: false,
+      code: 'OFFER_NOT_FOUND'
+    });
+    return null;
+  }
+  return offer;
+}
+
+// Send an offer on a project that is looking for investment
+router.post('/projects/:id/offers', requireAuth, validate({ body: OFFER_SCHEMA }), async (req, res) => {
+  try {
+    if (req.user.userType !== 'investor') {
+      return res.status(403).json({
+        success: false,
+        code: 'OFFER_INVESTORS_ONLY'
+      });
+    }
+
+    // Taslak ve gizli demo projeler GET /api/projects/:id'deki gibi yok sayılır
+    const project = await storage.projects.get(req.params.id);
+    if (!project || !isVisibleTo(project, req.user)) {
+      return res.status(404).json({
+        success: false,
+        code: 'PROJECT_NOT_FOUND'
+      });
+    }
+
+    if (!project.lookingForInvestment || project.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        code: 'NOT_LOOKING_FOR_INVESTMENT'
+      });
+    }
+
+    if (project.creator === req.user.username) {
+      return res.status(400).json({
+        success: false,
+        code: 'OFFER_OWN_PROJECT'
+      });
+    }
+
+    const validated = { ...req.body, amount: roundAmount(req.body.amount) };
+
+    const now = new Date().toISOString();
+    const offer = {
+      id: createId(),
+      projectId: project.id,
+      projectTitle: project.title,
+      investor: req.user.username,
+      entrepreneur: project.creator,
+      amount: validated.amount,
+      instrument: validated.instrument,
+      terms: validated.terms,
+      status: 'pending',
+      history: [{
+        action: 'offered',
+        by: req.user.username,
+        amount: validated.amount,
+        instrument: validated.instrument,
+        terms: validated.terms,
+        at: now
+      }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Açık teklif kontrolü eklemeyle aynı depo işleminde yapılır; eşzamanlı iki istekten biri kazanır
+    const openOffer = o =>
+      o.projectId === project.id && o.investor === req.user.username && OPEN_STATUSES.includes(o.status);
+    const inserted = await storage.offers.insertUnless(openOffer, offer);
+    if (!inserted) {
+      return res.status(409).json({
+        success: false,
+        code: 'OFFER_ALREADY_OPEN'
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      code: 'OFFER_SENT',
+      offer: toPublicOffer(offer, req.user)
+    });
+  } catch (error) {
+    console.error('Create offer error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Offers on a project: the owner sees all, an investor only their own
+router.get('/projects/:id/offers', requireAuth, async (req, res) => {
+  try {
+    const project = await storage.projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        code: 'PROJECT_NOT_FOUND'
+      });
+    }
+
+    const query = { projectId: project.id };
+    if (project.creator !== req.user.username) {
+      query.investor = req.user.username;
+    }
+
+    const offers = await storage.offers.find(query);
+    return res.json({
+      success: true,
+      offers: offers
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+        .map(offer => toPublicOffer(offer, req.user))
+    });
+  } catch (error) {
+    console.error('Get project offers error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Offers of the current user (sent as investor, received as entrepreneur)
+router.get('/offers', requireAuth, validate({ query: OFFER_LIST_QUERY }), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { username } = req.user;
+
+    const [sent, received] = await Promise.all([
+      storage.offers.find({ investor: username }),
+      storage.offers.find({ entrepreneur: username })
+    ]);
+
+    let offers = [...sent, ...received];
+    if (status && status.length) {
+      offers = offers.filter(o => status.includes(o.status));
+    }
+
+    return res.json({
+      success: true,
+      offers: offers
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+        .map(offer => toPublicOffer(offer, req.user))
+    });
+  } catch (error) {
+    console.error('Get offers error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Accept / decline / counter / withdraw
+router.post('/offers/:offerId/:action(accept|decline|counter|withdraw)', requireAuth, validate({ body: OFFER_RESPONSE_SCHEMA }), async (req, res) => {
+  try {
+    const offer = await findOfferForParty(req, res);
+    if (!offer) return;
+
+    const { action } = req.params;
+    const { username } = req.user;
+
+    if (!OPEN_STATUSES.includes(offer.status)) {
+      return res.status(409).json({
+        success: false,
+        code: 'OFFER_CLOSED',
+        params: { status: offer.status }
+      });
+    }
+
+    if (action === 'withdraw' && offer.investor !== username) {
+      return res.status(403).json({
+        success: false,
+        code: 'OFFER_WITHDRAW_FORBIDDEN'
+      });
+    }
+
+    if (action !== 'withdraw' && awaitingParty(offer) !== username) {
+      return res.status(403).json({
+        success: false,
+        code: 'OFFER_AWAITING_RESPONSE'
+      });
+    }
+
+    let counterTerms = null;
+    if (action === 'counter') {
+      if (req.body.amount === undefined) {
+        return sendValidationErrors(res, [{ field: 'amount', code: 'VALIDATION_REQUIRED', params: { label: 'Amount' } }]);
+      }
+      counterTerms = {
+        amount: roundAmount(req.body.amount),
+        instrument: req.body.instrument || offer.instrument,
+        terms: req.body.terms !== undefined ? req.body.terms : offer.terms
+      };
+    }
+
+    // Durum geçişi tek bir atomik güncellemede tekrar kontrol edilir
+    let conflict = false;
+    const nextStatus = {
+      accept: 'accepted',
+      decline: 'declined',
+      withdraw: 'withdrawn',
+      counter: username === offer.entrepreneur ? 'countered' : 'pending'
+    }[action];
+
+    const updated = await storage.offers.update(offer.id, o => {
+      if (o.status !== offer.status) {
+        conflict = true;
+        return o;
+      }
+
+      const now = new Date().toISOString();
+      const entry = { action: action === 'counter' ? 'countered' : nextStatus, by: username, at: now };
+      if (counterTerms) {
+        o.amount = counterTerms.amount;
+        o.instrument = counterTerms.instrument;
+        o.terms = counterTerms.terms;
+        Object.assign(entry, counterTerms);
+      }
+      if (req.body.message) {
+        entry.message = req.body.message;
+      }
+
+      o.status = nextStatus;
+      o.history.push(entry);
+      o.updatedAt = now;
+      if (nextStatus === 'accepted') {
+        o.acceptedAt = now;
+      }
+      return o;
+    });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        code: 'OFFER_CONFLICT'
+      });
+    }
+
+    // Kabul edilen teklif projenin yatırımcı listesine eklenir
+    if (updated.status === 'accepted') {
+      await storage.projects.update(updated.projectId, project => {
+        const investors = Array.isArray(project.investors) ? project.investors : [];
+        if (!investors.some(i => i.offerId === updated.id)) {
+          investors.push({
+            offerId: updated.id,
+            investor: updated.investor,
+            amount: updated.amount,
+            instrument: updated.instrument,
+            terms: updated.terms,
+            acceptedAt: updated.acceptedAt
+          });
+        }
+        project.investors = investors;
+        project.raisedAmount = investors.reduce((sum, i) => sum + (Number(i.amount) || 0), 0);
+        return project;
+      });
+    }
+
+    const codes = {
+      accept: 'OFFER_ACCEPTED',
+      decline: 'OFFER_DECLINED',
+      counter: 'OFFER_COUNTERED',
+      withdraw: 'OFFER_WITHDRAWN'
+    };
+
+    return res.json({
+      success: true,
+      code: codes[action],
+      offer: toPublicOffer(updated, req.user)
+    });
+  } catch (error) {
+    console.error('Update offer error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Yatırımcının kabul edilmiş teklifleri (projeleriyle) ve açık teklifleri
+async function loadPortfolio(username) {
+  const offers = await storage.offers.find({ investor: username });
+  const accepted = offers.filter(o => o.status === 'accepted');
+  const open = offers.filter(o => OPEN_STATUSES.includes(o.status));
+
+  const investments = [];
+  for (const offer of accepted) {
+    const project = await storage.projects.get(offer.projectId);
+    investments.push({
+      offerId: offer.id,
+      projectId: offer.projectId,
+      title: project ? project.title : offer.projectTitle,
+      description: project ? project.description : '',
+      category: project ? project.category : null,
+      creator: offer.entrepreneur,
+      projectStatus: project ? project.status : 'removed',
+      amount: offer.amount,
+      instrument: offer.instrument,
+      terms: offer.terms,
+      investedAt: offer.acceptedAt
+    });
+  }
+
+  investments.sort((a, b) => new Date(b.investedAt) - new Date(a.investedAt));
+  return { investments, open };
+}
+
+// Investor portfolio: accepted offers with their projects, plus open offers
+router.get('/portfolio', requireAuth, async (req, res) => {
+  try {
+    const { investments, open } = await loadPortfolio(req.user.username);
+
+    return res.json({
+      success: true,
+      investments,
+      openOffers: open.map(offer => toPublicOffer(offer, req.user)),
+      summary: {
+        totalInvestments: investments.length,
+        totalInvested: investments.reduce((sum, i) => sum + i.amount, 0),
+        activeCompanies: investments.filter(i => i.projectStatus === 'active').length,
+        openOffers: open.length
+      }
+    });
+  } catch (error) {
+    console.error('Get portfolio error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Portfolio analytics: totals, category and instrument breakdown, project status counts
+router.get('/portfolio/analytics', requireAuth, async (req, res) => {
+  try {
+    const { investments, open } = await loadPortfolio(req.user.username);
+    const investorProfile = req.user.investorProfile || {};
+
+    return res.json({
+      success: true,
+      analytics: portfolioAnalytics(investments, open, investorProfile.ticketSize)
+    });
+  } catch (error) {
+    console.error('Get portfolio analytics error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
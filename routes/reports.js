@@ -0,0 +1,235 @@
+import express from 'express';
+import { storage } from '../lib/storage/index.js';
+import { requireAuth, requireAdmin } from '../lib/auth.js';
+import { recordAudit } from '../lib/audit.js';
+import { validate } from '../lib/validation.js';
+import {
+  REPORT_TARGETS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  ACTIVE_STATUSES,
+  MODERATION_ACTIONS,
+  reportLimiter,
+  targetKey,
+  reportableTarget,
+  activeReports,
+  fileReport,
+  moderationQueue,
+  startReview,
+  resolveReports
+} from '../lib/reports.js';
+
+const router = express.Router();
+
+const NEW_REPORT_SCHEMA = {
+  targetType: { type: 'enum', values: REPORT_TARGETS, required: true, label: 'Report target' },
+  targetId: { type: 'string', required: true, max: 64, label: 'Target' },
+  reason: { type: 'enum', values: REPORT_REASONS, required: true },
+  details: { type: 'string', max: 1000, multiline: true }
+};
+
+const QUEUE_QUERY = {
+  status: { type: 'list', values: REPORT_STATUSES, default: ACTIVE_STATUSES },
+  targetType: { type: 'enum', values: REPORT_TARGETS, label: 'Report target' },
+  limit: { type: 'integer', min: 1, max: 200, default: 50 }
+};
+
+const RESOLVE_SCHEMA = {
+  action: { type: 'enum', values: MODERATION_ACTIONS, required: true },
+  note: { type: 'string', max: 1000, multiline: true }
+};
+
+// Reporter's own view: the outcome, not who handled it or how
+function toReporterView(report) {
+  return {
+    id: report.id,
+    targetType: report.targetType,
+    targetId: report.targetId,
+    projectId: report.projectId,
+    reason: report.reason,
+    status: report.status,
+    createdAt: report.createdAt,
+    resolvedAt: report.resolution ? report.resolution.at : null
+  };
+}
+
+async function findReportOr404(req, res) {
+  const report = await storage.reports.get(req.params.id);
+  if (!report) {
+    res.status(404).json({
+      success: false,
+      code: 'REPORT_NOT_FOUND'
+    });
+    return null;
+  }
+  return report;
+}
+
+// Report a project, comment or user (targetId is the username for users)
+router.post('/reports', requireAuth, validate({ body: NEW_REPORT_SCHEMA }), async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    const reporter = req.user.username;
+
+    const wait = reportLimiter.retryAfter(reporter);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({
+        success: false,
+        code: 'REPORT_RATE_LIMITED'
+      });
+    }
+
+    const target = await reportableTarget(targetType, targetId, req.user);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        code: 'REPORT_TARGET_NOT_FOUND'
+      });
+    }
+
+    if (target.subject === reporter) {
+      return res.status(400).json({
+        success: false,
+        code: 'REPORT_OWN_CONTENT'
+      });
+    }
+
+    // Aynı kişi, karar verilene kadar aynı içeriği bir kez şikâyet edebilir
+    const pending = await activeReports(targetKey(targetType, targetId));
+    if (pending.some(r => r.reporter === reporter)) {
+      return res.status(409).json({
+        success: false,
+        code: 'REPORT_DUPLICATE'
+      });
+    }
+
+    reportLimiter.hit(reporter);
+    const { report } = await fileReport({ reporter, targetType, targetId, reason, details, target });
+
+    return res.status(201).json({
+      success: true,
+      code: 'REPORT_SUBMITTED',
+      report: toReporterView(report)
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Reports I have filed, newest first
+router.get('/reports/mine', requireAuth, async (req, res) => {
+  try {
+    const reports = (await storage.reports.find({ reporter: req.user.username }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return res.json({
+      success: true,
+      reports: reports.map(toReporterView)
+    });
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Moderation queue, one entry per reported item (?status=open,reviewing&targetType=&limit=)
+router.get('/admin/reports', requireAuth, requireAdmin, validate({ query: QUEUE_QUERY }), async (req, res) => {
+  try {
+    const { items, total } = await moderationQueue(req.query);
+
+    return res.json({
+      success: true,
+      items,
+      total
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Claim the reports about an item so other moderators see it is being handled
+router.post('/admin/reports/:id/review', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const report = await findReportOr404(req, res);
+    if (!report) return;
+
+    const claimed = await startReview(report, req.user.username);
+    if (claimed === 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'REPORTS_ALREADY_RESOLVED'
+      });
+    }
+
+    return res.json({
+      success: true,
+      code: 'REPORTS_IN_REVIEW',
+      reviewing: claimed
+    });
+  } catch (error) {
+    console.error('Review report error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Resolve every open report about the item: dismiss, hide the content, warn or suspend its author
+router.post('/admin/reports/:id/resolve', requireAuth, requireAdmin, validate({ body: RESOLVE_SCHEMA }), async (req, res) => {
+  try {
+    const report = await findReportOr404(req, res);
+    if (!report) return;
+
+    const { action, note } = req.body;
+    const result = await resolveReports(report, { action, note, moderator: req.user.username });
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code
+      });
+    }
+
+    await recordAudit('report.resolved', {
+      req,
+      actor: req.user.username,
+      target: report.subject,
+      details: { targetType: report.targetType, targetId: report.targetId, action, reports: result.resolved }
+    });
+    if (action === 'suspend') {
+      await recordAudit('user.suspended', {
+        req,
+        actor: req.user.username,
+        target: report.subject,
+        details: { reason: note || `Reported for ${report.reason}.`, reportId: report.id }
+      });
+    }
+
+    return res.json({
+      success: true,
+      code: action === 'dismiss' ? 'REPORTS_DISMISSED' : 'REPORTS_ACTIONED',
+      status: result.status,
+      resolved: result.resolved
+    });
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
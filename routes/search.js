@@ -0,0 +1,38 @@
+import express from 'express';
+import { search } from '../lib/search.js';
+import { PROJECT_CATEGORIES, PROJECT_STATUSES } from '../lib/projects.js';
+import { validate } from '../lib/validation.js';
+
+const router = express.Router();
+
+const SEARCH_QUERY = {
+  q: { type: 'string', required: true, max: 200, label: 'Search query' },
+  type: { type: 'enum', values: ['project', 'user'] },
+  category: { type: 'enum', values: PROJECT_CATEGORIES },
+  status: { type: 'enum', values: PROJECT_STATUSES },
+  userType: { type: 'enum', values: ['entrepreneur', 'investor'], label: 'User type' },
+  limit: { type: 'integer', min: 1, max: 50, default: 20 },
+  offset: { type: 'integer', min: 0, default: 0 }
+};
+
+// Full-text search over projects and users (the last word also matches as a prefix)
+router.get('/search', validate({ query: SEARCH_QUERY }), async (req, res) => {
+  try {
+    const { q, type, category, status, userType, limit, offset } = req.query;
+    const result = await search(q, { filters: { type, category, status, userType }, limit, offset });
+
+    return res.json({
+      success: true,
+      query: q,
+      ...result
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
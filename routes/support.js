@@ -0,0 +1,456 @@
+import express from 'express';
+import { storage, DuplicateKeyError } from '../lib/storage/index.js';
+import { requireAuth, optionalAuth, requireAdmin, isAdmin } from '../lib/auth.js';
+import { validate, sendValidationErrors } from '../lib/validation.js';
+import { localeOf } from '../lib/i18n.js';
+import {
+  HELP_CATEGORIES,
+  findArticles,
+  getArticle,
+  createArticle,
+  updateArticle,
+  deleteArticle
+} from '../lib/help.js';
+import {
+  TICKET_CATEGORIES,
+  TICKET_STATUSES,
+  ACTIVE_TICKET_STATUSES,
+  ticketLimiter,
+  createTicket,
+  addReply,
+  updateTicket,
+  supportQueue
+} from '../lib/support.js';
+
+const router = express.Router();
+
+const SLUG_RULE = {
+  type: 'string',
+  max: 80,
+  pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  patternMessage: 'Slug may contain lowercase letters, numbers and single hyphens.'
+};
+
+const ARTICLES_QUERY = {
+  q: { type: 'string', max: 200, label: 'Search' },
+  category: { type: 'enum', values: HELP_CATEGORIES }
+};
+
+const NEW_ARTICLE_SCHEMA = {
+  title: { type: 'string', required: true, max: 200 },
+  body: { type: 'string', required: true, max: 10000, multiline: true },
+  category: { type: 'enum', values: HELP_CATEGORIES, required: true },
+  tags: { type: 'list', max: 10 },
+  slug: SLUG_RULE,
+  order: { type: 'integer', min: 0 }
+};
+
+const ARTICLE_CHANGES_SCHEMA = {
+  title: { type: 'string', max: 200, notEmpty: true },
+  body: { type: 'string', max: 10000, multiline: true, notEmpty: true },
+  category: { type: 'enum', values: HELP_CATEGORIES },
+  tags: { type: 'list', max: 10 },
+  slug: { ...SLUG_RULE, notEmpty: true },
+  order: { type: 'integer', min: 0 }
+};
+
+const NEW_TICKET_SCHEMA = {
+  name: { type: 'string', max: 100 },
+  email: { type: 'email', max: 254 },
+  category: { type: 'enum', values: TICKET_CATEGORIES, default: 'other' },
+  subject: { type: 'string', required: true, max: 150 },
+  message: { type: 'string', required: true, max: 5000, multiline: true }
+};
+
+const REPLY_SCHEMA = {
+  message: { type: 'string', required: true, max: 5000, multiline: true }
+};
+
+const SUPPORT_REPLY_SCHEMA = {
+  ...REPLY_SCHEMA,
+  status: { type: 'enum', values: TICKET_STATUSES, default: 'pending' }
+};
+
+const TICKET_CHANGES_SCHEMA = {
+  status: { type: 'enum', values: TICKET_STATUSES },
+  assignee: { type: 'string', max: 30, nullable: true }
+};
+
+const QUEUE_QUERY = {
+  status: { type: 'list', values: TICKET_STATUSES, default: ACTIVE_TICKET_STATUSES },
+  category: { type: 'enum', values: TICKET_CATEGORIES },
+  assignee: { type: 'string', max: 30 },
+  limit: { type: 'integer', min: 1, max: 200, default: 50 }
+};
+
+function toPublicArticle(article) {
+  const { id, slug, category, title, body, tags, updatedAt } = article;
+  return { id, slug, category, title, body, tags, updatedAt };
+}
+
+// Requester's view: replies come from "IDEAI Support", not a named admin
+function toRequesterView(ticket, { withMessages = true } = {}) {
+  const last = ticket.messages[ticket.messages.length - 1];
+  return {
+    id: ticket.id,
+    category: ticket.category,
+    subject: ticket.subject,
+    status: ticket.status,
+    messageCount: ticket.messages.length,
+    lastReplyFromSupport: last.fromSupport,
+    createdAt: ticket.createdAt,
+    updatedAt: ticket.updatedAt,
+    ...(withMessages && {
+      messages: ticket.messages.map(m => ({
+        id: m.id,
+        fromSupport: m.fromSupport,
+        author: m.fromSupport ? null : m.author,
+        body: m.body,
+        createdAt: m.createdAt
+      }))
+    })
+  };
+}
+
+async function findArticleOr404(req, res) {
+  const article = await getArticle(req.params.id);
+  if (!article) {
+    res.status(404).json({
+      success: false,
+      code: 'ARTICLE_NOT_FOUND'
+    });
+    return null;
+  }
+  return article;
+}
+
+async function findTicketOr404(req, res) {
+  const ticket = await storage.tickets.get(req.params.id);
+  if (!ticket) {
+    res.status(404).json({
+      success: false,
+      code: 'TICKET_NOT_FOUND'
+    });
+    return null;
+  }
+  return ticket;
+}
+
+function slugTaken(res) {
+  return res.status(409).json({
+    success: false,
+    code: 'ARTICLE_SLUG_TAKEN'
+  });
+}
+
+// Help center articles (?q=<search>&category=); without q every article in category order
+router.get('/help/articles', validate({ query: ARTICLES_QUERY }), async (req, res) => {
+  try {
+    const results = await findArticles(req.query);
+
+    return res.json({
+      success: true,
+      categories: HELP_CATEGORIES,
+      total: results.length,
+      articles: results.map(({ article, score, highlights }) => ({
+        ...toPublicArticle(article),
+        score,
+        highlights
+      }))
+    });
+  } catch (error) {
+    console.error('Get help articles error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// A single article by id or slug
+router.get('/help/articles/:id', async (req, res) => {
+  try {
+    const article = await findArticleOr404(req, res);
+    if (!article) return;
+
+    return res.json({
+      success: true,
+      article: toPublicArticle(article)
+    });
+  } catch (error) {
+    console.error('Get help article error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.post('/admin/help/articles', requireAuth, requireAdmin, validate({ body: NEW_ARTICLE_SCHEMA }), async (req, res) => {
+  try {
+    const article = await createArticle(req.body);
+
+    return res.status(201).json({
+      success: true,
+      code: 'ARTICLE_PUBLISHED',
+      article: toPublicArticle(article)
+    });
+  } catch (error) {
+    if (error instanceof DuplicateKeyError) return slugTaken(res);
+    console.error('Create help article error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.put('/admin/help/articles/:id', requireAuth, requireAdmin, validate({ body: ARTICLE_CHANGES_SCHEMA }), async (req, res) => {
+  try {
+    const article = await findArticleOr404(req, res);
+    if (!article) return;
+
+    const updated = await updateArticle(article, req.body);
+
+    return res.json({
+      success: true,
+      code: 'ARTICLE_UPDATED',
+      article: toPublicArticle(updated)
+    });
+  } catch (error) {
+    if (error instanceof DuplicateKeyError) return slugTaken(res);
+    console.error('Update help article error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+router.delete('/admin/help/articles/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const article = await findArticleOr404(req, res);
+    if (!article) return;
+
+    await deleteArticle(article);
+
+    return res.json({
+      success: true,
+      code: 'ARTICLE_DELETED'
+    });
+  } catch (error) {
+    console.error('Delete help article error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Open a support ticket. Guests must leave a name and an email address for the reply.
+router.post('/support/tickets', optionalAuth, validate({ body: NEW_TICKET_SCHEMA }), async (req, res) => {
+  try {
+    const { name, email, category, subject, message } = req.body;
+
+    if (!req.user) {
+      const errors = [];
+      if (!name) errors.push({ field: 'name', code: 'VALIDATION_REQUIRED', params: { label: 'Name' } });
+      if (!email) errors.push({ field: 'email', code: 'VALIDATION_REQUIRED', params: { label: 'Email' } });
+      if (errors.length > 0) return sendValidationErrors(res, errors);
+    }
+
+    const limiterKey = req.user ? `user:${req.user.username}` : `ip:${req.ip}`;
+    const wait = ticketLimiter.retryAfter(limiterKey);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({
+        success: false,
+        code: 'SUPPORT_RATE_LIMITED'
+      });
+    }
+
+    ticketLimiter.hit(limiterKey);
+    const ticket = await createTicket({ user: req.user, name, email, category, subject, body: message, language: localeOf(req) });
+
+    return res.status(201).json({
+      success: true,
+      code: req.user ? 'TICKET_CREATED' : 'TICKET_CREATED_GUEST',
+      ...(req.user ? {} : { params: { email: ticket.email } }),
+      ticket: req.user ? toRequesterView(ticket) : { id: ticket.id, status: ticket.status }
+    });
+  } catch (error) {
+    console.error('Create ticket error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// My tickets, most recently updated first
+router.get('/support/tickets', requireAuth, async (req, res) => {
+  try {
+    const tickets = (await storage.tickets.find({ requester: req.user.username }))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    return res.json({
+      success: true,
+      tickets: tickets.map(ticket => toRequesterView(ticket, { withMessages: false }))
+    });
+  } catch (error) {
+    console.error('Get my tickets error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// One of my tickets with the whole conversation; admins see every ticket
+router.get('/support/tickets/:id', requireAuth, async (req, res) => {
+  try {
+    const ticket = await findTicketOr404(req, res);
+    if (!ticket) return;
+
+    if (ticket.requester !== req.user.username && !isAdmin(req.user)) {
+      return res.status(404).json({
+        success: false,
+        code: 'TICKET_NOT_FOUND'
+      });
+    }
+
+    return res.json({
+      success: true,
+      ticket: isAdmin(req.user) ? ticket : toRequesterView(ticket)
+    });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Requester's follow-up; reopens the ticket for the support team
+router.post('/support/tickets/:id/replies', requireAuth, validate({ body: REPLY_SCHEMA }), async (req, res) => {
+  try {
+    const ticket = await findTicketOr404(req, res);
+    if (!ticket) return;
+
+    if (ticket.requester !== req.user.username) {
+      return res.status(404).json({
+        success: false,
+        code: 'TICKET_NOT_FOUND'
+      });
+    }
+
+    const result = await addReply(ticket, { author: req.user.username, fromSupport: false, body: req.body.message });
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      code: 'REPLY_SENT',
+      ticket: toRequesterView(result.ticket)
+    });
+  } catch (error) {
+    console.error('Reply to ticket error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Support queue (?status=open,pending&category=&assignee=<username>|none&limit=), longest waiting first
+router.get('/admin/tickets', requireAuth, requireAdmin, validate({ query: QUEUE_QUERY }), async (req, res) => {
+  try {
+    const { tickets, total, counts } = await supportQueue(req.query);
+
+    return res.json({
+      success: true,
+      tickets,
+      total,
+      counts
+    });
+  } catch (error) {
+    console.error('Get support queue error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Change status and/or assignee (null or "" unassigns); only administrators can be assigned
+router.patch('/admin/tickets/:id', requireAuth, requireAdmin, validate({ body: TICKET_CHANGES_SCHEMA }), async (req, res) => {
+  try {
+    const ticket = await findTicketOr404(req, res);
+    if (!ticket) return;
+
+    const { status } = req.body;
+    let { assignee } = req.body;
+    if (assignee === '') assignee = null;
+
+    if (status === undefined && assignee === undefined) {
+      return sendValidationErrors(res, [{ field: 'body', code: 'NOTHING_TO_UPDATE' }]);
+    }
+
+    if (assignee) {
+      const user = await storage.users.findOne({ username: assignee });
+      if (!user || !isAdmin(user)) {
+        return sendValidationErrors(res, [{ field: 'assignee', code: 'TICKET_ASSIGNEE_NOT_ADMIN' }]);
+      }
+    }
+
+    const updated = await updateTicket(ticket, { status, assignee }, req.user.username);
+
+    return res.json({
+      success: true,
+      code: 'TICKET_UPDATED',
+      ticket: updated
+    });
+  } catch (error) {
+    console.error('Update ticket error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Reply as the support team; the ticket waits for the requester unless another status is given
+router.post('/admin/tickets/:id/replies', requireAuth, requireAdmin, validate({ body: SUPPORT_REPLY_SCHEMA }), async (req, res) => {
+  try {
+    const ticket = await findTicketOr404(req, res);
+    if (!ticket) return;
+
+    const { message, status } = req.body;
+    const result = await addReply(ticket, { author: req.user.username, fromSupport: true, body: message, status });
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      code: 'REPLY_SENT',
+      ticket: result.ticket
+    });
+  } catch (error) {
+    console.error('Support reply error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,178 @@
+import express from 'express';
+import { storage } from '../lib/storage/index.js';
+import { requireAuth } from '../lib/auth.js';
+import {
+  MAX_IMAGES_PER_PROJECT,
+  UploadError,
+  parseImages,
+  checkProjectImage,
+  saveProjectImage,
+  removeProjectImageFiles,
+  removeProjectUploads
+} from '../lib/uploads.js';
+
+const router = express.Router();
+
+async function findOwnProjectOr404(req, res) {
+  const project = await storage.projects.get(req.params.id);
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      code: 'PROJECT_NOT_FOUND'
+    });
+    return null;
+  }
+  if (project.creator !== req.user.username) {
+    res.status(403).json({
+      success: false,
+      code: 'IMAGES_FORBIDDEN'
+    });
+    return null;
+  }
+  return project;
+}
+
+// Yarıda kalan yüklemede yazılmış ama projeye eklenmemiş dosyalar silinir.
+// Aynı içerik projede zaten varsa dosyası ona aittir, dokunulmaz.
+async function removeUnusedImageFiles(projectId, images) {
+  if (images.length === 0) return;
+  try {
+    const project = await storage.projects.get(projectId);
+    const used = new Set(((project && project.images) || []).map(image => image.id));
+    for (const image of images) {
+      if (!used.has(image.id)) await removeProjectImageFiles(projectId, image);
+    }
+  } catch (error) {
+    console.error('Remove unused project images error:', error);
+  }
+}
+
+// Yetki, dosyalar belleğe alınmadan önce kontrol edilir
+async function loadOwnProject(req, res, next) {
+  try {
+    req.project = await findOwnProjectOr404(req, res);
+    if (req.project) next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Upload images to a project (multipart/form-data, field "images")
+router.post('/projects/:id/images', requireAuth, loadOwnProject, parseImages('images'), async (req, res) => {
+  const project = req.project;
+  const saved = [];
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'IMAGE_REQUIRED'
+      });
+    }
+
+    // Hepsi doğrulanmadan hiçbiri yazılmaz
+    for (const file of files) {
+      await checkProjectImage(file);
+    }
+    for (const file of files) {
+      saved.push(await saveProjectImage(project.id, file));
+    }
+
+    let tooMany = false;
+    let added = [];
+    const updated = await storage.projects.update(project.id, p => {
+      const images = p.images || [];
+      // Aynı içerik iki kez eklenmez
+      added = saved.filter((image, i) =>
+        !images.some(existing => existing.id === image.id) &&
+        saved.findIndex(other => other.id === image.id) === i
+      );
+      if (images.length + added.length > MAX_IMAGES_PER_PROJECT) {
+        tooMany = true;
+        return p;
+      }
+      p.images = [...images, ...added];
+      return p;
+    });
+
+    // Proje bu arada silindiyse yazılan dosyalar da kaldırılır
+    if (!updated) {
+      await removeProjectUploads(project.id);
+      return res.status(404).json({
+        success: false,
+        code: 'PROJECT_NOT_FOUND'
+      });
+    }
+
+    if (tooMany) {
+      // Kayda eklenmeyen dosyalar diskte bırakılmaz
+      for (const image of added) {
+        await removeProjectImageFiles(project.id, image);
+      }
+      return res.status(400).json({
+        success: false,
+        code: 'TOO_MANY_IMAGES',
+        params: { max: MAX_IMAGES_PER_PROJECT }
+      });
+    }
+
+    return res.status(added.length ? 201 : 200).json({
+      success: true,
+      code: added.length ? 'IMAGES_UPLOADED' : 'IMAGES_ALREADY_ADDED',
+      images: updated.images
+    });
+  } catch (error) {
+    await removeUnusedImageFiles(project.id, saved);
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        params: error.params
+      });
+    }
+    console.error('Upload project images error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Remove an image from a project
+router.delete('/projects/:id/images/:imageId', requireAuth, async (req, res) => {
+  try {
+    const project = await findOwnProjectOr404(req, res);
+    if (!project) return;
+
+    let removed = null;
+    const updated = await storage.projects.update(project.id, p => {
+      const images = p.images || [];
+      removed = images.find(image => image.id === req.params.imageId) || null;
+      p.images = images.filter(image => image.id !== req.params.imageId);
+      return p;
+    });
+
+    if (!updated || !removed) {
+      return res.status(404).json({
+        success: false,
+        code: 'IMAGE_NOT_FOUND'
+      });
+    }
+
+    await removeProjectImageFiles(project.id, removed);
+
+    return res.json({
+      success: true,
+      code: 'IMAGE_REMOVED',
+      images: updated.images
+    });
+  } catch (error) {
+    console.error('Remove project image error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
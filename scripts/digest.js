@@ -0,0 +1,30 @@
+// Bildirim e-posta özetlerini bir kez çalıştırır (sunucu bunu saatlik kendisi de yapar).
+//
+//   npm run digest             özeti gelmiş kullanıcılara gönderir
+//   npm run digest -- --force  süreyi beklemeden herkese bekleyen bildirimleri gönderir
+//
+// Taşıyıcı MAIL_TRANSPORT ile seçilir (console | smtp), bkz. lib/mail.js.
+// Önce sunucuyu durdurun; sunucu aynı veri klasörünü kullanıyorsa betik çalışmaz.
+import { storage, ensureServerStopped } from '../lib/storage/index.js';
+import { runDigest } from '../lib/digest.js';
+import { getTransport } from '../lib/mail.js';
+
+async function main() {
+  const force = process.argv.includes('--force');
+  try {
+    if (!ensureServerStopped()) return;
+
+    const result = await runDigest({ force });
+    console.log(`📬 Digest: ${result.emails} emails with ${result.notifications} notifications sent (${result.users} users due, ${result.failed} failed).`);
+    if (result.failed > 0) process.exitCode = 1;
+  } finally {
+    const transport = getTransport();
+    if (transport.close) transport.close();
+    if (storage.close) storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Digest error:', error);
+  process.exit(1);
+});
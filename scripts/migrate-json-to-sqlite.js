@@ -0,0 +1,89 @@
+// JSON dosyalarındaki kayıtları SQLite veritabanına tek seferde aktarır.
+//
+//   npm run migrate:sqlite
+//
+// DATA_DIR ve SQLITE_FILE sunucu ile aynı şekilde okunur. Zaten var olan
+// kayıtlar (aynı id) atlanır, bu yüzden komut tekrar çalıştırılabilir.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { COLLECTIONS } from '../lib/storage/schema.js';
+import { openSqliteStore } from '../lib/storage/sqlite-store.js';
+import { DuplicateKeyError } from '../lib/storage/errors.js';
+
+const dataDir = process.env.DATA_DIR || '.';
+const sqliteFile = process.env.SQLITE_FILE || path.join(dataDir, 'ideai.sqlite');
+
+async function readJsonArray(file) {
+  let data;
+  try {
+    data = await fs.readFile(file, 'utf-8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+
+  if (!data.trim()) return [];
+
+  const records = JSON.parse(data);
+  if (!Array.isArray(records)) {
+    throw new Error(`${file} does not contain a JSON array`);
+  }
+  return records;
+}
+
+async function migrate() {
+  const store = await openSqliteStore(COLLECTIONS, { sqliteFile });
+  let failed = false;
+
+  try {
+    for (const [name, schema] of Object.entries(COLLECTIONS)) {
+      const file = path.join(dataDir, schema.file);
+      let records;
+
+      try {
+        records = await readJsonArray(file);
+      } catch (e) {
+        console.error(`❌ ${file}: ${e.message}, skipped.`);
+        failed = true;
+        continue;
+      }
+
+      if (records === null) {
+        console.log(`- ${name}: ${file} not found, skipped.`);
+        continue;
+      }
+
+      let imported = 0;
+      let skipped = 0;
+      for (const record of records) {
+        if (!record || record.id === undefined || record.id === null) {
+          skipped++;
+          continue;
+        }
+        try {
+          await store[name].insert({ ...record, id: String(record.id) });
+          imported++;
+        } catch (e) {
+          if (!(e instanceof DuplicateKeyError)) throw e;
+          // Aynı id zaten aktarılmış; diğer çakışmaları raporla
+          if (e.field !== 'id') console.warn(`  ${name} ${record.id}: duplicate ${e.field}, skipped.`);
+          skipped++;
+        }
+      }
+
+      console.log(`✓ ${name}: ${imported} imported, ${skipped} skipped.`);
+    }
+  } finally {
+    store.close();
+  }
+
+  console.log(`📦 SQLite database: ${sqliteFile}`);
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+migrate().catch(error => {
+  console.error('Migration error:', error);
+  process.exit(1);
+});
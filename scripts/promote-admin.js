@@ -0,0 +1,57 @@
+// İlk yöneticiyi atar. Sonraki yöneticiler yönetim panelinden (PUT /api/admin/users/:username/role) atanır.
+//
+//   npm run admin:promote -- <kullanıcı adı>
+//
+// Depo ayarları (STORAGE_BACKEND, DATA_DIR, SQLITE_FILE) sunucu ile aynıdır.
+// Önce sunucuyu durdurun; sunucu aynı veri klasörünü kullanıyorsa betik çalışmaz.
+import { storage, ensureServerStopped } from '../lib/storage/index.js';
+import { recordAudit } from '../lib/audit.js';
+import { roleOf, setUserRole } from '../lib/admin.js';
+
+async function main() {
+  const username = process.argv[2];
+  if (!username) {
+    console.error('Usage: npm run admin:promote -- <username>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (!ensureServerStopped()) return;
+
+    const user = await storage.users.findOne({ username });
+    if (!user) {
+      console.error(`User "${username}" not found.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const admins = await storage.users.find(u => roleOf(u) === 'admin');
+    if (admins.length > 0) {
+      const names = admins.map(u => u.username).join(', ');
+      console.error(`An administrator already exists (${names}). Use the admin console to add more.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (user.suspended) {
+      console.error(`User "${username}" is suspended.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await setUserRole(user, 'admin');
+    await recordAudit('user.role-changed', {
+      target: username,
+      details: { from: roleOf(user), to: 'admin', via: 'cli' }
+    });
+    console.log(`👑 ${username} is now an administrator.`);
+  } finally {
+    if (storage.close) storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Promote admin error:', error);
+  process.exit(1);
+});
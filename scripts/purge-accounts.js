@@ -0,0 +1,25 @@
+// Bekleme süresi dolmuş hesap silme isteklerini bir kez uygular (sunucu bunu saatlik kendisi de yapar).
+//
+//   npm run accounts:purge
+//
+// Bekleme süresi ACCOUNT_DELETION_GRACE_DAYS ile ayarlanır, bkz. lib/privacy.js.
+// Önce sunucuyu durdurun; sunucu aynı veri klasörünü kullanıyorsa betik çalışmaz.
+import { storage, ensureServerStopped } from '../lib/storage/index.js';
+import { runAccountDeletions } from '../lib/privacy.js';
+
+async function main() {
+  try {
+    if (!ensureServerStopped()) return;
+
+    const result = await runAccountDeletions();
+    console.log(`🗑️  Accounts: ${result.deleted} deleted, ${result.failed} failed.`);
+    if (result.failed > 0) process.exitCode = 1;
+  } finally {
+    if (storage.close) storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Account deletion error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// Demo verisini (fixtures/demo.json) depoya yükler ya da siler.
+//
+//   npm run seed            eksik demo kayıtlarını ekler
+//   npm run seed:reset      demo kayıtlarını silip yeniden yükler
+//   npm run seed:clear      demo kayıtlarını siler
+//
+// Depo ayarları (STORAGE_BACKEND, DATA_DIR, SQLITE_FILE) sunucu ile aynıdır.
+// Önce sunucuyu durdurun; sunucu aynı veri klasörünü kullanıyorsa betik çalışmaz.
+import { storage, ensureServerStopped } from '../lib/storage/index.js';
+import { seedDemoData, clearDemoData } from '../lib/seed.js';
+
+const COMMANDS = ['seed', 'reset', 'clear'];
+
+async function main() {
+  const command = process.argv[2] || 'seed';
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}". Use one of: ${COMMANDS.join(', ')}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (!ensureServerStopped()) return;
+
+    if (command === 'clear' || command === 'reset') {
+      const removed = await clearDemoData(storage);
+      console.log(`🧹 Removed ${removed.projects} demo projects and ${removed.users} demo users.`);
+    }
+    if (command === 'seed' || command === 'reset') {
+      const added = await seedDemoData(storage);
+      console.log(`🌱 Added ${added.projects} demo projects and ${added.users} demo users (${added.skipped} already present).`);
+    }
+  } finally {
+    if (storage.close) storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Seed error:', error);
+  process.exit(1);
+});
@@ -2,607 +2,960 @@ import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import bcrypt from 'bcryptjs';
-import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createSession, revokeSession, revokeUserSessions } from './lib/sessions.js';
+import { requireAuth, optionalAuth, requireAdmin } from './lib/auth.js';
+import { storage, createId, DuplicateKeyError, COLLECTIONS, holdDataDir } from './lib/storage/index.js';
+import commentsRouter from './routes/comments.js';
+import offersRouter from './routes/offers.js';
+import matchingRouter from './routes/matching.js';
+import searchRouter from './routes/search.js';
+import likesRouter from './routes/likes.js';
+import uploadsRouter from './routes/uploads.js';
+import messagesRouter from './routes/messages.js';
+import notificationsRouter from './routes/notifications.js';
+import accountRouter from './routes/account.js';
+import adminRouter from './routes/admin.js';
+import ideasRouter from './routes/ideas.js';
+import analyticsRouter from './routes/analytics.js';
+import reportsRouter from './routes/reports.js';
+import supportRouter from './routes/support.js';
+import learningRouter from './routes/learning.js';
+import { indexProject, indexUser } from './lib/search.js';
+import {
+  STATUS_TRANSITIONS,
+  NEW_PROJECT_SCHEMA,
+  PROJECT_CHANGES_SCHEMA,
+  PROJECT_LIST_QUERY,
+  PROJECT_SORTS,
+  canTransition,
+  isVisibleTo,
+  projectForViewer,
+  validateProjectChanges,
+  buildProject,
+  matchesProjectFilters,
+  deleteProjectData,
+  diffProject,
+  recordRevision,
+  revisionsSince,
+  summarizeChanges
+} from './lib/projects.js';
+import { withLikeInfo } from './lib/likes.js';
+import { listQuerySchema, paginate, rangeErrors, timeOf, createdWithin, InvalidCursorError } from './lib/listing.js';
+import { isHiddenDemo } from './lib/demo.js';
+import { UPLOAD_DIR, UPLOAD_URL } from './lib/uploads.js';
+import { notify } from './lib/notifications.js';
+import { startDigestScheduler } from './lib/digest.js';
+import { startDeletionScheduler, pendingDeletion } from './lib/privacy.js';
+import { validatePassword, isEmailVerified, sendVerificationEmail } from './lib/account.js';
+import { validate, sendValidationErrors } from './lib/validation.js';
+import { USER_TYPES, PROFILE_SCHEMA, INVESTOR_PROFILE_SCHEMA, validateInvestorProfile, publicProfile } from './lib/profiles.js';
+import { recordAudit } from './lib/audit.js';
+import { USER_ROLES, roleOf } from './lib/admin.js';
+import { recordProjectEvent } from './lib/analytics.js';
+import { loginIpLimiter, loginLockout } from './lib/ratelimit.js';
+import { localizeResponses, localeOf } from './lib/i18n.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const USERS_FILE = './users.json';
-const PROJECTS_FILE = './projects.json';
+
+// Proxy arkasında (ör. Railway) istemci IP'si X-Forwarded-For'dan okunur.
+// TRUST_PROXY sayı (atlanacak proxy sayısı) ya da Express'in kabul ettiği bir değer olabilir.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
 // Middleware
+// Hata kodu taşıyan cevaplara isteğin dilinde mesaj eklenir (bkz. lib/i18n.js)
+app.use(localizeResponses);
 app.use(cors());
 app.use(bodyParser.json());
+
+// Veri dosyaları proje kökünde durduğu için statik olarak servis edilmemeli
+const STORAGE_FILES = new Set(Object.values(COLLECTIONS).map(c => c.file));
+app.use((req, res, next) => {
+  const file = path.basename(req.path);
+  if (STORAGE_FILES.has(file) || /\.(sqlite|sqlite-wal|sqlite-shm|tmp)$|\.corrupt-\d+$/.test(file)) {
+    return res.status(404).json({ 
+      success: false, 
+      code: 'ROUTE_NOT_FOUND' 
+    });
+  }
+  next();
+});
+
+// Yüklenen görseller içerik özetiyle adlandırıldığı için değişmez; uzun süre önbelleklenebilir
+app.use(UPLOAD_URL, express.static(UPLOAD_DIR, { immutable: true, maxAge: '30d', index: false }));
+
 app.use(express.static(path.join(__dirname, '.')));
 
-// Validation helper
-function validateEmail(email) {
-  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return re.test(email);
-}
+// Request schemas (see lib/validation.js)
+const NAME_RULE = { type: 'string', required: true, max: 50 };
 
-function validatePassword(password) {
-  return password.length >= 6;
-}
+const SIGNUP_SCHEMA = {
+  firstname: { ...NAME_RULE, label: 'First name' },
+  lastname: { ...NAME_RULE, label: 'Last name' },
+  username: {
+    type: 'string',
+    required: true,
+    min: 3,
+    max: 30,
+    pattern: /^[a-zA-Z0-9_.-]+$/,
+    patternMessage: 'Username may only contain letters, numbers, dots, dashes and underscores.'
+  },
+  email: { type: 'email', required: true, max: 254 },
+  password: { type: 'string', required: true, raw: true, max: 200 },
+  userType: { type: 'enum', values: USER_TYPES, required: true, label: 'User type' }
+};
 
-// Kullanıcıları dosyadan oku
-async function readUsers() {
-  try {
-    const data = await fs.readFile(USERS_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch (e) {
-    return [];
-  }
-}
+const LOGIN_SCHEMA = {
+  usernameOrEmail: { type: 'string', required: true, max: 254, label: 'Username or email' },
+  password: { type: 'string', required: true, raw: true, max: 200 }
+};
 
-// Kullanıcıları dosyaya yaz
-async function writeUsers(users) {
-  await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
-}
+// Gönderilen kısımlar güncellenir; investorProfile sadece yatırımcılar içindir
+const PROFILE_UPDATE_SCHEMA = {
+  firstname: { type: 'string', notEmpty: true, max: 50, label: 'First name' },
+  lastname: { type: 'string', notEmpty: true, max: 50, label: 'Last name' },
+  profile: { type: 'object', fields: PROFILE_SCHEMA },
+  investorProfile: { type: 'object', fields: INVESTOR_PROFILE_SCHEMA, label: 'Investor profile' }
+};
 
-// Projeleri dosyadan oku
-async function readProjects() {
-  try {
-    const data = await fs.readFile(PROJECTS_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch (e) {
-    return [];
-  }
-}
+const USER_SORTS = {
+  newest: u => [timeOf(u.createdAt)],
+  score: u => [u.score || 0, timeOf(u.createdAt)]
+};
 
-// Projeleri dosyaya yaz
-async function writeProjects(projects) {
-  await fs.writeFile(PROJECTS_FILE, JSON.stringify(projects, null, 2));
-}
+const USER_LIST_QUERY = listQuerySchema(USER_SORTS, {
+  userType: { type: 'list', values: USER_TYPES, label: 'User type' },
+  role: { type: 'list', values: USER_ROLES },
+  suspended: { type: 'boolean' }
+});
+
+const FEATURED_USERS_QUERY = {
+  userType: { type: 'enum', values: USER_TYPES, label: 'User type' },
+  limit: { type: 'integer', min: 1, max: 20, default: 4 }
+};
+
+const REVISIONS_QUERY = {
+  since: { type: 'date' }
+};
+
+const FAVORITE_SCHEMA = {
+  projectId: { type: 'string', required: true, max: 64, label: 'Project ID' }
+};
 
 // API Routes
 
 // Signup endpoint
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', validate({ body: SIGNUP_SCHEMA }), async (req, res) => {
   try {
     const { firstname, lastname, username, email, password, userType } = req.body;
     
-    // Validation
-    if (!firstname || !lastname || !username || !email || !password || !userType) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'All fields are required.' 
-      });
-    }
-
-    if (!validateEmail(email)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please enter a valid email address.' 
-      });
-    }
-
-    if (!validatePassword(password)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Password must be at least 6 characters long.' 
-      });
-    }
-
-    if (userType !== 'entrepreneur' && userType !== 'investor') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User type must be either entrepreneur or investor.' 
-      });
+    const passwordError = validatePassword(password, { username, email });
+    if (passwordError) {
+      return sendValidationErrors(res, [{ field: 'password', ...passwordError }]);
     }
 
-    const users = await readUsers();
-    
-    if (users.find(u => u.username === username)) {
+    if (await storage.users.findOne({ username })) {
       return res.status(409).json({ 
         success: false, 
-        message: 'Username already exists.' 
+        code: 'USERNAME_TAKEN' 
       });
     }
     
-    if (users.find(u => u.email === email)) {
+    if (await storage.users.findOne({ email })) {
       return res.status(409).json({ 
         success: false, 
-        message: 'Email already exists.' 
+        code: 'EMAIL_TAKEN' 
       });
     }
 
     const hashedPassword = await bcrypt.hash(password, 12);
     const newUser = {
-      id: Date.now().toString(),
+      id: createId(),
       firstname,
       lastname,
       username,
       email,
       password: hashedPassword,
       userType,
+      emailVerified: false,
+      emailVerifiedAt: null,
       createdAt: new Date().toISOString(),
       profile: {
         bio: '',
         skills: [],
         interests: [],
         location: '',
-        website: ''
+        website: '',
+        language: localeOf(req)
       }
     };
 
-    users.push(newUser);
-    await writeUsers(users);
+    await storage.users.insert(newUser);
+    indexUser(newUser);
+    
+    // E-posta gönderilemese de hesap açılır; kullanıcı doğrulamayı tekrar isteyebilir
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      console.error(`Verification email to ${newUser.username} failed:`, error.message);
+    }
+    
+    const { token, expiresAt } = await createSession(newUser);
     
     return res.json({ 
       success: true, 
-      message: 'User created successfully!',
+      code: 'SIGNUP_SUCCESS',
+      token,
+      expiresAt,
       user: {
         id: newUser.id,
         username: newUser.username,
         firstname: newUser.firstname,
-        userType: newUser.userType
+        userType: newUser.userType,
+        role: roleOf(newUser),
+        emailVerified: false
       }
     });
   } catch (error) {
+    if (error instanceof DuplicateKeyError) {
+      return res.status(409).json({ 
+        success: false, 
+        code: error.field === 'email' ? 'EMAIL_TAKEN' : 'USERNAME_TAKEN' 
+      });
+    }
     console.error('Signup error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
+// Bilinmeyen hesapta da bcrypt çalışsın diye karşılaştırılan sabit özet;
+// cevap süresinden hesabın var olup olmadığı anlaşılmaz
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('ideai-no-such-account', 12);
+
+function tooManyAttempts(res, seconds) {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ 
+    success: false, 
+    code: 'LOGIN_RATE_LIMITED', 
+    params: { count: Math.ceil(seconds / 60) } 
+  });
+}
+
 // Login endpoint
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', validate({ body: LOGIN_SCHEMA }), async (req, res) => {
   try {
     const { usernameOrEmail, password } = req.body;
-    
-    if (!usernameOrEmail || !password) {
-      return res.status(400).json({ 
+
+    const ipKey = `ip:${req.ip}`;
+    const ipWait = loginIpLimiter.retryAfter(ipKey);
+    if (ipWait > 0) {
+      await recordAudit('login.failed', { req, target: usernameOrEmail, details: { reason: 'ip-rate-limited' } });
+      return tooManyAttempts(res, ipWait);
+    }
+
+    const user = await storage.users.findOne({ username: usernameOrEmail }) ||
+      await storage.users.findOne({ email: usernameOrEmail });
+    const target = user ? user.username : usernameOrEmail;
+
+    // Olmayan hesaplar da aynı şekilde kilitlenir; kilit mesajı hesabın varlığını belli etmez
+    const accountKey = user ? `user:${user.id}` : `name:${usernameOrEmail.toLowerCase()}`;
+    const lockWait = loginLockout.lockedFor(accountKey);
+    if (lockWait > 0) {
+      await recordAudit('login.failed', { req, target, details: { reason: 'account-locked' } });
+      return tooManyAttempts(res, lockWait);
+    }
+
+    // Demo hesaplarının şifresi yoktur
+    if (user && !user.password) {
+      return res.status(401).json({ 
         success: false, 
-        message: 'All fields are required.' 
+        code: 'DEMO_ACCOUNT_LOGIN' 
       });
     }
 
-    const users = await readUsers();
-    const user = users.find(u => 
-      u.username === usernameOrEmail || u.email === usernameOrEmail
-    );
-    
-    if (!user) {
+    const match = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !match) {
+      loginIpLimiter.hit(ipKey);
+      const lockedSeconds = loginLockout.fail(accountKey);
+      await recordAudit('login.failed', { 
+        req, 
+        target, 
+        details: { reason: user ? 'wrong-password' : 'unknown-account' } 
+      });
+      if (lockedSeconds > 0) {
+        await recordAudit('login.locked', { req, target, details: { seconds: lockedSeconds } });
+      }
       return res.status(401).json({ 
         success: false, 
-        message: 'User not found.' 
+        code: 'INVALID_CREDENTIALS' 
       });
     }
 
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) {
-      return res.status(401).json({ 
+    loginLockout.reset(accountKey);
+
+    if (user.suspended) {
+      await recordAudit('login.failed', { req, target, details: { reason: 'suspended' } });
+      return res.status(403).json({ 
         success: false, 
-        message: 'Incorrect password.' 
+        code: 'ACCOUNT_SUSPENDED' 
       });
     }
 
+    const { token, expiresAt } = await createSession(user);
+    await recordAudit('login.succeeded', { req, actor: user.username, target: user.username });
+
     return res.json({ 
       success: true, 
-      message: 'Login successful!',
+      code: 'LOGIN_SUCCESS',
+      token,
+      expiresAt,
       user: {
         id: user.id,
         username: user.username,
         firstname: user.firstname,
         userType: user.userType,
-        profile: user.profile
+        role: roleOf(user),
+        emailVerified: isEmailVerified(user),
+        profile: user.profile,
+        deletionScheduledFor: pendingDeletion(user)
       }
     });
   } catch (error) {
     console.error('Login error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+// Current session
+app.get('/api/session', requireAuth, (req, res) => {
+  const { user } = req;
+  return res.json({ 
+    success: true, 
+    expiresAt: new Date(req.authSession.expiresAt).toISOString(),
+    user: {
+      id: user.id,
+      username: user.username,
+      firstname: user.firstname,
+      userType: user.userType,
+      role: roleOf(user),
+      emailVerified: isEmailVerified(user),
+      profile: user.profile,
+      deletionScheduledFor: pendingDeletion(user)
+    }
+  });
+});
+
+// Logout endpoint (revokes the current session)
+app.post('/api/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.authSession.id);
+    return res.json({ 
+      success: true, 
+      code: 'LOGGED_OUT' 
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+// Logout from every device (revokes all sessions of the user)
+app.post('/api/logout-all', requireAuth, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id);
+    return res.json({ 
+      success: true, 
+      code: 'SESSIONS_REVOKED' 
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
 // Get user profile
-app.get('/api/user/:username', async (req, res) => {
+app.get('/api/user/:username', optionalAuth, async (req, res) => {
   try {
     const { username } = req.params;
-    const users = await readUsers();
-    const user = users.find(u => u.username === username);
+    const user = await storage.users.findOne({ username });
     
-    if (!user) {
+    if (!user || isHiddenDemo(user)) {
       return res.status(404).json({ 
         success: false, 
-        message: 'User not found.' 
+        code: 'USER_NOT_FOUND' 
       });
     }
 
-    const { password, ...userWithoutPassword } = user;
+    // Kayıt sadece sahibine tam döner; diğerleri herkese açık profili görür
+    if (req.user && req.user.id === user.id) {
+      const { password, ...userWithoutPassword } = user;
+      return res.json({ 
+        success: true, 
+        user: userWithoutPassword 
+      });
+    }
+    
     return res.json({ 
       success: true, 
-      user: userWithoutPassword 
+      user: publicProfile(user) 
     });
   } catch (error) {
     console.error('Get user error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
 // Update user profile
-app.put('/api/user/:username', async (req, res) => {
+app.put('/api/user/:username', requireAuth, validate({ body: PROFILE_UPDATE_SCHEMA }), async (req, res) => {
   try {
     const { username } = req.params;
-    const { profile } = req.body;
+    const { firstname, lastname, profile } = req.body;
+    
+    if (req.user.username !== username) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'PROFILE_FORBIDDEN' 
+      });
+    }
+    
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        code: 'NOTHING_TO_UPDATE' 
+      });
+    }
+    
+    let investorProfile;
+    if (req.body.investorProfile) {
+      if (req.user.userType !== 'investor') {
+        return res.status(403).json({ 
+          success: false, 
+          code: 'INVESTOR_PROFILE_FORBIDDEN' 
+        });
+      }
+      const checked = validateInvestorProfile(req.body.investorProfile);
+      if (checked.error) {
+        return sendValidationErrors(res, [checked.error]);
+      }
+      investorProfile = checked.value;
+    }
     
-    const users = await readUsers();
-    const userIndex = users.findIndex(u => u.username === username);
+    const updated = await storage.users.update(req.user.id, user => {
+      if (firstname) user.firstname = firstname;
+      if (lastname) user.lastname = lastname;
+      if (profile) user.profile = { ...user.profile, ...profile };
+      if (investorProfile) user.investorProfile = { ...user.investorProfile, ...investorProfile };
+      return user;
+    });
     
-    if (userIndex === -1) {
+    if (!updated) {
       return res.status(404).json({ 
         success: false, 
-        message: 'User not found.' 
+        code: 'USER_NOT_FOUND' 
       });
     }
-
-    users[userIndex].profile = { ...users[userIndex].profile, ...profile };
-    await writeUsers(users);
+    
+    indexUser(updated);
     
     return res.json({ 
       success: true, 
-      message: 'Profile updated successfully!' 
+      code: 'PROFILE_UPDATED', 
+      user: {
+        firstname: updated.firstname,
+        lastname: updated.lastname,
+        profile: updated.profile,
+        investorProfile: updated.investorProfile || null
+      }
     });
   } catch (error) {
     console.error('Update profile error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
 // Create project (for entrepreneurs)
-app.post('/api/projects', async (req, res) => {
+app.post('/api/projects', requireAuth, validate({ body: NEW_PROJECT_SCHEMA }), async (req, res) => {
   try {
-    const { title, description, category, funding, username, lookingForInvestment, investmentData } = req.body;
-    
-    if (!title || !description || !username) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Title, description and username are required.' 
-      });
+    const validated = validateProjectChanges(req.body, { lookingForInvestment: false, investmentData: null });
+    if (validated.error) {
+      return sendValidationErrors(res, [validated.error]);
     }
 
-    const projects = await readProjects();
-    const newProject = {
-      id: Date.now().toString(),
-      title,
-      description,
-      category: category || 'tech',
-      funding: funding || 0,
-      creator: username,
-      lookingForInvestment: lookingForInvestment || false,
-      investmentData: investmentData || null,
-      status: 'active',
-      createdAt: new Date().toISOString(),
-      investors: [],
-      likes: 0
-    };
+    const newProject = buildProject({ ...req.body, ...validated.changes }, req.user.username);
 
-    projects.push(newProject);
-    await writeProjects(projects);
+    await storage.projects.insert(newProject);
+    indexProject(newProject);
     
     return res.json({ 
       success: true, 
-      message: 'Project created successfully!',
+      code: 'PROJECT_CREATED',
       project: newProject
     });
   } catch (error) {
     console.error('Create project error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
-// Get all projects
-app.get('/api/projects', async (req, res) => {
+// List projects (drafts are only listed for their owner). Query grammar: see lib/listing.js
+app.get('/api/projects', optionalAuth, validate({ query: PROJECT_LIST_QUERY }), async (req, res) => {
   try {
-    const { category, status, creator } = req.query;
-    let projects = await readProjects();
+    const { creator } = req.query;
     
-    if (category) {
-      projects = projects.filter(p => p.category === category);
+    const errors = rangeErrors(req.query, [
+      ['fundingMin', 'fundingMax', 'Minimum funding cannot be larger than maximum funding.']
+    ]);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
     }
     
-    if (status) {
-      projects = projects.filter(p => p.status === status);
-    }
+    const matching = (await storage.projects.find(creator ? { creator } : {}))
+      .filter(project => isVisibleTo(project, req.user))
+      .filter(project => matchesProjectFilters(project, req.query));
+    const { items, total, hasMore, nextCursor } = paginate(matching, PROJECT_SORTS, req.query);
     
-    if (creator) {
-      projects = projects.filter(p => p.creator === creator);
-    }
+    const page = items.map(project => req.user && project.creator === req.user.username
+      ? { ...project, allowedTransitions: STATUS_TRANSITIONS[project.status] || [] }
+      : projectForViewer(project, req.user));
+    const projects = await withLikeInfo(page, req.user);
     
     return res.json({ 
       success: true, 
-      projects: projects.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      projects, 
+      total, 
+      hasMore, 
+      nextCursor 
     });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendValidationErrors(res, [{ field: 'cursor', code: error.code, message: error.message }]);
+    }
     console.error('Get projects error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
-// Get all users (admin only)
-app.get('/api/users', async (req, res) => {
+// List users (admin only). Same query grammar as GET /api/projects
+app.get('/api/users', requireAuth, requireAdmin, validate({ query: USER_LIST_QUERY }), async (req, res) => {
   try {
-    const users = await readUsers();
+    const errors = rangeErrors(req.query);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    const matching = (await storage.users.find())
+      .filter(user => !isHiddenDemo(user))
+      .filter(user => !req.query.userType || !req.query.userType.length || req.query.userType.includes(user.userType))
+      .filter(user => !req.query.role || !req.query.role.length || req.query.role.includes(roleOf(user)))
+      .filter(user => req.query.suspended === undefined || !!user.suspended === req.query.suspended)
+      .filter(user => createdWithin(user, req.query));
+    const { items, total, hasMore, nextCursor } = paginate(matching, USER_SORTS, req.query);
     
     // Remove passwords from response
-    const usersWithoutPasswords = users.map(user => {
+    const users = items.map(user => {
       const { password, ...userWithoutPassword } = user;
-      return userWithoutPassword;
+      return { ...userWithoutPassword, role: roleOf(user) };
     });
     
     return res.json({ 
       success: true, 
-      users: usersWithoutPasswords.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      users, 
+      total, 
+      hasMore, 
+      nextCursor 
     });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendValidationErrors(res, [{ field: 'cursor', code: error.code, message: error.message }]);
+    }
     console.error('Get users error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+// Featured users for the discover page (highest score first)
+app.get('/api/users/featured', validate({ query: FEATURED_USERS_QUERY }), async (req, res) => {
+  try {
+    const { userType, limit } = req.query;
+    
+    const users = (await storage.users.find(userType ? { userType } : {}))
+      .filter(user => !isHiddenDemo(user) && !user.suspended)
+      .sort((a, b) => (b.score || 0) - (a.score || 0) || new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+    
+    return res.json({ 
+      success: true, 
+      users: users.map(user => ({
+        username: user.username,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        userType: user.userType,
+        score: user.score || null,
+        isDemo: !!user.isDemo
+      }))
+    });
+  } catch (error) {
+    console.error('Get featured users error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
 // Get project by ID
-app.get('/api/projects/:id', async (req, res) => {
+app.get('/api/projects/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const projects = await readProjects();
-    const project = projects.find(p => p.id === id);
+    const project = await storage.projects.get(id);
     
-    if (!project) {
+    if (!project || !isVisibleTo(project, req.user)) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Project not found.' 
+        code: 'PROJECT_NOT_FOUND' 
       });
     }
     
+    const [withLikes] = await withLikeInfo([projectForViewer(project, req.user)], req.user);
+    
     return res.json({ 
       success: true, 
-      project 
+      project: withLikes 
     });
   } catch (error) {
     console.error('Get project error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
-// Like project
-app.post('/api/projects/:id/like', async (req, res) => {
+// Update project (owner only): content, investment data and status
+app.patch('/api/projects/:id', requireAuth, validate({ body: PROJECT_CHANGES_SCHEMA }), async (req, res) => {
   try {
     const { id } = req.params;
-    const projects = await readProjects();
-    const projectIndex = projects.findIndex(p => p.id === id);
+    const project = await storage.projects.get(id);
+    
+    if (!project || !isVisibleTo(project, req.user)) {
+      return res.status(404).json({ 
+        success: false, 
+        code: 'PROJECT_NOT_FOUND' 
+      });
+    }
+    
+    if (project.creator !== req.user.username) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'PROJECT_EDIT_FORBIDDEN' 
+      });
+    }
+    
+    // Yönetici tarafından yayından kaldırılan proje, yönetici geri açana kadar taslakta kalır
+    if (project.unpublished && req.body.status === 'active') {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'PROJECT_TAKEN_DOWN' 
+      });
+    }
+    
+    const validated = validateProjectChanges(req.body, project);
+    if (validated.error) {
+      return sendValidationErrors(res, [validated.error]);
+    }
+    
+    // Geçiş ve fark, güncel kayıt üzerinde tek bir atomik güncellemede hesaplanır
+    let invalidTransition = null;
+    let diff = {};
+    const updated = await storage.projects.update(id, p => {
+      const { changes } = validated;
+      if (changes.status && !canTransition(p.status, changes.status)) {
+        invalidTransition = p.status;
+        return p;
+      }
+      
+      const next = { ...p, ...changes };
+      diff = diffProject(p, next);
+      if (Object.keys(diff).length === 0) {
+        return p;
+      }
+      
+      next.revision = (p.revision || 1) + 1;
+      next.updatedAt = new Date().toISOString();
+      if (diff.status) {
+        next.statusChangedAt = next.updatedAt;
+      }
+      return next;
+    });
     
-    if (projectIndex === -1) {
+    if (!updated) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Project not found.' 
+        code: 'PROJECT_NOT_FOUND' 
       });
     }
     
-    projects[projectIndex].likes += 1;
-    await writeProjects(projects);
+    if (invalidTransition) {
+      const allowed = STATUS_TRANSITIONS[invalidTransition];
+      return res.status(409).json({ 
+        success: false, 
+        code: allowed.length ? 'STATUS_TRANSITION_NOT_ALLOWED' : 'STATUS_LOCKED', 
+        params: { status: invalidTransition, allowed } 
+      });
+    }
+    
+    if (Object.keys(diff).length > 0) {
+      await recordRevision(updated, diff, req.user.username);
+      indexProject(updated);
+      
+      // Projeyi favorilerine ekleyenlere haber ver
+      const followers = await storage.users.find(u => (u.favorites || []).includes(id));
+      for (const follower of followers) {
+        await notify({ 
+          recipient: follower.username, 
+          type: 'project.updated', 
+          actor: req.user.username, 
+          project: updated, 
+          data: { revision: updated.revision, fields: Object.keys(diff) } 
+        });
+      }
+    }
     
     return res.json({ 
       success: true, 
-      message: 'Project liked!',
-      likes: projects[projectIndex].likes
+      code: Object.keys(diff).length ? 'PROJECT_UPDATED' : 'PROJECT_UNCHANGED',
+      project: { ...updated, allowedTransitions: STATUS_TRANSITIONS[updated.status] || [] },
+      changes: diff
     });
   } catch (error) {
-    console.error('Like project error:', error);
+    console.error('Update project error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
-// Delete project
-app.delete('/api/projects/:id', async (req, res) => {
+// Project revision history (optionally only changes after ?since=<ISO date>)
+app.get('/api/projects/:id/revisions', optionalAuth, validate({ query: REVISIONS_QUERY }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { username } = req.query;
-    
-    console.log('Delete project request:', { id, username, query: req.query });
+    const project = await storage.projects.get(req.params.id);
     
-    if (!username) {
-      return res.status(400).json({ 
+    if (!project || !isVisibleTo(project, req.user)) {
+      return res.status(404).json({ 
         success: false, 
-        message: 'Username is required.' 
+        code: 'PROJECT_NOT_FOUND' 
       });
     }
     
-    const projects = await readProjects();
-    const projectIndex = projects.findIndex(p => p.id === id);
+    const { since } = req.query;
     
-    if (projectIndex === -1) {
+    const revisions = await revisionsSince(project.id, since);
+    const summary = summarizeChanges(revisions);
+    
+    return res.json({ 
+      success: true, 
+      revisions: revisions.reverse(),
+      summary
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
+// Delete project
+app.delete('/api/projects/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username } = req.user;
+    
+    const project = await storage.projects.get(id);
+    
+    if (!project) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Project not found.' 
+        code: 'PROJECT_NOT_FOUND' 
       });
     }
     
-    const project = projects[projectIndex];
-    
     // Check if user owns the project
     if (project.creator !== username) {
       return res.status(403).json({ 
         success: false, 
-        message: 'You can only delete your own projects.' 
+        code: 'PROJECT_DELETE_FORBIDDEN' 
       });
     }
     
-    // Remove project
-    projects.splice(projectIndex, 1);
-    await writeProjects(projects);
+    // Remove project with its comments, likes, images and open offers
+    await deleteProjectData(project, username);
+    await recordAudit('project.deleted', { 
+      req, 
+      actor: username, 
+      target: id, 
+      details: { title: project.title } 
+    });
     
     return res.json({ 
       success: true, 
-      message: 'Project deleted successfully!' 
+      code: 'PROJECT_DELETED' 
     });
   } catch (error) {
     console.error('Delete project error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
 // Add project to favorites
-app.post('/api/favorites', async (req, res) => {
+app.post('/api/favorites', requireAuth, validate({ body: FAVORITE_SCHEMA }), async (req, res) => {
   try {
-    const { username, projectId } = req.body;
-    
-    if (!username || !projectId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Username and project ID are required.' 
-      });
-    }
+    const { projectId } = req.body;
     
-    const users = await readUsers();
-    const userIndex = users.findIndex(u => u.username === username);
+    const project = await storage.projects.get(projectId);
     
-    if (userIndex === -1) {
+    if (!project || !isVisibleTo(project, req.user)) {
       return res.status(404).json({ 
         success: false, 
-        message: 'User not found.' 
+        code: 'PROJECT_NOT_FOUND' 
       });
     }
     
-    // Check if project exists (real projects or demo projects)
-    const projects = await readProjects();
-    let project = projects.find(p => p.id === projectId);
-    
-    // If not found in real projects, check if it's a demo project
-    if (!project) {
-      const demoProjects = [
-        { id: "demo-1", title: "AI-Powered Health Platform", category: "health" },
-        { id: "demo-2", title: "Online Education Portal", category: "education" },
-        { id: "demo-3", title: "Finansal Danışmanlık Uygulaması", category: "finance" },
-        { id: "demo-4", title: "Smart Home Automation System", category: "tech" },
-        { id: "demo-5", title: "Dijital Kitaplık", category: "other" },
-        { id: "demo-6", title: "Sağlıklı Yaşam Takipçisi", category: "health" },
-        { id: "demo-7", title: "Çevrimiçi Mentorluk Platformu", category: "tech" },
-        { id: "demo-8", title: "Çocuklar için Kodlama Atölyesi", category: "education" }
-      ];
-      project = demoProjects.find(p => p.id === projectId);
-    }
+    // Add to favorites (check and write happen in one atomic update)
+    let alreadyFavorite = false;
+    const updated = await storage.users.update(req.user.id, user => {
+      user.favorites = user.favorites || [];
+      if (user.favorites.includes(projectId)) {
+        alreadyFavorite = true;
+      } else {
+        user.favorites.push(projectId);
+        // Kaydedildiği an, o zamandan beri yapılan değişiklikleri göstermek için
+        user.favoritedAt = { ...user.favoritedAt, [projectId]: new Date().toISOString() };
+      }
+      return user;
+    });
     
-    if (!project) {
+    if (!updated) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Project not found.' 
+        code: 'USER_NOT_FOUND' 
       });
     }
     
-    // Initialize favorites array if it doesn't exist
-    if (!users[userIndex].favorites) {
-      users[userIndex].favorites = [];
-    }
-    
-    // Check if already in favorites
-    if (users[userIndex].favorites.includes(projectId)) {
+    if (alreadyFavorite) {
       return res.status(409).json({ 
         success: false, 
-        message: 'Project already in favorites.' 
+        code: 'FAVORITE_EXISTS' 
       });
     }
     
-    // Add to favorites
-    users[userIndex].favorites.push(projectId);
-    await writeUsers(users);
+    await notify({ 
+      recipient: project.creator, 
+      type: 'project.favorited', 
+      actor: req.user.username, 
+      project, 
+      key: `${projectId}:${req.user.username}` 
+    });
+    await recordProjectEvent('favorite', { req, project });
     
     return res.json({ 
       success: true, 
-      message: 'Project added to favorites!' 
+      code: 'FAVORITE_ADDED' 
     });
   } catch (error) {
     console.error('Add to favorites error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
 // Remove project from favorites
-app.delete('/api/favorites/:projectId', async (req, res) => {
+app.delete('/api/favorites/:projectId', requireAuth, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { username } = req.query;
     
-    if (!username) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Username is required.' 
-      });
-    }
-    
-    const users = await readUsers();
-    const userIndex = users.findIndex(u => u.username === username);
-    
-    if (userIndex === -1) {
+    if (!req.user.favorites) {
       return res.status(404).json({ 
         success: false, 
-        message: 'User not found.' 
+        code: 'NO_FAVORITES' 
       });
     }
     
-    if (!users[userIndex].favorites) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'No favorites found.' 
-      });
-    }
+    // Remove from favorites
+    let wasFavorite = false;
+    await storage.users.update(req.user.id, user => {
+      const favorites = user.favorites || [];
+      wasFavorite = favorites.includes(projectId);
+      user.favorites = favorites.filter(id => id !== projectId);
+      if (user.favoritedAt) {
+        delete user.favoritedAt[projectId];
+      }
+      return user;
+    });
     
-    const favoriteIndex = users[userIndex].favorites.indexOf(projectId);
-    if (favoriteIndex === -1) {
+    if (!wasFavorite) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Project not in favorites.' 
+        code: 'FAVORITE_NOT_FOUND' 
       });
     }
     
-    // Remove from favorites
-    users[userIndex].favorites.splice(favoriteIndex, 1);
-    await writeUsers(users);
+    const project = await storage.projects.get(projectId);
+    if (project) {
+      await recordProjectEvent('unfavorite', { req, project });
+    }
     
     return res.json({ 
       success: true, 
-      message: 'Project removed from favorites!' 
+      code: 'FAVORITE_REMOVED' 
     });
   } catch (error) {
     console.error('Remove from favorites error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
@@ -612,13 +965,12 @@ app.get('/api/favorites/:username', async (req, res) => {
   try {
     const { username } = req.params;
     
-    const users = await readUsers();
-    const user = users.find(u => u.username === username);
+    const user = await storage.users.findOne({ username });
     
     if (!user) {
       return res.status(404).json({ 
         success: false, 
-        message: 'User not found.' 
+        code: 'USER_NOT_FOUND' 
       });
     }
     
@@ -629,21 +981,18 @@ app.get('/api/favorites/:username', async (req, res) => {
       });
     }
     
-    // Get favorite projects (real + demo)
-    const projects = await readProjects();
-    const demoProjects = [
-      { id: "demo-1", title: "AI-Powered Health Platform", description: "A platform that analyzes patient health data and provides recommendations to doctors.", category: "health", creator: "sarahjohnson", likes: 42, status: "active", funding: 80, badge: "Bestseller", logo: "🧬", tags: ["AI", "Health", "New"], comments: 12, investors: 3, isDemo: true },
-      { id: "demo-2", title: "Online Education Portal", description: "A platform offering interactive and personalized educational content for all ages.", category: "education", creator: "michaelchen", likes: 35, status: "active", funding: 60, logo: "📚", tags: ["Education", "Popular"], comments: 8, investors: 2, isDemo: true },
-      { id: "demo-3", title: "Finansal Danışmanlık Uygulaması", description: "KOBİ'ler için finansal analiz ve yatırım önerileri sunan mobil uygulama.", category: "finance", creator: "mehmetkaya", likes: 28, status: "completed", funding: 100, badge: "Bestseller", logo: "💸", tags: ["Finance", "AI"], comments: 15, investors: 4, isDemo: true },
-      { id: "demo-4", title: "Smart Home Automation System", description: "IoT-based system for remote control of home devices.", category: "tech", creator: "davidkim", likes: 22, status: "active", funding: 40, logo: "🏠", tags: ["IoT", "Technology"], comments: 5, investors: 1, isDemo: true },
-      { id: "demo-5", title: "Dijital Kitaplık", description: "Kullanıcıların kitaplarını dijital ortamda saklayıp paylaşabildiği bir platform.", category: "other", creator: "aysedemir", likes: 18, status: "active", funding: 30, logo: "📖", tags: ["Books", "New"], comments: 3, investors: 1, isDemo: true },
-      { id: "demo-6", title: "Sağlıklı Yaşam Takipçisi", description: "Kişisel sağlık hedeflerini takip eden ve öneriler sunan mobil uygulama.", category: "health", creator: "elifcelik", likes: 25, status: "completed", funding: 90, logo: "🏃‍♂️", tags: ["Health", "Mobile"], comments: 7, investors: 2, isDemo: true },
-      { id: "demo-7", title: "Çevrimiçi Mentorluk Platformu", description: "Girişimciler ve yatırımcıları buluşturan, mentorluk desteği sunan platform.", category: "tech", creator: "buraksahin", likes: 30, status: "active", funding: 70, logo: "🤝", tags: ["Mentorship", "Technology", "Popular"], comments: 10, investors: 3, isDemo: true },
-      { id: "demo-8", title: "Çocuklar için Kodlama Atölyesi", description: "Çocuklara kodlama öğretmek için oyunlaştırılmış eğitim platformu.", category: "education", creator: "fatmagunes", likes: 20, status: "active", funding: 50, logo: "👾", tags: ["Education", "Kids"], comments: 4, investors: 1, isDemo: true }
-    ];
-    
-    const allProjects = [...projects, ...demoProjects];
-    const favoriteProjects = allProjects.filter(p => user.favorites.includes(p.id));
+    const favorites = (await storage.projects.find(p => user.favorites.includes(p.id)))
+      .filter(p => isVisibleTo(p, null));
+    const favoritedAt = user.favoritedAt || {};
+    const favoriteProjects = [];
+    for (const project of favorites) {
+      const savedAt = favoritedAt[project.id] || null;
+      // Kayıt tarihi bilinmeyen eski favoriler için değişiklik gösterilmez
+      const changes = savedAt
+        ? summarizeChanges(await revisionsSince(project.id, savedAt))
+        : {};
+      favoriteProjects.push({ ...projectForViewer(project, null), savedAt, changesSinceSaved: changes });
+    }
     
     return res.json({ 
       success: true, 
@@ -653,16 +1002,61 @@ app.get('/api/favorites/:username', async (req, res) => {
     console.error('Get favorites error:', error);
     return res.status(500).json({ 
       success: false, 
-      message: 'Internal server error.' 
+      code: 'INTERNAL_ERROR' 
     });
   }
 });
 
+// Project likes
+app.use('/api', likesRouter);
+
+// Project comments
+app.use('/api', commentsRouter);
+
+// Investment offers and investor portfolio
+app.use('/api', offersRouter);
+
+// Investor–project matching
+app.use('/api', matchingRouter);
+
+// Full-text search
+app.use('/api', searchRouter);
+
+// Project images
+app.use('/api', uploadsRouter);
+
+// Direct messages
+app.use('/api', messagesRouter);
+
+// Notifications
+app.use('/api', notificationsRouter);
+
+// Email verification and password reset
+app.use('/api', accountRouter);
+
+// Admin tools
+app.use('/api', adminRouter);
+
+// Idea generator and saved ideas
+app.use('/api', ideasRouter);
+
+// Project activity tracking and statistics
+app.use('/api', analyticsRouter);
+
+// Content reports and moderation queue
+app.use('/api', reportsRouter);
+
+// Help center articles and support tickets
+app.use('/api', supportRouter);
+
+// Learning hub content, progress and recommendations
+app.use('/api', learningRouter);
+
 // Test endpoint to check if server is running
 app.get('/api/test', (req, res) => {
   res.json({ 
     success: true, 
-    message: 'Server is running!',
+    code: 'SERVER_RUNNING',
     timestamp: new Date().toISOString()
   });
 });
@@ -671,7 +1065,7 @@ app.get('/api/test', (req, res) => {
 app.get('/api/projects/test', (req, res) => {
   res.json({ 
     success: true, 
-    message: 'Projects endpoint is accessible!',
+    code: 'PROJECTS_ENDPOINT_OK',
     timestamp: new Date().toISOString()
   });
 });
@@ -703,10 +1097,17 @@ app.get('/investor-favorites', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Bozuk JSON gövdesi de doğrulama hatası biçiminde döner
+  if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+    return sendValidationErrors(res, [{ 
+      field: 'body', 
+      code: err.type === 'entity.too.large' ? 'BODY_TOO_LARGE' : 'INVALID_JSON' 
+    }], err.status);
+  }
   console.error(err.stack);
   res.status(500).json({ 
     success: false, 
-    message: 'Something went wrong!' 
+    code: 'SOMETHING_WENT_WRONG' 
   });
 });
 
@@ -714,11 +1115,20 @@ app.use((err, req, res, next) => {
 app.use((req, res) => {
   res.status(404).json({ 
     success: false, 
-    message: 'Route not found.' 
+    code: 'ROUTE_NOT_FOUND' 
   });
 });
 
 app.listen(PORT, () => {
+  holdDataDir();
   console.log(`🚀 IDEAI Server running on http://localhost:${PORT}`);
   console.log(`📁 Static files served from: ${__dirname}`);
+  
+  // E-posta özetleri (DIGEST_ENABLED=false ile kapatılır)
+  if (process.env.DIGEST_ENABLED !== 'false') {
+    startDigestScheduler();
+  }
+  
+  // Bekleme süresi dolan hesap silme istekleri
+  startDeletionScheduler();
 }); 
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Shared session helpers. Login/signup store the signed token returned by the
+// server; every authenticated request sends it as a Bearer token.
+const SESSION_API_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+  ? 'http://localhost:5000'
+  : 'https://ideai-web-production.up.railway.app';
+
+// Escape user-generated text before putting it into innerHTML or an attribute
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function getSessionToken() {
+  return localStorage.getItem('sessionToken');
+}
+
+function hasSession() {
+  return !!getSessionToken() && !!localStorage.getItem('username');
+}
+
+// Save the session returned by /api/login or /api/signup
+function saveSession(result) {
+  localStorage.setItem('sessionToken', result.token);
+  localStorage.setItem('sessionExpiresAt', result.expiresAt);
+  localStorage.setItem('username', result.user.username);
+  localStorage.setItem('firstname', result.user.firstname);
+  localStorage.setItem('userType', result.user.userType);
+  localStorage.setItem('role', result.user.role || 'user');
+  // The language saved on the profile follows the user to other devices (see i18n.js)
+  if (result.user.profile && result.user.profile.language) {
+    localStorage.setItem('language', result.user.profile.language);
+  }
+}
+
+function clearSession() {
+  localStorage.removeItem('sessionToken');
+  localStorage.removeItem('sessionExpiresAt');
+  localStorage.removeItem('username');
+  localStorage.removeItem('firstname');
+  localStorage.removeItem('userType');
+  localStorage.removeItem('role');
+}
+
+// Headers for authenticated requests
+function authHeaders(headers = {}) {
+  const token = getSessionToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : { ...headers };
+}
+
+// fetch() wrapper that attaches the session token and the chosen language,
+// and drops an expired session
+async function apiFetch(url, options = {}) {
+  const language = localStorage.getItem('language');
+  const headers = authHeaders(language ? { 'Accept-Language': language, ...options.headers } : options.headers);
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && getSessionToken()) {
+    clearSession();
+  }
+  return response;
+}
+
+// Revoke the session on the server, then forget it locally
+async function endSession() {
+  try {
+    if (getSessionToken()) {
+      await apiFetch(`${SESSION_API_URL}/api/logout`, { method: 'POST' });
+    }
+  } catch (err) {
+    console.error('Logout request failed:', err);
+  }
+  clearSession();
+}
+
+// Drop sessions that expired or were revoked while the page was closed
+(function validateStoredSession() {
+  const token = getSessionToken();
+  if (!token) {
+    if (localStorage.getItem('username')) {
+      clearSession();
+    }
+    return;
+  }
+
+  const expiresAt = localStorage.getItem('sessionExpiresAt');
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    clearSession();
+    return;
+  }
+
+  apiFetch(`${SESSION_API_URL}/api/session`)
+    .then(res => {
+      if (res.status === 401) {
+        window.location.reload();
+      }
+    })
+    .catch(() => {});
+})();
@@ -0,0 +1,190 @@
+// Support ticket form and "My support tickets" list, used by contact.html and
+// help-support.html. Requires session.js to be loaded first.
+const TICKET_CATEGORY_LABELS = {
+  account: 'My account',
+  projects: 'Projects',
+  investments: 'Investments and offers',
+  technical: 'Something is not working',
+  billing: 'Fees and billing',
+  other: 'Something else'
+};
+
+const TICKET_STATUS_LABELS = {
+  open: { label: 'Waiting for support', color: '#2980ef' },
+  pending: { label: 'Waiting for your reply', color: '#f39c12' },
+  resolved: { label: 'Resolved', color: '#27ae60' },
+  closed: { label: 'Closed', color: '#64748b' }
+};
+
+const SUPPORT_INPUT_STYLE = 'width: 100%; box-sizing: border-box; padding: 10px 12px; margin-bottom: 12px; border: 1px solid #cbd5e1; border-radius: 8px; font-family: inherit; font-size: 1rem;';
+const SUPPORT_BUTTON_STYLE = 'padding: 10px 20px; border: none; border-radius: 8px; background: #2980ef; color: #fff; font-weight: 600; cursor: pointer; font-size: 1rem;';
+
+// Guests also leave a name and an email address for the reply
+function renderTicketForm(container, { onSubmitted } = {}) {
+  const signedIn = hasSession();
+  container.innerHTML = `
+    <form id="ticketForm" style="text-align: left;">
+      ${signedIn ? '' : `
+      <input type="text" id="ticketName" maxlength="100" placeholder="Your name" required style="${SUPPORT_INPUT_STYLE}">
+      <input type="email" id="ticketEmail" maxlength="254" placeholder="Your email address" required style="${SUPPORT_INPUT_STYLE}">
+      `}
+      <select id="ticketCategory" style="${SUPPORT_INPUT_STYLE}">
+        ${Object.entries(TICKET_CATEGORY_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <input type="text" id="ticketSubject" maxlength="150" placeholder="Subject" required style="${SUPPORT_INPUT_STYLE}">
+      <textarea id="ticketMessage" maxlength="5000" placeholder="How can we help?" required style="${SUPPORT_INPUT_STYLE} min-height: 140px; resize: vertical;"></textarea>
+      <div id="ticketFormStatus" style="margin-bottom: 12px;"></div>
+      <button type="submit" style="${SUPPORT_BUTTON_STYLE}">Send request</button>
+    </form>
+  `;
+  document.getElementById('ticketForm').addEventListener('submit', event => submitTicket(event, onSubmitted));
+}
+
+async function submitTicket(event, onSubmitted) {
+  event.preventDefault();
+  const statusEl = document.getElementById('ticketFormStatus');
+  const value = id => {
+    const field = document.getElementById(id);
+    return field ? field.value : undefined;
+  };
+  statusEl.textContent = '';
+
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/support/tickets`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: value('ticketName'),
+        email: value('ticketEmail'),
+        category: value('ticketCategory'),
+        subject: value('ticketSubject'),
+        message: value('ticketMessage')
+      })
+    });
+    const data = await response.json();
+    if (!data.success) {
+      statusEl.style.color = '#dc2626';
+      statusEl.textContent = data.message || 'Could not send your request.';
+      return;
+    }
+
+    event.target.reset();
+    statusEl.style.color = '#27ae60';
+    statusEl.textContent = data.message;
+    if (onSubmitted) onSubmitted(data.ticket);
+  } catch (error) {
+    console.error('Error sending support request:', error);
+    statusEl.style.color = '#dc2626';
+    statusEl.textContent = 'Could not send your request. Please try again.';
+  }
+}
+
+function ticketStatusBadge(status) {
+  const { label, color } = TICKET_STATUS_LABELS[status] || { label: status, color: '#64748b' };
+  return `<span style="display: inline-block; padding: 2px 10px; border-radius: 999px; background: ${color}; color: #fff; font-size: 0.8rem; font-weight: 600;">${escapeHtml(label)}</span>`;
+}
+
+async function loadMyTickets(container) {
+  if (!hasSession()) {
+    container.innerHTML = '<p style="color: #64748b;"><a href="login.html">Log in</a> to follow your support requests here.</p>';
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/support/tickets`);
+    const data = await response.json();
+    if (!data.success) {
+      container.innerHTML = `<p style="color: #dc2626;">${escapeHtml(data.message || 'Could not load your tickets.')}</p>`;
+      return;
+    }
+    if (data.tickets.length === 0) {
+      container.innerHTML = '<p style="color: #64748b;">You have not sent any support requests yet.</p>';
+      return;
+    }
+
+    container.innerHTML = data.tickets.map(ticket => `
+      <div class="ticket-item" style="border: 1px solid #e3f6fc; border-radius: 12px; padding: 14px 16px; margin-bottom: 12px; background: #f7fafd;">
+        <div onclick="toggleTicket('${escapeHtml(ticket.id)}')" style="display: flex; justify-content: space-between; align-items: center; gap: 12px; cursor: pointer;">
+          <div>
+            <div style="font-weight: 600; color: #22314a;" translate="no">${escapeHtml(ticket.subject)}</div>
+            <div style="font-size: 0.85rem; color: #64748b;">
+              ${escapeHtml(TICKET_CATEGORY_LABELS[ticket.category] || ticket.category)} •
+              ${ticket.messageCount} message${ticket.messageCount === 1 ? '' : 's'} •
+              updated ${escapeHtml(new Date(ticket.updatedAt).toLocaleString())}
+            </div>
+          </div>
+          ${ticketStatusBadge(ticket.status)}
+        </div>
+        <div id="ticket-${escapeHtml(ticket.id)}" style="display: none; margin-top: 12px;"></div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading support tickets:', error);
+    container.innerHTML = '<p style="color: #dc2626;">Could not load your tickets. Please try again.</p>';
+  }
+}
+
+async function toggleTicket(id) {
+  const panel = document.getElementById(`ticket-${id}`);
+  if (panel.style.display === 'block') {
+    panel.style.display = 'none';
+    return;
+  }
+  panel.style.display = 'block';
+  await showTicket(id);
+}
+
+async function showTicket(id) {
+  const panel = document.getElementById(`ticket-${id}`);
+  panel.innerHTML = '<p style="color: #64748b;">Loading…</p>';
+
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/support/tickets/${encodeURIComponent(id)}`);
+    const data = await response.json();
+    if (!data.success) {
+      panel.innerHTML = `<p style="color: #dc2626;">${escapeHtml(data.message || 'Could not load the ticket.')}</p>`;
+      return;
+    }
+
+    const { ticket } = data;
+    panel.innerHTML = `
+      ${ticket.messages.map(message => `
+        <div style="margin-bottom: 10px; padding: 10px 12px; border-radius: 10px; background: ${message.fromSupport ? '#e3f6fc' : '#fff'}; border: 1px solid #e2e8f0;">
+          <div style="font-size: 0.8rem; color: #64748b; margin-bottom: 4px;">
+            <strong>${message.fromSupport ? 'IDEAI Support' : 'You'}</strong> • ${escapeHtml(new Date(message.createdAt).toLocaleString())}
+          </div>
+          <div style="white-space: pre-wrap; color: #22314a;" translate="no">${escapeHtml(message.body)}</div>
+        </div>
+      `).join('')}
+      ${ticket.status === 'closed' ? '<p style="color: #64748b;">This ticket is closed. Send a new request if you still need help.</p>' : `
+        <form onsubmit="sendTicketReply(event, '${escapeHtml(ticket.id)}')">
+          <textarea id="ticketReply-${escapeHtml(ticket.id)}" maxlength="5000" placeholder="Write a reply…" required style="${SUPPORT_INPUT_STYLE} min-height: 80px; resize: vertical;"></textarea>
+          <button type="submit" style="${SUPPORT_BUTTON_STYLE}">Reply</button>
+        </form>
+      `}
+    `;
+  } catch (error) {
+    console.error('Error loading support ticket:', error);
+    panel.innerHTML = '<p style="color: #dc2626;">Could not load the ticket. Please try again.</p>';
+  }
+}
+
+async function sendTicketReply(event, id) {
+  event.preventDefault();
+  try {
+    const response = await apiFetch(`${SESSION_API_URL}/api/support/tickets/${encodeURIComponent(id)}/replies`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: document.getElementById(`ticketReply-${id}`).value })
+    });
+    const data = await response.json();
+    if (!data.success) {
+      alert(data.message || 'Could not send your reply.');
+      return;
+    }
+    await showTicket(id);
+  } catch (error) {
+    console.error('Error replying to support ticket:', error);
+    alert('Could not send your reply. Please try again.');
+  }
+}
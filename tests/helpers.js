@@ -0,0 +1,80 @@
+import { dataDir } from './setup.js';
+import express from 'express';
+import { storage, createId } from '../lib/storage/index.js';
+import { createSession } from '../lib/sessions.js';
+import { registerTransport } from '../lib/mail.js';
+import { localizeResponses } from '../lib/i18n.js';
+
+export { dataDir, storage };
+
+// Gönderilen e-postalar günlüğe yazılmak yerine burada toplanır
+export const sentMail = [];
+registerTransport('test', () => ({
+  async send(message) {
+    sentMail.push(message);
+    return { id: null };
+  }
+}));
+
+export async function createUser(fields = {}) {
+  const id = createId();
+  const username = fields.username || `user${id}`;
+  return storage.users.insert({
+    id,
+    username,
+    email: `${username}@example.com`,
+    firstname: 'Test',
+    lastname: 'User',
+    userType: 'entrepreneur',
+    profile: {},
+    favorites: [],
+    createdAt: new Date().toISOString(),
+    ...fields
+  });
+}
+
+export async function createProject(creator, fields = {}) {
+  const now = new Date().toISOString();
+  return storage.projects.insert({
+    id: createId(),
+    title: 'Test project',
+    description: 'A project used in tests',
+    category: 'tech',
+    creator: creator.username,
+    status: 'active',
+    likes: 0,
+    revision: 1,
+    lookingForInvestment: true,
+    investmentData: { fundingAmount: '10000-50000', investmentType: 'equity', investmentDetails: '' },
+    createdAt: now,
+    updatedAt: now,
+    ...fields
+  });
+}
+
+// Router'ları sunucudaki gibi /api altında, rastgele bir portta çalıştırır
+export async function startApp(...routers) {
+  const app = express();
+  app.use(localizeResponses);
+  app.use(express.json());
+  for (const router of routers) app.use('/api', router);
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { user, body, headers = {} } = {}) {
+    const sent = { ...headers };
+    if (user) sent.Authorization = `Bearer ${(await createSession(user)).token}`;
+    if (body !== undefined) sent['Content-Type'] = 'application/json';
+    const response = await fetch(url + path, {
+      method,
+      headers: sent,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+}
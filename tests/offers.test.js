@@ -0,0 +1,90 @@
+import { storage, createUser, createProject, startApp } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import offersRouter from '../routes/offers.js';
+
+let app;
+let owner;
+let investor;
+
+before(async () => {
+  app = await startApp(offersRouter);
+  owner = await createUser({ username: 'elif' });
+  investor = await createUser({ username: 'burak', userType: 'investor' });
+});
+
+after(() => app.close());
+
+const OFFER = { amount: 25000, instrument: 'equity', terms: '10% equity' };
+
+test('an offer goes through counter and accept, then stays closed', async () => {
+  const project = await createProject(owner);
+
+  const sent = await app.request('POST', `/api/projects/${project.id}/offers`, { user: investor, body: OFFER });
+  assert.equal(sent.status, 201);
+  assert.equal(sent.body.offer.status, 'pending');
+  const { id } = sent.body.offer;
+
+  // Sıra girişimcide: yatırımcı kendi teklifini kabul edemez
+  const early = await app.request('POST', `/api/offers/${id}/accept`, { user: investor });
+  assert.equal(early.status, 403);
+  assert.equal(early.body.code, 'OFFER_AWAITING_RESPONSE');
+
+  const countered = await app.request('POST', `/api/offers/${id}/counter`, { user: owner, body: { amount: 40000 } });
+  assert.equal(countered.status, 200);
+  assert.equal(countered.body.offer.status, 'countered');
+  assert.equal(countered.body.offer.amount, 40000);
+  assert.equal(countered.body.offer.terms, '10% equity');
+
+  const accepted = await app.request('POST', `/api/offers/${id}/accept`, { user: investor });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.offer.status, 'accepted');
+  assert.deepEqual(accepted.body.offer.history.map(h => h.action), ['offered', 'countered', 'accepted']);
+
+  const funded = await storage.projects.get(project.id);
+  assert.deepEqual(funded.investors.map(i => [i.investor, i.amount]), [['burak', 40000]]);
+  assert.equal(funded.raisedAmount, 40000);
+
+  const again = await app.request('POST', `/api/offers/${id}/decline`, { user: owner });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'OFFER_CLOSED');
+});
+
+test('only the investor can withdraw an open offer', async () => {
+  const project = await createProject(owner);
+  const sent = await app.request('POST', `/api/projects/${project.id}/offers`, { user: investor, body: OFFER });
+  const { id } = sent.body.offer;
+
+  const byOwner = await app.request('POST', `/api/offers/${id}/withdraw`, { user: owner });
+  assert.equal(byOwner.status, 403);
+
+  const byInvestor = await app.request('POST', `/api/offers/${id}/withdraw`, { user: investor });
+  assert.equal(byInvestor.body.offer.status, 'withdrawn');
+});
+
+test('an investor has at most one open offer per project, even under concurrent requests', async () => {
+  const project = await createProject(owner);
+
+  const responses = await Promise.all(Array.from({ length: 4 }, () =>
+    app.request('POST', `/api/projects/${project.id}/offers`, { user: investor, body: OFFER })
+  ));
+
+  assert.deepEqual(responses.map(r => r.status).sort(), [201, 409, 409, 409]);
+  assert.equal(await storage.offers.count({ projectId: project.id }), 1);
+});
+
+test('offers on projects the investor cannot see are not found', async () => {
+  const draft = await createProject(owner, { status: 'draft' });
+
+  const response = await app.request('POST', `/api/projects/${draft.id}/offers`, { user: investor, body: OFFER });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.code, 'PROJECT_NOT_FOUND');
+});
+
+test('only investors can send offers', async () => {
+  const project = await createProject(investor);
+
+  const response = await app.request('POST', `/api/projects/${project.id}/offers`, { user: owner, body: OFFER });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.code, 'OFFER_INVESTORS_ONLY');
+});
@@ -0,0 +1,70 @@
+import { storage, createUser, createProject } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createId } from '../lib/storage/index.js';
+import { createSession, verifySession } from '../lib/sessions.js';
+import { deleteAccount, DELETED_USER } from '../lib/privacy.js';
+
+test('deleting an account with kept projects removes the name everywhere', async () => {
+  const owner = await createUser({ username: 'zeynep' });
+  const investor = await createUser({ username: 'kerem', userType: 'investor' });
+  const fan = await createUser({ username: 'deniz' });
+
+  const kept = await createProject(owner, { likes: 1, commentCount: 1 });
+  const draft = await createProject(owner, { status: 'draft' });
+  const othersProject = await createProject(investor, { commentCount: 1 });
+
+  await storage.revisions.insert({ id: createId(), projectId: kept.id, revision: 2, by: 'zeynep', changes: {} });
+  await storage.comments.insert({ id: createId(), projectId: othersProject.id, author: 'zeynep', body: 'Nice idea' });
+  await storage.likes.insert({ id: `${othersProject.id}:zeynep`, projectId: othersProject.id, username: 'zeynep', createdAt: new Date().toISOString() });
+  await storage.users.update(fan.id, u => ({ ...u, favorites: [draft.id] }));
+  const offer = await storage.offers.insert({
+    id: createId(),
+    projectId: kept.id,
+    investor: 'kerem',
+    entrepreneur: 'zeynep',
+    amount: 1000,
+    status: 'accepted',
+    history: [{ action: 'offered', by: 'kerem' }, { action: 'accepted', by: 'zeynep' }]
+  });
+  const { token } = await createSession(owner);
+
+  await deleteAccount(owner, { projects: 'anonymize' });
+  const tombstone = `deleted:${owner.id}`;
+
+  assert.equal(await storage.users.get(owner.id), null);
+  assert.equal(await verifySession(token), null);
+
+  // Yayındaki proje kalır, taslak silinir
+  assert.equal((await storage.projects.get(kept.id)).creator, DELETED_USER);
+  assert.equal(await storage.projects.get(draft.id), null);
+  assert.deepEqual((await storage.users.get(fan.id)).favorites, []);
+
+  const revisions = await storage.revisions.find({ projectId: kept.id });
+  assert.deepEqual(revisions.map(r => r.by), [tombstone]);
+
+  const keptOffer = await storage.offers.get(offer.id);
+  assert.equal(keptOffer.entrepreneur, tombstone);
+  assert.deepEqual(keptOffer.history.map(h => h.by), ['kerem', tombstone]);
+
+  const [comment] = await storage.comments.find({ projectId: othersProject.id });
+  assert.equal(comment.author, DELETED_USER);
+  assert.equal(comment.body, '');
+  assert.equal(await storage.likes.count({ username: 'zeynep' }), 0);
+  assert.equal((await storage.projects.get(othersProject.id)).commentCount, 0);
+});
+
+test('deleting an account removes its projects with their comments, likes and revisions', async () => {
+  const owner = await createUser({ username: 'selin' });
+  const project = await createProject(owner);
+  await storage.comments.insert({ id: createId(), projectId: project.id, author: 'someone', body: 'Hello' });
+  await storage.likes.insert({ id: `${project.id}:someone`, projectId: project.id, username: 'someone', createdAt: new Date().toISOString() });
+  await storage.revisions.insert({ id: createId(), projectId: project.id, revision: 2, by: 'selin', changes: {} });
+
+  await deleteAccount(owner);
+
+  assert.equal(await storage.projects.get(project.id), null);
+  assert.equal(await storage.comments.count({ projectId: project.id }), 0);
+  assert.equal(await storage.likes.count({ projectId: project.id }), 0);
+  assert.equal(await storage.revisions.count({ projectId: project.id }), 0);
+});
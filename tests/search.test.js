@@ -0,0 +1,42 @@
+import { createUser, createProject } from './helpers.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalize } from '../lib/text.js';
+import { search } from '../lib/search.js';
+
+test('Turkish letters fold to the same text in any case', () => {
+  assert.equal(normalize('İSTANBUL'), 'istanbul');
+  assert.equal(normalize('ISIK'), normalize('ışık'));
+  assert.equal(normalize('Çağrı Şöförü'), 'cagri soforu');
+  assert.equal(normalize('Café'), 'cafe');
+});
+
+let project;
+
+before(async () => {
+  const owner = await createUser({ username: 'gokhan', firstname: 'Gökhan', lastname: 'Işıklı' });
+  project = await createProject(owner, {
+    title: 'Akıllı Şehir Çözümleri',
+    description: 'Trafik ışıkları için yapay zekâ',
+    tags: ['ulaşım']
+  });
+  await createProject(owner, { title: 'Akıllı taslak', status: 'draft' });
+});
+
+test('projects are found without Turkish letters, in any case and by prefix', async () => {
+  for (const query of ['akilli sehir', 'AKILLI ŞEHİR', 'cozum', 'ulasim', 'isiklari']) {
+    const { results } = await search(query, { filters: { type: 'project' } });
+    assert.deepEqual(results.map(r => r.id), [project.id], query);
+  }
+});
+
+test('highlights point at the original text', async () => {
+  const { results } = await search('sehir', { filters: { type: 'project' } });
+  const [range] = results[0].highlights.title;
+  assert.equal(project.title.slice(range[0], range[1]), 'Şehir');
+});
+
+test('users are found by a folded name', async () => {
+  const { results } = await search('gokhan isikli', { filters: { type: 'user' } });
+  assert.deepEqual(results.map(r => r.id), ['gokhan']);
+});
@@ -0,0 +1,14 @@
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Testler geçici bir veri klasöründe çalışır. Depo modül yüklenirken açıldığı için
+// bu dosya test dosyalarında her şeyden önce import edilir (helpers.js bunu yapar).
+export const dataDir = mkdtempSync(path.join(os.tmpdir(), 'ideai-test-'));
+
+process.env.DATA_DIR = dataDir;
+process.env.SQLITE_FILE = path.join(dataDir, 'ideai.sqlite');
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-secret';
+process.env.MAIL_TRANSPORT = 'test';
+
+process.on('exit', () => rmSync(dataDir, { recursive: true, force: true }));
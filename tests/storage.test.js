@@ -0,0 +1,102 @@
+import { dataDir } from './setup.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { openStorage, DuplicateKeyError } from '../lib/storage/index.js';
+
+// better-sqlite3 isteğe bağlıdır; kurulu değilse ya da bu Node sürümü için derlenmemişse atlanır
+let hasSqlite = true;
+try {
+  const { default: Database } = await import('better-sqlite3');
+  new Database(':memory:').close();
+} catch (e) {
+  hasSqlite = false;
+}
+
+function configFor(backend) {
+  const dir = mkdtempSync(path.join(dataDir, `${backend}-`));
+  return { backend, dataDir: dir, sqliteFile: path.join(dir, 'ideai.sqlite') };
+}
+
+for (const backend of ['json', 'sqlite']) {
+  describe(`${backend} storage`, { skip: backend === 'sqlite' && !hasSqlite && 'better-sqlite3 is not available' }, () => {
+    test('concurrent updates to one record are not lost', async () => {
+      const store = await openStorage(configFor(backend));
+      await store.projects.insert({ id: 'p1', likes: 0 });
+
+      await Promise.all(Array.from({ length: 20 }, () =>
+        store.projects.update('p1', p => ({ ...p, likes: p.likes + 1 }))
+      ));
+
+      assert.equal((await store.projects.get('p1')).likes, 20);
+      if (store.close) store.close();
+    });
+
+    test('unique fields reject the second of two concurrent inserts', async () => {
+      const store = await openStorage(configFor(backend));
+      const results = await Promise.allSettled([
+        store.users.insert({ id: 'u1', username: 'ayse', email: 'ayse@example.com' }),
+        store.users.insert({ id: 'u2', username: 'ayse', email: 'other@example.com' })
+      ]);
+
+      assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected']);
+      assert.ok(results[1].reason instanceof DuplicateKeyError);
+      assert.equal(await store.users.count({}), 1);
+      if (store.close) store.close();
+    });
+
+    test('insertUnless inserts once when called concurrently', async () => {
+      const store = await openStorage(configFor(backend));
+      const open = o => o.projectId === 'p1' && o.investor === 'ali' && o.status === 'pending';
+
+      const results = await Promise.all(Array.from({ length: 5 }, (_, i) =>
+        store.offers.insertUnless(open, { id: `o${i}`, projectId: 'p1', investor: 'ali', status: 'pending' })
+      ));
+
+      assert.equal(results.filter(Boolean).length, 1);
+      assert.equal(await store.offers.count({}), 1);
+      if (store.close) store.close();
+    });
+
+    test('removeWhere removes records inserted just before it', async () => {
+      const store = await openStorage(configFor(backend));
+      const insert = store.likes.insert({ id: 'l1', projectId: 'p1', username: 'ali' });
+      const removed = await store.likes.removeWhere({ projectId: 'p1' });
+      await insert;
+
+      assert.equal(removed, 1);
+      assert.equal(await store.likes.count({}), 0);
+      if (store.close) store.close();
+    });
+  });
+}
+
+// Sunucu ve scripts/ altındaki betikler aynı dosyaları ayrı süreçlerde açar
+describe('json storage shared with another process', () => {
+  test('a write does not overwrite what another store wrote meanwhile', async () => {
+    const config = configFor('json');
+    const server = await openStorage(config);
+    await server.users.insert({ id: 'u1', username: 'ayse', email: 'ayse@example.com' });
+    await server.users.insert({ id: 'u2', username: 'mehmet', email: 'mehmet@example.com' });
+
+    const script = await openStorage(config);
+    await script.users.update('u1', u => ({ ...u, role: 'admin' }));
+
+    await server.users.update('u2', u => ({ ...u, favorites: ['p1'] }));
+
+    const onDisk = JSON.parse(readFileSync(path.join(config.dataDir, 'users.json'), 'utf-8'));
+    assert.equal(onDisk.find(u => u.id === 'u1').role, 'admin');
+    assert.deepEqual(onDisk.find(u => u.id === 'u2').favorites, ['p1']);
+  });
+
+  test('reads see records written by another store', async () => {
+    const config = configFor('json');
+    const server = await openStorage(config);
+    assert.equal(await server.projects.count({}), 0);
+
+    writeFileSync(path.join(config.dataDir, 'projects.json'), JSON.stringify([{ id: 'p1', title: 'Added elsewhere' }]));
+
+    assert.equal((await server.projects.get('p1')).title, 'Added elsewhere');
+  });
+});
@@ -0,0 +1,66 @@
+import { createUser, createProject, startApp } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, sanitizeText } from '../lib/validation.js';
+import offersRouter from '../routes/offers.js';
+
+const SCHEMA = {
+  title: { type: 'string', required: true, max: 20 },
+  body: { type: 'string', multiline: true },
+  amount: { type: 'number', min: 1 },
+  tags: { type: 'array', items: { type: 'string' }, max: 2 }
+};
+
+test('fields that are not in the schema are dropped', () => {
+  const { value, errors } = validateSchema({ title: 'Hello', role: 'admin', creator: 'someone' }, SCHEMA);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { title: 'Hello' });
+});
+
+test('text is stripped of markup and control characters', () => {
+  const { value } = validateSchema({
+    title: '<b>Bold</b> move',
+    body: 'Line one\r\n<script>alert(1)</script>Line‮ two'
+  }, SCHEMA);
+  assert.equal(value.title, 'Bold move');
+  assert.equal(value.body, 'Line one\nLine two');
+  assert.equal(sanitizeText('a < b'), 'a < b');
+});
+
+test('each failing field is reported with a code', () => {
+  const { errors } = validateSchema({ title: 'x'.repeat(21), amount: 0, tags: ['a', 'b', 'c'] }, SCHEMA);
+  assert.deepEqual(errors.map(e => [e.field, e.code]), [
+    ['title', 'VALIDATION_MAX_LENGTH'],
+    ['amount', 'VALIDATION_MIN'],
+    ['tags', 'VALIDATION_ARRAY_MAX']
+  ]);
+});
+
+// Yanıt şemasında olmayan alanlar atıldığı için mesaj alanı da şemada olmalı
+let app;
+
+before(async () => {
+  app = await startApp(offersRouter);
+});
+
+after(() => app.close());
+
+test('an offer response keeps its message and drops unknown fields', async () => {
+  const owner = await createUser();
+  const investor = await createUser({ userType: 'investor' });
+  const project = await createProject(owner);
+
+  const sent = await app.request('POST', `/api/projects/${project.id}/offers`, {
+    user: investor,
+    body: { amount: 5000, instrument: 'loan', status: 'accepted' }
+  });
+  assert.equal(sent.body.offer.status, 'pending');
+
+  const declined = await app.request('POST', `/api/offers/${sent.body.offer.id}/decline`, {
+    user: owner,
+    body: { message: '<i>Not</i> this round, thanks.', by: 'someone-else' }
+  });
+  const entry = declined.body.offer.history.at(-1);
+  assert.equal(entry.message, 'Not this round, thanks.');
+  assert.equal(entry.by, owner.username);
+});
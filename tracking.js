@@ -0,0 +1,25 @@
+// Project activity tracking used by discover.html and investor-favorites.html.
+// Requires session.js to be loaded first. The server ignores repeats and the
+// owner's own activity, so these calls are fire-and-forget.
+const trackedProjectEvents = new Set();
+
+// type: 'view' | 'detail' | 'contact'
+function trackProjectEvent(type, projectIds) {
+  const ids = [].concat(projectIds).filter(id => {
+    const key = `${type}:${id}`;
+    if (!id || trackedProjectEvents.has(key)) return false;
+    trackedProjectEvents.add(key);
+    return true;
+  });
+  if (ids.length === 0) return;
+
+  for (let i = 0; i < ids.length; i += 50) {
+    apiFetch(`${SESSION_API_URL}/api/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, projectIds: ids.slice(i, i + 50) }),
+      // Contact clicks navigate away; keepalive lets the request finish
+      keepalive: true
+    }).catch(() => {});
+  }
+}